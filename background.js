@@ -1,26 +1,130 @@
 // Background Service Worker - Handles context menu, messages, and AI service interactions
-import { AIService } from './services/ai-services.js';
+import { aiRouter } from './services/ai-router.js';
 import { ProofreaderService } from './services/proofreader-service.js';
-
-const aiService = new AIService();
+import { chatThreadStore } from './services/chat-thread-store.js';
+import { translationMemory } from './services/translation-memory.js';
+import { proofreadingRules } from './services/proofreading-rules.js';
+import { correctionExplainer } from './services/correction-explainer.js';
+import { writingPresets } from './services/writing-presets.js';
+import { transcriptStore } from './services/transcript-store.js';
+import { formatTranscript } from './services/transcript-formats.js';
+
+// AI requests go through the router (local / cloud / auto); its local service
+// still owns availability checks and the Vertex AI connection
+const aiService = aiRouter.localAI;
 const proofreaderService = new ProofreaderService();
 
-// State for tab audio capture
-let audioCapture = {
-    stream: null,
-    audioCtx: null,
-    source: null,
-    analyser: null,
-    meterInterval: null,
-};
+// Thread whose messages are currently loaded in the chat session
+let activeChatThreadId = null;
+
+// Make sure the chat session holds the given thread's history before prompting
+async function ensureChatThread(threadId) {
+    if (threadId && threadId === activeChatThreadId) {
+        return await chatThreadStore.get(threadId);
+    }
+
+    const thread = threadId ? await chatThreadStore.get(threadId) : null;
+    if (thread) {
+        aiRouter.restoreChatSession(thread.messages);
+        activeChatThreadId = thread.id;
+        return thread;
+    }
+
+    // Unknown or missing thread: start a fresh one
+    aiRouter.resetChatSession();
+    const created = await chatThreadStore.create();
+    activeChatThreadId = created.id;
+    return created;
+}
+
+// Tab audio is captured in an offscreen document (a service worker can't host an AudioContext)
+const OFFSCREEN_AUDIO_URL = 'offscreen/audio-capture.html';
+let audioCaptureTabId = null; // Tab whose audio is being transcribed
 
 async function getActiveTabId() {
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     return tabs && tabs[0] ? tabs[0].id : null;
 }
 
+// Requests started with sendMessage that the side panel can cancel (requestId -> AbortController)
+const pendingRequests = new Map();
+
+function beginRequest(requestId) {
+    const controller = new AbortController();
+    if (requestId) pendingRequests.set(requestId, controller);
+    return controller;
+}
+
+function endRequest(requestId) {
+    if (requestId) pendingRequests.delete(requestId);
+}
+
+// Port requests are cancelled by an ABORT message or when the side panel disconnects
+function createPortAbort(port) {
+    const state = { controller: null, disconnected: false };
+
+    port.onDisconnect.addListener(() => {
+        state.disconnected = true;
+        state.controller?.abort();
+    });
+
+    return {
+        start() {
+            state.controller?.abort();
+            state.controller = new AbortController();
+            return state.controller.signal;
+        },
+        abort() {
+            state.controller?.abort();
+        },
+        // Report the end of a failed request, unless nobody is listening anymore
+        fail(error, signal) {
+            if (state.disconnected) return;
+            if (signal?.aborted) {
+                port.postMessage({ type: 'aborted' });
+            } else {
+                port.postMessage({ type: 'error', error: error.message });
+            }
+        }
+    };
+}
+
+// Language pair last chosen in the side panel's Translate tab (page translation, bilingual reading)
+async function getTranslationLanguages() {
+    const { translationLanguages } = await chrome.storage.local.get(['translationLanguages']);
+    return {
+        sourceLanguage: translationLanguages?.sourceLanguage || 'auto',
+        targetLanguage: translationLanguages?.targetLanguage || chrome.i18n.getUILanguage().split('-')[0]
+    };
+}
+
+// Extract the main content of the active tab through the content script
+async function extractActivePage() {
+    const tabId = await getActiveTabId();
+    if (!tabId) throw new Error('No active tab found');
+
+    let response;
+    try {
+        response = await chrome.tabs.sendMessage(tabId, { action: 'EXTRACT_PAGE_CONTENT' });
+    } catch (e) {
+        throw new Error('Cannot read this page. Reload the tab and try again.');
+    }
+    if (!response?.success) {
+        throw new Error(response?.error || 'Page extraction failed');
+    }
+    return response.data;
+}
+
+async function hasOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_AUDIO_URL)]
+    });
+    return contexts.length > 0;
+}
+
 async function startTabAudioCapture() {
-    if (audioCapture.stream) {
+    if (audioCaptureTabId) {
         // Already capturing
         chrome.runtime.sendMessage({ type: 'LIVE_AUDIO_STATUS', message: 'Tab audio capture already active' }).catch(()=>{});
         return { ok: true };
@@ -29,72 +133,40 @@ async function startTabAudioCapture() {
     const tabId = await getActiveTabId();
     if (!tabId) throw new Error('No active tab found');
 
-    const stream = await new Promise((resolve, reject) => {
-        try {
-            chrome.tabCapture.capture({
-                audio: true,
-                video: false,
-                targetTabId: tabId
-            }, (capturedStream) => {
-                const err = chrome.runtime.lastError;
-                if (err) return reject(new Error(err.message || 'tabCapture failed'));
-                if (!capturedStream) return reject(new Error('No stream captured'));
-                resolve(capturedStream);
-            });
-        } catch (e) {
-            reject(e);
-        }
-    });
+    const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
 
-    const audioCtx = new (self.AudioContext || self.webkitAudioContext)();
-    const source = audioCtx.createMediaStreamSource(stream);
-    const analyser = audioCtx.createAnalyser();
-    analyser.fftSize = 2048;
-    source.connect(analyser);
-    // Also route to destination so user still hears audio
-    source.connect(audioCtx.destination);
-
-    const dataArray = new Uint8Array(analyser.fftSize);
-    const updateMeter = () => {
-        analyser.getByteTimeDomainData(dataArray);
-        // Compute RMS
-        let sum = 0;
-        for (let i = 0; i < dataArray.length; i++) {
-            const v = (dataArray[i] - 128) / 128; // [-1,1]
-            sum += v * v;
-        }
-        const rms = Math.sqrt(sum / dataArray.length); // 0..1
-        const level = Math.min(1, Math.max(0, rms * 1.8));
-        chrome.runtime.sendMessage({ type: 'LIVE_AUDIO_LEVELS', level }).catch(()=>{});
-    };
-    const meterInterval = setInterval(updateMeter, 120);
+    if (!(await hasOffscreenDocument())) {
+        await chrome.offscreen.createDocument({
+            url: OFFSCREEN_AUDIO_URL,
+            reasons: ['USER_MEDIA'],
+            justification: 'Capture tab audio for live speech-to-text translation'
+        });
+    }
+
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'START_AUDIO_TRANSCRIPTION', streamId });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Tab audio capture failed');
+    }
 
-    audioCapture = { stream, audioCtx, source, analyser, meterInterval };
-    chrome.runtime.sendMessage({ type: 'LIVE_AUDIO_STATUS', message: 'Tab audio capture started' }).catch(()=>{});
+    audioCaptureTabId = tabId;
     return { ok: true };
 }
 
 async function stopTabAudioCapture() {
-    if (audioCapture.meterInterval) {
-        clearInterval(audioCapture.meterInterval);
-    }
-    if (audioCapture.source) {
-        try { audioCapture.source.disconnect(); } catch {}
-    }
-    if (audioCapture.analyser) {
-        try { audioCapture.analyser.disconnect(); } catch {}
-    }
-    if (audioCapture.audioCtx) {
-        try { await audioCapture.audioCtx.close(); } catch {}
-    }
-    if (audioCapture.stream) {
-        try { audioCapture.stream.getTracks().forEach(t => t.stop()); } catch {}
+    audioCaptureTabId = null;
+    if (await hasOffscreenDocument()) {
+        await chrome.runtime.sendMessage({ target: 'offscreen', action: 'STOP_AUDIO_TRANSCRIPTION' }).catch(()=>{});
+        await chrome.offscreen.closeDocument().catch(()=>{});
     }
-    audioCapture = { stream: null, audioCtx: null, source: null, analyser: null, meterInterval: null };
     chrome.runtime.sendMessage({ type: 'LIVE_AUDIO_STATUS', message: 'Tab audio capture stopped' }).catch(()=>{});
     return { ok: true };
 }
 
+// The capture ends with its tab
+chrome.tabs.onRemoved.addListener((tabId) => {
+    if (tabId === audioCaptureTabId) stopTabAudioCapture();
+});
+
 // Context Menu Definitions
 const MENU_ITEMS = [
     {
@@ -102,6 +174,16 @@ const MENU_ITEMS = [
         title: "📝 Summarize Selection",
         contexts: ["selection"]
     },
+    {
+        id: "summarizePage",
+        title: "📄 Summarize this Page",
+        contexts: ["page"]
+    },
+    {
+        id: "translatePage",
+        title: "🌐 Translate this Page / Show Original",
+        contexts: ["page"]
+    },
     {
         id: "translate",
         title: "🌍 Translate Selection",
@@ -112,6 +194,17 @@ const MENU_ITEMS = [
         title: "✏️ Fix Spelling & Grammar",
         contexts: ["selection"]
     },
+    {
+        id: "rewrite",
+        title: "✍️ Rewrite Selection",
+        contexts: ["selection"]
+    },
+    // Rewrite styles ("rewrite:<style>") are shown as a submenu
+    { id: "rewrite:formal", parentId: "rewrite", title: "More formal", contexts: ["selection"] },
+    { id: "rewrite:casual", parentId: "rewrite", title: "More casual", contexts: ["selection"] },
+    { id: "rewrite:shorter", parentId: "rewrite", title: "Shorter", contexts: ["selection"] },
+    { id: "rewrite:longer", parentId: "rewrite", title: "Longer", contexts: ["selection"] },
+    { id: "rewrite:bullets", parentId: "rewrite", title: "As bullet points", contexts: ["selection"] },
     {
         id: "promptAI",
         title: "🤖 Ask AI about this",
@@ -139,6 +232,7 @@ function createContextMenus() {
         MENU_ITEMS.forEach(item => {
             chrome.contextMenus.create({
                 id: item.id,
+                parentId: item.parentId,
                 title: item.title,
                 contexts: item.contexts
             });
@@ -172,6 +266,30 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         return;
     }
     
+    // Handle whole-page summary (article text is extracted by the side panel via the content script)
+    if (info.menuItemId === 'summarizePage') {
+        await chrome.sidePanel.open({ windowId: tab.windowId });
+
+        setTimeout(async () => {
+            await chrome.storage.local.set({
+                currentAction: {
+                    type: 'summarizePage',
+                    tabId: tab.id,
+                    timestamp: Date.now()
+                }
+            });
+        }, 100);
+        return;
+    }
+
+    // Toggle in-place page translation with the language pair of the Translate tab
+    if (info.menuItemId === 'translatePage') {
+        const languages = await getTranslationLanguages();
+        chrome.tabs.sendMessage(tab.id, { action: 'TOGGLE_PAGE_TRANSLATION', ...languages })
+            .catch(e => console.warn('[Brief AI] Page translation unavailable on this tab:', e));
+        return;
+    }
+
     const selectedText = info.selectionText;
     
     if (!selectedText) {
@@ -183,9 +301,15 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     await chrome.sidePanel.open({ windowId: tab.windowId });
 
     // Send action to side panel with a small delay to ensure sidepanel is loaded
+    // The tab and frame let the side panel write a proofread or rewritten selection back into its field
+    const [type, style] = String(info.menuItemId).split(':');
     const action = {
-        type: info.menuItemId,
+        type,
+        style,
         text: selectedText,
+        tabId: tab.id,
+        frameId: info.frameId || 0,
+        editable: Boolean(info.editable),
         timestamp: Date.now()
     };
 
@@ -198,6 +322,27 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 
 // Listen for messages from content scripts or side panel
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    // Live captions are recorded whether or not the side panel is open; the panel shows them itself
+    if (request?.type === 'LIVE_TRANSLATION_UPDATE') {
+        transcriptStore.record(request, sender.tab);
+        return false;
+    }
+
+    // Speech transcribed in the offscreen document joins the tab's caption pipeline (translation, overlay, transcript)
+    if (request?.type === 'LIVE_AUDIO_TRANSCRIPT') {
+        if (audioCaptureTabId) {
+            chrome.tabs.sendMessage(audioCaptureTabId, {
+                action: 'LIVE_AUDIO_TRANSCRIPT',
+                text: request.text,
+                ageSeconds: request.ageSeconds
+            }, { frameId: 0 }).catch(() => {});
+        }
+        return false;
+    }
+
+    // Status broadcasts for the side panel (audio levels, page translation progress...) carry a type, not an action
+    if (!request?.action) return false;
+
     handleMessage(request, sender, sendResponse);
     return true; // Keep channel open for async response
 });
@@ -224,13 +369,13 @@ async function handleMessage(request, sender, sendResponse) {
             }
 
             case 'SUMMARIZE': 
-                const summaryResult = await aiService.summarize(request.text, request.options);
+                const summaryResult = await aiRouter.summarize(request.text, request.options);
                 sendResponse({ success: true, data: summaryResult });
                 break;
 
             case 'TRANSLATE':
                 console.log('Handling TRANSLATE request:', request);
-                const translateResult = await aiService.translate(
+                const translateResult = await aiRouter.translate(
                     request.text, 
                     request.targetLanguage, 
                     request.sourceLanguage,
@@ -239,6 +384,35 @@ async function handleMessage(request, sender, sendResponse) {
                 sendResponse({ success: true, data: translateResult });
                 break;
             
+            case 'GET_TRANSLATION_LANGUAGES': {
+                const languages = await aiService.getTranslationLanguages(request.sourceLanguage, request.targetLanguage);
+                sendResponse({ success: true, data: languages });
+                break;
+            }
+
+            case 'TRANSLATE_BATCH': {
+                const controller = beginRequest(request.requestId);
+                try {
+                    const result = await aiRouter.translateBatch(
+                        request.texts || [],
+                        request.targetLanguage,
+                        request.sourceLanguage,
+                        { signal: controller.signal }
+                    );
+                    sendResponse({ success: true, data: result });
+                } catch (e) {
+                    if (controller.signal.aborted) {
+                        sendResponse({ success: false, aborted: true, error: 'Request cancelled' });
+                    } else {
+                        console.error('TRANSLATE_BATCH error:', e);
+                        sendResponse({ success: false, error: e.message });
+                    }
+                } finally {
+                    endRequest(request.requestId);
+                }
+                break;
+            }
+
             case 'PROMPT_AI': {
                 const opts = request.options || {};
                 // Map legacy 'context' string to initialPrompts as system content
@@ -247,15 +421,16 @@ async function handleMessage(request, sender, sendResponse) {
                         { role: 'system', content: request.context }
                     ];
                 }
-                const promptResult = await aiService.prompt(request.text, opts);
+                const promptResult = await aiRouter.prompt(request.text, opts);
                 sendResponse({ success: true, data: promptResult });
                 break;
             }
 
             case 'SET_AI_MODE': {
                 try {
-                    await aiService.setAIMode(request.mode === 'online' ? 'online' : 'local');
-                    sendResponse({ success: true });
+                    // 'local', 'cloud' or 'auto' ('online' from older panels means cloud)
+                    await aiRouter.setMode(request.mode);
+                    sendResponse({ success: true, data: { mode: aiRouter.getMode() } });
                 } catch (e) {
                     sendResponse({ success: false, error: e.message });
                 }
@@ -287,7 +462,7 @@ async function handleMessage(request, sender, sendResponse) {
             case 'DESCRIBE_IMAGE': {
                 try {
                     console.log('[Background] Describing image:', request.imageUrl);
-                    const description = await aiService.describeImage(request.imageUrl, request.prompt);
+                    const description = await aiRouter.describeImage(request.imageUrl, request.prompt);
                     sendResponse({ success: true, data: description });
                 } catch (e) {
                     console.error('DESCRIBE_IMAGE error:', e);
@@ -310,21 +485,240 @@ async function handleMessage(request, sender, sendResponse) {
                 sendResponse({ success: true });
                 break;
 
+            case 'SELF_HOSTED_GET_CONFIG': {
+                const config = await aiRouter.selfHostedAI.loadConfig();
+                sendResponse({ success: true, data: config });
+                break;
+            }
+
+            case 'SELF_HOSTED_SAVE_CONFIG': {
+                const config = await aiRouter.selfHostedAI.saveConfig(request.config || {});
+                sendResponse({ success: true, data: config });
+                break;
+            }
+
+            case 'SELF_HOSTED_CLEAR_CONFIG': {
+                await aiRouter.selfHostedAI.clearConfig();
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'SELF_HOSTED_LIST_MODELS': {
+                const models = await aiRouter.selfHostedAI.listModels(request.baseUrl, request.apiKey);
+                sendResponse({ success: true, data: models });
+                break;
+            }
+
             case 'PROOFREAD': {
+                const controller = beginRequest(request.requestId);
                 try {
                     console.log('[Background] Proofreading text');
                     const result = await proofreaderService.proofread(
                         request.text,
-                        request.language || 'en'
+                        request.language || 'en',
+                        { signal: controller.signal }
                     );
                     sendResponse({ success: true, data: result });
                 } catch (e) {
-                    console.error('PROOFREAD error:', e);
-                    sendResponse({ success: false, error: e.message });
+                    if (controller.signal.aborted) {
+                        sendResponse({ success: false, aborted: true, error: 'Request cancelled' });
+                    } else if (e.code === 'unsupported-language') {
+                        sendResponse({ success: false, unsupportedLanguage: true, error: e.message });
+                    } else {
+                        console.error('PROOFREAD error:', e);
+                        sendResponse({ success: false, error: e.message });
+                    }
+                } finally {
+                    endRequest(request.requestId);
                 }
                 break;
             }
 
+            case 'CANCEL_REQUEST': {
+                pendingRequests.get(request.requestId)?.abort();
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'CHAT_THREADS_LIST': {
+                const threads = await chatThreadStore.list(request.query);
+                sendResponse({ success: true, data: threads });
+                break;
+            }
+
+            case 'CHAT_THREAD_GET': {
+                const thread = await chatThreadStore.get(request.threadId);
+                sendResponse(thread
+                    ? { success: true, data: thread }
+                    : { success: false, error: 'Chat thread not found' });
+                break;
+            }
+
+            case 'CHAT_THREAD_RENAME': {
+                const thread = await chatThreadStore.rename(request.threadId, request.title);
+                sendResponse({ success: true, data: thread });
+                break;
+            }
+
+            case 'CHAT_THREAD_DELETE': {
+                await chatThreadStore.delete(request.threadId);
+                if (request.threadId === activeChatThreadId) {
+                    aiRouter.resetChatSession();
+                    activeChatThreadId = null;
+                }
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'GLOSSARY_GET': {
+                const glossary = await aiRouter.glossary.load();
+                sendResponse({ success: true, data: glossary });
+                break;
+            }
+
+            case 'GLOSSARY_ADD_TERM': {
+                const glossary = await aiRouter.glossary.addTerm(request.term || {});
+                sendResponse({ success: true, data: glossary });
+                break;
+            }
+
+            case 'GLOSSARY_REMOVE_TERM': {
+                const glossary = await aiRouter.glossary.removeTerm(request.term || {});
+                sendResponse({ success: true, data: glossary });
+                break;
+            }
+
+            case 'GLOSSARY_ADD_PROTECTED': {
+                const glossary = await aiRouter.glossary.addProtectedTerm(request.term);
+                sendResponse({ success: true, data: glossary });
+                break;
+            }
+
+            case 'GLOSSARY_REMOVE_PROTECTED': {
+                const glossary = await aiRouter.glossary.removeProtectedTerm(request.term);
+                sendResponse({ success: true, data: glossary });
+                break;
+            }
+
+            case 'GLOSSARY_IMPORT_CSV': {
+                const counts = await aiRouter.glossary.importCSV(request.csv, { replace: !!request.replace });
+                sendResponse({ success: true, data: counts });
+                break;
+            }
+
+            case 'GLOSSARY_EXPORT_CSV': {
+                const csv = await aiRouter.glossary.exportCSV();
+                sendResponse({ success: true, data: csv });
+                break;
+            }
+
+            case 'EXPLAIN_CORRECTION': {
+                const controller = beginRequest(request.requestId);
+                try {
+                    const result = await correctionExplainer.explain(
+                        request.correction || {},
+                        request.language,
+                        { signal: controller.signal }
+                    );
+                    sendResponse({ success: true, data: result });
+                } catch (e) {
+                    if (controller.signal.aborted) {
+                        sendResponse({ success: false, aborted: true, error: 'Request cancelled' });
+                    } else {
+                        console.error('EXPLAIN_CORRECTION error:', e);
+                        sendResponse({ success: false, error: e.message });
+                    }
+                } finally {
+                    endRequest(request.requestId);
+                }
+                break;
+            }
+
+            case 'PROOFREAD_RULES_GET': {
+                const rules = await proofreadingRules.load();
+                sendResponse({ success: true, data: rules });
+                break;
+            }
+
+            case 'PROOFREAD_RULES_ADD_WORD': {
+                const rules = await proofreadingRules.addWord(request.word);
+                sendResponse({ success: true, data: rules });
+                break;
+            }
+
+            case 'PROOFREAD_RULES_REMOVE_WORD': {
+                const rules = await proofreadingRules.removeWord(request.word);
+                sendResponse({ success: true, data: rules });
+                break;
+            }
+
+            case 'PROOFREAD_RULES_ADD_PATTERN': {
+                const rules = await proofreadingRules.addPattern(request.entry || {});
+                sendResponse({ success: true, data: rules });
+                break;
+            }
+
+            case 'PROOFREAD_RULES_REMOVE_PATTERN': {
+                const rules = await proofreadingRules.removePattern(request.pattern);
+                sendResponse({ success: true, data: rules });
+                break;
+            }
+
+            case 'WRITING_PRESETS_GET': {
+                const presets = await writingPresets.list();
+                sendResponse({ success: true, data: presets });
+                break;
+            }
+
+            case 'WRITING_PRESETS_SAVE': {
+                const presets = await writingPresets.save(request.preset || {});
+                sendResponse({ success: true, data: presets });
+                break;
+            }
+
+            case 'WRITING_PRESETS_DELETE': {
+                const presets = await writingPresets.remove(request.id);
+                sendResponse({ success: true, data: presets });
+                break;
+            }
+
+            case 'TRANSCRIPTS_LIST': {
+                const sessions = await transcriptStore.listSessions();
+                sendResponse({ success: true, data: sessions });
+                break;
+            }
+
+            case 'TRANSCRIPT_EXPORT': {
+                const transcript = await transcriptStore.getTranscript(request.sessionId);
+                sendResponse({ success: true, data: formatTranscript(transcript, request.format) });
+                break;
+            }
+
+            case 'TRANSCRIPT_DELETE': {
+                await transcriptStore.deleteSession(request.sessionId);
+                const sessions = await transcriptStore.listSessions();
+                sendResponse({ success: true, data: sessions });
+                break;
+            }
+
+            case 'TRANSLATION_MEMORY_LIST': {
+                const memory = await translationMemory.list(request.query, request.limit);
+                sendResponse({ success: true, data: memory });
+                break;
+            }
+
+            case 'TRANSLATION_MEMORY_DELETE': {
+                await translationMemory.delete(request.key);
+                sendResponse({ success: true });
+                break;
+            }
+
+            case 'TRANSLATION_MEMORY_CLEAR': {
+                await translationMemory.clear();
+                sendResponse({ success: true });
+                break;
+            }
+
             case 'CHECK_PROOFREADER_AVAILABILITY': {
                 try {
                     const availability = await proofreaderService.checkAvailability();
@@ -345,33 +739,62 @@ async function handleMessage(request, sender, sendResponse) {
     }
 }
 
-// Handle streaming connections for AI chat and translation
+// Handle streaming connections for AI chat, summarization and translation
 chrome.runtime.onConnect.addListener((port) => {
+    const request = createPortAbort(port);
+
     if (port.name === 'ai-chat-stream') {
         port.onMessage.addListener(async (msg) => {
-            if (msg.action === 'PROMPT_AI_STREAM') {
+            if (msg.action === 'ABORT') {
+                request.abort();
+            } else if (msg.action === 'PROMPT_AI_STREAM') {
+                const signal = request.start();
                 try {
-                    // Use promptStream with callback for chunks
-                    await aiService.promptStream(
-                        msg.text,
-                        (chunk) => {
-                            // Send each chunk to the side panel
-                            port.postMessage({ type: 'chunk', chunk: chunk });
-                        },
-                        {} // No options needed, session remembers context
-                    );
+                    // Rebuild the session from the stored thread if another one was active
+                    const thread = await ensureChatThread(msg.threadId);
+                    if (thread.id !== msg.threadId) {
+                        port.postMessage({ type: 'thread', thread: { id: thread.id, title: thread.title } });
+                    }
+
+                    const onChunk = (chunk) => {
+                        // Send each chunk to the side panel
+                        port.postMessage({ type: 'chunk', chunk: chunk });
+                    };
+
+                    // "Ask this page": ground the answer in the active tab's content
+                    const result = msg.pageContext
+                        ? await aiRouter.pageChatStream(msg.text, await extractActivePage(), onChunk, { signal })
+                        : await aiRouter.chatStream(msg.text, onChunk, { signal }); // Session remembers context
+
+                    if (result.page) {
+                        port.postMessage({ type: 'page', page: result.page });
+                    }
+
+                    const updated = await chatThreadStore.appendMessages(thread.id, [
+                        { role: 'user', content: msg.text },
+                        { role: 'assistant', content: result.response }
+                    ]);
 
                     // Signal completion
-                    port.postMessage({ type: 'done' });
+                    port.postMessage({ type: 'done', thread: { id: updated.id, title: updated.title } });
 
                 } catch (error) {
                     console.error('Streaming error:', error);
+                    request.fail(error, signal);
+                }
+            } else if (msg.action === 'LOAD_THREAD') {
+                try {
+                    const thread = await ensureChatThread(msg.threadId);
+                    port.postMessage({ type: 'thread-loaded', thread });
+                } catch (error) {
+                    console.error('Load thread error:', error);
                     port.postMessage({ type: 'error', error: error.message });
                 }
             } else if (msg.action === 'RESET_CHAT') {
                 // Allow resetting the chat session
                 try {
-                    aiService.resetChatSession();
+                    aiRouter.resetChatSession();
+                    activeChatThreadId = null;
                     port.postMessage({ type: 'reset-complete' });
                 } catch (error) {
                     console.error('Reset error:', error);
@@ -379,12 +802,85 @@ chrome.runtime.onConnect.addListener((port) => {
                 }
             }
         });
+    } else if (port.name === 'summarize-stream') {
+        port.onMessage.addListener(async (msg) => {
+            if (msg.action === 'ABORT') {
+                request.abort();
+            } else if (msg.action === 'SUMMARIZE_STREAM') {
+                const signal = request.start();
+                try {
+                    // Long documents report map-reduce progress as they go
+                    const result = await aiRouter.summarize(msg.text, {
+                        ...(msg.options || {}),
+                        signal,
+                        onProgress: (progress) => {
+                            port.postMessage({ type: 'progress', progress });
+                        }
+                    });
+
+                    port.postMessage({ type: 'done', data: result });
+
+                } catch (error) {
+                    console.error('Summarize streaming error:', error);
+                    request.fail(error, signal);
+                }
+            }
+        });
+    } else if (port.name === 'document-translate') {
+        port.onMessage.addListener(async (msg) => {
+            if (msg.action === 'ABORT') {
+                request.abort();
+            } else if (msg.action === 'TRANSLATE_DOCUMENT') {
+                const signal = request.start();
+                try {
+                    const result = await aiRouter.translateDocument(
+                        msg.content,
+                        msg.fileName,
+                        msg.targetLanguage,
+                        msg.sourceLanguage,
+                        {
+                            signal,
+                            onProgress: (progress) => {
+                                port.postMessage({ type: 'progress', progress });
+                            }
+                        }
+                    );
+                    port.postMessage({ type: 'done', data: result });
+                } catch (error) {
+                    console.error('Document translation error:', error);
+                    request.fail(error, signal);
+                }
+            }
+        });
+    } else if (port.name === 'translation-download') {
+        port.onMessage.addListener(async (msg) => {
+            if (msg.action === 'ABORT') {
+                request.abort();
+            } else if (msg.action === 'DOWNLOAD_TRANSLATOR') {
+                const signal = request.start();
+                try {
+                    const result = await aiService.downloadTranslator(msg.sourceLanguage, msg.targetLanguage, {
+                        signal,
+                        onDownloadProgress: (loaded) => {
+                            port.postMessage({ type: 'progress', loaded });
+                        }
+                    });
+                    port.postMessage({ type: 'done', data: result });
+                } catch (error) {
+                    console.error('Translator download error:', error);
+                    request.fail(error, signal);
+                }
+            }
+        });
     } else if (port.name === 'translate-stream') {
         port.onMessage.addListener(async (msg) => {
-            if (msg.action === 'TRANSLATE_STREAM') {
+            if (msg.action === 'ABORT') {
+                request.abort();
+            } else if (msg.action === 'TRANSLATE_STREAM') {
+                const signal = request.start();
                 try {
                     // Use translateStream with callback for chunks
-                    await aiService.translateStream(
+                    const result = await aiRouter.translateStream(
                         msg.text,
                         msg.targetLanguage,
                         msg.sourceLanguage,
@@ -392,21 +888,74 @@ chrome.runtime.onConnect.addListener((port) => {
                             // Send each chunk to the side panel
                             port.postMessage({ type: 'chunk', chunk: chunk });
                         },
-                        {} // No special options
+                        { signal }
                     );
 
-                    // Signal completion
-                    port.postMessage({ type: 'done' });
+                    // Signal completion, with any glossary term the translation did not keep
+                    port.postMessage({ type: 'done', glossaryViolations: result.glossaryViolations || [] });
 
                 } catch (error) {
                     console.error('Translation streaming error:', error);
-                    port.postMessage({ type: 'error', error: error.message });
+                    request.fail(error, signal);
+                }
+            }
+        });
+    } else if (port.name === 'rewrite-stream') {
+        port.onMessage.addListener(async (msg) => {
+            if (msg.action === 'ABORT') {
+                request.abort();
+            } else if (msg.action === 'REWRITE_STREAM') {
+                const signal = request.start();
+                try {
+                    const result = await aiRouter.rewriteStream(
+                        msg.text,
+                        msg.style,
+                        (chunk) => port.postMessage({ type: 'chunk', chunk }),
+                        { context: msg.context, signal }
+                    );
+                    port.postMessage({ type: 'done', text: result.text });
+                } catch (error) {
+                    console.error('Rewrite streaming error:', error);
+                    request.fail(error, signal);
+                }
+            }
+        });
+    } else if (port.name === 'write-stream') {
+        port.onMessage.addListener(async (msg) => {
+            if (msg.action === 'ABORT') {
+                request.abort();
+            } else if (msg.action === 'WRITE_STREAM') {
+                const signal = request.start();
+                try {
+                    // Attached presets and the pasted thread become the Writer's shared context
+                    const sharedContext = await writingPresets.buildSharedContext(msg.presetIds, msg.thread);
+                    const result = await aiRouter.writeStream(
+                        msg.brief,
+                        (chunk) => port.postMessage({ type: 'chunk', chunk }),
+                        { tone: msg.tone, length: msg.length, sharedContext, signal }
+                    );
+                    port.postMessage({ type: 'done', text: result.text });
+                } catch (error) {
+                    console.error('Compose streaming error:', error);
+                    request.fail(error, signal);
                 }
             }
         });
     }
 });
 
+// Keyboard shortcuts (chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    if (command !== 'toggle-bilingual-reader') return;
+
+    const tabId = tab?.id || await getActiveTabId();
+    if (!tabId) return;
+
+    const languages = await getTranslationLanguages();
+    chrome.tabs.sendMessage(tabId, { action: 'TOGGLE_BILINGUAL_READER', ...languages })
+        .catch(e => console.warn('[Brief AI] Bilingual reading unavailable on this tab:', e));
+});
+
 // Open side panel on extension icon click
 chrome.action.onClicked.addListener(async (tab) => {
     await chrome.sidePanel.open({ windowId: tab.windowId });
@@ -22,5 +22,6 @@ export const FUNCTIONS = {
     SUMMARIZE: "summarizeText",
     TRANSLATE: "translateText",
     CHAT: "chatWithAI",
-    GET_USER_INFO: "getUserInfo"
+    GET_USER_INFO: "getUserInfo",
+    STREAM: "streamAI" // HTTPS endpoint (server-sent events), not a callable
 };
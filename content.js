@@ -1,5 +1,9 @@
-// Content Script - Live Translation for videos
-// Supports: YouTube, Netflix, Twitch, and generic HTML5 video captions
+// Content Script - Live Translation for videos, page content extraction, in-place page translation,
+// bilingual reading and inline proofreading
+// Supports: the caption platforms in content/platforms/, generic HTML5 video captions, or speech transcribed from the tab audio
+
+// Transcribed tab audio is ignored in auto mode while captions arrived this recently
+const AUDIO_DEFER_TO_CAPTIONS_MS = 5000;
 
 class LiveTranslatorController {
     constructor() {
@@ -7,24 +11,24 @@ class LiveTranslatorController {
         this.targetLanguage = 'en';
         this.detectionMode = 'auto'; // 'auto' | 'captions-only' | 'audio-only'
         this.showOverlay = true;
-        this.overlay = null;
+        this.subtitles = new SubtitleOverlay(); // See content/subtitle-overlay.js
         this.listeners = [];
         this.lastOriginal = '';
         this.mutationObserver = null;
         this.platform = this.detectPlatform();
         this.debounceTimer = null;
-        this.captionBuffer = '';
+        // Rolling captions are merged into sentence segments before translation (see content/caption-buffer.js)
+        this.captionBuffer = new CaptionBuffer({
+            onSegment: (text, { startedAt }) => this.processCaption(text, { ageSeconds: (Date.now() - startedAt) / 1000 })
+        });
+        this.session = null; // Transcript session: { id, startedAt }
+        this.captionCount = 0;
+        this.lastCaptionAt = 0; // When the page last showed a caption (audio transcripts defer to captions)
     }
 
     // Detect which platform we're on
     detectPlatform() {
-        const hostname = window.location.hostname;
-        if (hostname.includes('youtube.com')) return 'youtube';
-        if (hostname.includes('netflix.com')) return 'netflix';
-        if (hostname.includes('twitch.tv')) return 'twitch';
-        if (hostname.includes('primevideo.com')) return 'primevideo';
-        if (hostname.includes('disneyplus.com')) return 'disneyplus';
-        return 'generic';
+        return CaptionPlatforms.detect(window.location.hostname)?.id || 'generic';
     }
 
     start(opts = {}) {
@@ -34,83 +38,49 @@ class LiveTranslatorController {
         this.detectionMode = opts.detectionMode || 'auto';
         this.showOverlay = opts.showOverlay !== false;
         this.platform = this.detectPlatform();
+        // Every start is a new transcript (recorded by the background, see TranscriptStore)
+        this.session = { id: `live-${Date.now()}`, startedAt: Date.now() };
+        this.captionCount = 0;
+        this.captionBuffer.reset();
         
         console.log(`[Brief AI] Starting live translation on ${this.platform}`);
         
-        this.ensureOverlay();
-        this.startCaptionDetection();
+        if (this.showOverlay) {
+            const adapter = CaptionPlatforms.get(this.platform);
+            this.subtitles.mount({
+                nativeCaptions: adapter?.nativeCaptions,
+                followVideo: adapter?.followVideo
+            });
+        }
+        // Audio-only relies on speech transcribed from the tab audio (see offscreen/audio-capture.js)
+        if (this.detectionMode === 'audio-only') {
+            this.setOverlayText('🎧 Listening to the tab audio...');
+        } else {
+            this.startCaptionDetection();
+        }
         this.postStatus(`Live translation started (${this.platform})`);
     }
 
     stop() {
         this.active = false;
         this.stopCaptionDetection();
-        this.removeOverlay();
+        this.subtitles.unmount();
         this.lastOriginal = '';
-        this.captionBuffer = '';
+        this.captionBuffer.reset();
         this.postStatus('Live translation stopped');
     }
 
-    ensureOverlay() {
-        if (!this.showOverlay) return;
-        if (this.overlay && document.body.contains(this.overlay)) return;
-        
-        const div = document.createElement('div');
-        div.id = 'brief-ai-overlay';
-        div.style.cssText = `
-            position: fixed;
-            left: 50%;
-            bottom: 10%;
-            transform: translateX(-50%);
-            background: rgba(0, 0, 0, 0.85);
-            color: #fff;
-            padding: 12px 20px;
-            border-radius: 12px;
-            font-size: 18px;
-            font-weight: 500;
-            line-height: 1.5;
-            z-index: 2147483647;
-            max-width: 85vw;
-            text-align: center;
-            pointer-events: none;
-            backdrop-filter: blur(4px);
-            box-shadow: 0 4px 20px rgba(0,0,0,0.4);
-            border: 1px solid rgba(255,255,255,0.1);
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            transition: opacity 0.2s ease;
-        `;
-        div.textContent = '⏳ Waiting for captions…';
-        document.body.appendChild(div);
-        this.overlay = div;
-    }
-
-    removeOverlay() {
-        if (this.overlay && this.overlay.parentNode) {
-            this.overlay.remove();
-        }
-        this.overlay = null;
-    }
-
     setOverlayText(text) {
-        if (!this.overlay) return;
-        this.overlay.textContent = text;
-        this.overlay.style.opacity = '1';
+        this.subtitles.showStatus(text);
     }
 
     // ===== CAPTION DETECTION (Platform-specific) =====
     startCaptionDetection() {
-        switch (this.platform) {
-            case 'youtube':
-                this.startYouTubeDetection();
-                break;
-            case 'netflix':
-                this.startNetflixDetection();
-                break;
-            case 'twitch':
-                this.startTwitchDetection();
-                break;
-            default:
-                this.startGenericDetection();
+        const adapter = CaptionPlatforms.get(this.platform);
+        if (adapter) {
+            this.startPlatformDetection(adapter);
+        } else {
+            this.startGenericDetection();
         }
     }
 
@@ -134,152 +104,31 @@ class LiveTranslatorController {
         }
     }
 
-    // ===== YOUTUBE SPECIFIC =====
-    startYouTubeDetection() {
-        console.log('[Brief AI] Starting YouTube caption detection');
-        
-        // YouTube caption selectors (they change frequently, so we use multiple)
-        const captionSelectors = [
-            '.ytp-caption-segment',           // Main caption segments
-            '.captions-text',                 // Alternative
-            '.ytp-caption-window-container',  // Container
-            '.caption-visual-line',           // Visual line
-            '.ytp-caption-window-bottom',     // Bottom captions
-        ];
-
-        // Create mutation observer for YouTube
-        this.mutationObserver = new MutationObserver((mutations) => {
-            if (!this.active) return;
-            
-            for (const mutation of mutations) {
-                // Check added nodes
-                for (const node of mutation.addedNodes) {
-                    if (node.nodeType === Node.ELEMENT_NODE) {
-                        this.checkYouTubeCaptions(node);
-                    }
-                }
-                
-                // Check for text content changes
-                if (mutation.type === 'characterData' || mutation.type === 'childList') {
-                    this.checkYouTubeCaptions(mutation.target);
-                }
-            }
-        });
+    // ===== PLATFORM ADAPTERS (see content/platforms/) =====
+    startPlatformDetection(adapter) {
+        console.log(`[Brief AI] Starting ${adapter.name} caption detection`);
 
-        // Observe the entire document for caption changes
-        this.mutationObserver.observe(document.body, {
-            childList: true,
-            subtree: true,
-            characterData: true,
-            characterDataOldValue: true
-        });
-
-        // Also try HTML5 textTracks as fallback
-        this.attachToVideoTracks();
-        
-        // Initial check
-        this.checkAllYouTubeCaptions();
-        
-        this.setOverlayText('🎬 Listening for YouTube captions...\nMake sure CC is enabled!');
-    }
-
-    checkYouTubeCaptions(element) {
-        if (!element) return;
-        
-        // Get the element to search in
-        const searchEl = element.nodeType === Node.TEXT_NODE ? element.parentElement : element;
-        if (!searchEl) return;
-
-        // Look for caption segments
-        const captionSegments = searchEl.querySelectorAll?.('.ytp-caption-segment') || [];
-        let captionText = '';
-
-        if (captionSegments.length > 0) {
-            captionText = Array.from(captionSegments)
-                .map(seg => seg.textContent?.trim())
-                .filter(Boolean)
-                .join(' ');
-        } else if (searchEl.classList?.contains('ytp-caption-segment')) {
-            captionText = searchEl.textContent?.trim();
-        }
-
-        if (captionText && captionText !== this.lastOriginal && captionText.length > 1) {
-            this.handleDetectedCaption(captionText);
-        }
-    }
-
-    checkAllYouTubeCaptions() {
-        const segments = document.querySelectorAll('.ytp-caption-segment');
-        if (segments.length > 0) {
-            const text = Array.from(segments)
-                .map(seg => seg.textContent?.trim())
-                .filter(Boolean)
-                .join(' ');
-            if (text && text !== this.lastOriginal) {
-                this.handleDetectedCaption(text);
-            }
-        }
-    }
-
-    // ===== NETFLIX SPECIFIC =====
-    startNetflixDetection() {
-        console.log('[Brief AI] Starting Netflix caption detection');
-        
-        this.mutationObserver = new MutationObserver((mutations) => {
+        const checkCaptions = () => {
             if (!this.active) return;
-            
-            // Netflix uses .player-timedtext-text-container for subtitles
-            const containers = document.querySelectorAll('.player-timedtext-text-container span');
-            if (containers.length > 0) {
-                const text = Array.from(containers)
-                    .map(el => el.textContent?.trim())
-                    .filter(Boolean)
-                    .join(' ');
-                if (text && text !== this.lastOriginal) {
-                    this.handleDetectedCaption(text);
-                }
+            const text = CaptionPlatforms.extract(adapter);
+            if (text && text !== this.lastOriginal && text.length >= adapter.minLength) {
+                this.handleDetectedCaption(text);
             }
-        });
+        };
 
+        this.mutationObserver = new MutationObserver(checkCaptions);
         this.mutationObserver.observe(document.body, {
             childList: true,
             subtree: true,
             characterData: true
         });
-        
-        this.setOverlayText('🎬 Listening for Netflix captions...');
-    }
 
-    // ===== TWITCH SPECIFIC =====
-    startTwitchDetection() {
-        console.log('[Brief AI] Starting Twitch caption detection');
-        
-        // Twitch uses various caption implementations
-        this.mutationObserver = new MutationObserver((mutations) => {
-            if (!this.active) return;
-            
-            const captionEls = document.querySelectorAll('[data-a-target="player-overlay-click-handler"] ~ div');
-            // Also check for extension-based captions
-            const extensionCaptions = document.querySelectorAll('.captions-container, .caption-line');
-            
-            const allCaptions = [...captionEls, ...extensionCaptions];
-            if (allCaptions.length > 0) {
-                const text = Array.from(allCaptions)
-                    .map(el => el.textContent?.trim())
-                    .filter(Boolean)
-                    .join(' ');
-                if (text && text !== this.lastOriginal && text.length > 2) {
-                    this.handleDetectedCaption(text);
-                }
-            }
-        });
+        if (adapter.videoTracks) this.attachToVideoTracks();
 
-        this.mutationObserver.observe(document.body, {
-            childList: true,
-            subtree: true
-        });
-        
-        this.setOverlayText('🎬 Listening for Twitch captions...');
+        // Initial check
+        checkCaptions();
+
+        this.setOverlayText(adapter.hint || `🎬 Listening for ${adapter.name} captions...`);
     }
 
     // ===== GENERIC HTML5 VIDEO =====
@@ -378,31 +227,75 @@ class LiveTranslatorController {
         }
     }
 
+    // Playback position of the video the captions belong to
+    currentVideoTime() {
+        const video = subtitleTargetVideo();
+        if (!video) return null;
+        return Number.isFinite(video.currentTime) ? video.currentTime : null;
+    }
+
+    // Fields that tie a LIVE_TRANSLATION_UPDATE to its transcript entry
+    transcriptFields(caption) {
+        return {
+            sessionId: this.session?.id,
+            sessionStartedAt: this.session?.startedAt,
+            captionId: caption.id,
+            time: caption.time,
+            detectedAt: caption.detectedAt,
+            pageUrl: location.href,
+            pageTitle: document.title,
+            platform: this.platform,
+            targetLanguage: this.targetLanguage
+        };
+    }
+
     // ===== HANDLE DETECTED CAPTION =====
     handleDetectedCaption(text) {
         if (!text || text === this.lastOriginal) return;
+        this.lastCaptionAt = Date.now();
         
-        // Debounce rapid changes
+        // Debounce rapid changes; the buffer decides when a segment is ready to translate
         clearTimeout(this.debounceTimer);
         this.debounceTimer = setTimeout(() => {
-            this.processCaption(text);
+            this.captionBuffer.push(text);
         }, 150);
     }
 
-    async processCaption(text) {
+    // ===== HANDLE TRANSCRIBED SPEECH =====
+    // In auto mode the page's own captions win while they keep coming: they are more accurate
+    handleAudioTranscript(text, ageSeconds = 0) {
+        if (!this.active || !text || this.detectionMode === 'captions-only') return;
+        if (this.detectionMode === 'auto' && Date.now() - this.lastCaptionAt < AUDIO_DEFER_TO_CAPTIONS_MS) return;
+
+        this.processCaption(text, { ageSeconds });
+    }
+
+    /**
+     * Translate a caption or transcribed speech segment
+     * @param {Object} options - { ageSeconds } how long ago the speech or caption segment started
+     */
+    async processCaption(text, options = {}) {
         if (!this.active || !text) return;
         
         this.lastOriginal = text;
         console.log('[Brief AI] Caption detected:', text.substring(0, 50) + '...');
 
+        const videoTime = this.currentVideoTime();
+        const caption = {
+            id: this.captionCount++,
+            time: videoTime === null ? null : Math.max(0, videoTime - (options.ageSeconds || 0)),
+            detectedAt: Date.now() - (options.ageSeconds || 0) * 1000
+        };
+
         // Update side panel with original
         chrome.runtime.sendMessage({ 
             type: 'LIVE_TRANSLATION_UPDATE', 
-            original: text 
+            original: text,
+            ...this.transcriptFields(caption)
         }).catch(() => {});
 
         // Show original while translating
-        this.setOverlayText(`⏳ ${text}`);
+        this.subtitles.showCaption(text);
 
         try {
             const resp = await chrome.runtime.sendMessage({
@@ -416,9 +309,9 @@ class LiveTranslatorController {
             if (resp?.success && resp?.data?.translatedText) {
                 const translated = resp.data.translatedText;
                 
-                // Update overlay
-                if (this.showOverlay) {
-                    this.setOverlayText(translated);
+                // Update overlay, unless a newer caption is already on screen
+                if (this.lastOriginal === text) {
+                    this.subtitles.showCaption(text, translated);
                 }
                 
                 // Update side panel
@@ -426,7 +319,8 @@ class LiveTranslatorController {
                     type: 'LIVE_TRANSLATION_UPDATE',
                     original: text,
                     translated: translated,
-                    detectedLanguage: resp.data.sourceLanguage || 'auto'
+                    detectedLanguage: resp.data.sourceLanguage || 'auto',
+                    ...this.transcriptFields(caption)
                 }).catch(() => {});
             }
         } catch (e) {
@@ -444,6 +338,12 @@ class LiveTranslatorController {
 
 // ===== INITIALIZE =====
 const LiveTranslator = new LiveTranslatorController();
+const PageExtractor = new PageContentExtractor();
+const PageTranslator = new PageTranslatorController();
+const BilingualReader = new BilingualReaderController();
+const InlineProofreader = new InlineProofreaderController();
+InlineProofreader.init();
+LiveTranslator.subtitles.init();
 
 // Listen for messages from background or side panel
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -461,6 +361,45 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.log('[Brief AI] Received STOP_LIVE_TRANSLATION');
         LiveTranslator.stop();
         sendResponse({ success: true });
+    } else if (request.action === 'LIVE_AUDIO_TRANSCRIPT') {
+        LiveTranslator.handleAudioTranscript(request.text, request.ageSeconds);
+        sendResponse({ success: true });
+    } else if (request.action === 'EXTRACT_PAGE_CONTENT') {
+        try {
+            sendResponse({ success: true, data: PageExtractor.extract() });
+        } catch (e) {
+            console.error('[Brief AI] Page extraction failed:', e);
+            sendResponse({ success: false, error: e.message });
+        }
+    } else if (request.action === 'TOGGLE_PAGE_TRANSLATION') {
+        const state = PageTranslator.toggle({
+            targetLanguage: request.targetLanguage,
+            sourceLanguage: request.sourceLanguage
+        });
+        sendResponse({ success: true, data: state });
+    } else if (request.action === 'TRANSLATE_PAGE') {
+        PageTranslator.start({ targetLanguage: request.targetLanguage, sourceLanguage: request.sourceLanguage });
+        sendResponse({ success: true, data: PageTranslator.getState() });
+    } else if (request.action === 'RESTORE_PAGE_TRANSLATION') {
+        PageTranslator.restore();
+        sendResponse({ success: true, data: PageTranslator.getState() });
+    } else if (request.action === 'GET_PAGE_TRANSLATION_STATE') {
+        sendResponse({ success: true, data: PageTranslator.getState() });
+    } else if (request.action === 'TOGGLE_BILINGUAL_READER') {
+        // Only the main article gets translations, not menus and sidebars
+        const state = BilingualReader.toggle({
+            targetLanguage: request.targetLanguage,
+            sourceLanguage: request.sourceLanguage,
+            root: PageExtractor.findMainRoot()
+        });
+        sendResponse({ success: true, data: state });
+    } else if (request.action === 'GET_BILINGUAL_READER_STATE') {
+        sendResponse({ success: true, data: BilingualReader.getState() });
+    } else if (request.action === 'WRITE_BACK_TEXT') {
+        const written = InlineProofreader.writeBack(request.original, request.replacement);
+        sendResponse(written
+            ? { success: true }
+            : { success: false, error: 'The original text is no longer in the page field' });
     }
     
     return true; // Keep channel open for async
@@ -0,0 +1,230 @@
+// Content Script - Bilingual reading mode
+// Shows each paragraph's translation right below it (the page text is left untouched),
+// streamed through the background `translate-stream` pipeline as paragraphs scroll into view
+
+class BilingualReaderController {
+    constructor() {
+        this.active = false;
+        this.targetLanguage = 'en';
+        this.sourceLanguage = 'auto';
+        this.blocks = new Map(); // Paragraph element -> translation element
+        this.sourceTexts = new Map(); // Paragraph element -> text read before the translation was added
+        this.queue = [];
+        this.current = null;
+        this.port = null;
+        this.visibilityObserver = null;
+
+        this.blockSelector = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, dt, dd, figcaption, td, th';
+        this.skipSelector = [
+            'script', 'style', 'noscript', 'template', 'code', 'pre', 'textarea', 'select', 'svg',
+            'nav', 'button', '[contenteditable=""]', '[contenteditable="true"]', '[translate="no"]',
+            '.notranslate', '.brief-ai-bilingual', '#brief-ai-overlay'
+        ].join(',');
+        // List items and table cells keep the translation inside, so the list/table markup stays valid
+        this.insideTags = new Set(['LI', 'DT', 'DD', 'TD', 'TH']);
+    }
+
+    getState() {
+        return {
+            active: this.active,
+            sourceLanguage: this.sourceLanguage,
+            targetLanguage: this.targetLanguage,
+            paragraphs: this.blocks.size
+        };
+    }
+
+    /**
+     * Show translations under the paragraphs of `root`
+     * @param {{targetLanguage?: string, sourceLanguage?: string, root?: Element}} opts
+     */
+    start(opts = {}) {
+        if (this.active) this.stop();
+
+        this.active = true;
+        this.targetLanguage = opts.targetLanguage || 'en';
+        this.sourceLanguage = opts.sourceLanguage || 'auto';
+
+        const paragraphs = this.findParagraphs(opts.root || document.body);
+        console.log(`[Brief AI] Bilingual reading: ${paragraphs.length} paragraphs (${this.sourceLanguage} -> ${this.targetLanguage})`);
+
+        // Translate what the reader sees first, the rest as it scrolls into view
+        this.visibilityObserver = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                if (!entry.isIntersecting) return;
+                this.visibilityObserver.unobserve(entry.target);
+                this.enqueue(entry.target);
+            });
+        }, { rootMargin: '200px 0px' });
+
+        paragraphs.forEach((paragraph) => {
+            this.sourceTexts.set(paragraph, (paragraph.innerText || paragraph.textContent || '').trim());
+            this.blocks.set(paragraph, this.createTranslationBlock(paragraph));
+            this.visibilityObserver.observe(paragraph);
+        });
+    }
+
+    stop() {
+        this.active = false;
+        this.visibilityObserver?.disconnect();
+        this.visibilityObserver = null;
+        this.queue = [];
+        this.current = null;
+
+        // Disconnecting aborts the translation in flight
+        this.port?.disconnect();
+        this.port = null;
+
+        this.blocks.forEach(block => block.remove());
+        this.blocks.clear();
+        this.sourceTexts.clear();
+    }
+
+    toggle(opts = {}) {
+        if (this.active) {
+            this.stop();
+        } else {
+            this.start(opts);
+        }
+        return this.getState();
+    }
+
+    // Leaf text blocks only, so nested markup never gets two translations
+    findParagraphs(root) {
+        return Array.from(root.querySelectorAll(this.blockSelector)).filter((el) => {
+            if (el.closest(this.skipSelector)) return false;
+            if (el.querySelector(this.blockSelector)) return false;
+
+            const text = (el.innerText || el.textContent || '').trim();
+            return text.length > 1 && /\p{L}/u.test(text);
+        });
+    }
+
+    // ===== TRANSLATION BLOCKS =====
+    createTranslationBlock(paragraph) {
+        const block = document.createElement('div');
+        block.className = 'brief-ai-bilingual notranslate';
+        block.setAttribute('translate', 'no');
+        block.setAttribute('lang', this.targetLanguage);
+        block.style.cssText = `
+            display: flex;
+            align-items: flex-start;
+            gap: 8px;
+            margin: 4px 0 12px;
+            padding: 6px 10px;
+            border-left: 3px solid #6366f1;
+            border-radius: 4px;
+            background: rgba(99, 102, 241, 0.08);
+            color: inherit;
+            font-size: 0.95em;
+            font-style: normal;
+            font-weight: normal;
+            line-height: 1.5;
+            text-align: start;
+        `;
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.textContent = '▾';
+        toggle.title = 'Hide translation';
+        toggle.style.cssText = `
+            flex: none;
+            padding: 0 4px;
+            border: none;
+            background: none;
+            color: #6366f1;
+            font: inherit;
+            cursor: pointer;
+        `;
+
+        const text = document.createElement('span');
+        text.className = 'brief-ai-bilingual-text';
+        text.textContent = '…';
+        text.style.cssText = 'flex: 1; white-space: pre-wrap;';
+
+        // Per-paragraph toggle: collapse or expand this translation only
+        toggle.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            const collapsed = text.style.display !== 'none';
+            text.style.display = collapsed ? 'none' : '';
+            toggle.textContent = collapsed ? '▸' : '▾';
+            toggle.title = collapsed ? 'Show translation' : 'Hide translation';
+        });
+
+        block.append(toggle, text);
+        if (this.insideTags.has(paragraph.tagName)) {
+            paragraph.appendChild(block);
+        } else {
+            paragraph.after(block);
+        }
+        return block;
+    }
+
+    setBlockText(paragraph, value, isError = false) {
+        const text = this.blocks.get(paragraph)?.querySelector('.brief-ai-bilingual-text');
+        if (!text) return;
+        text.textContent = value;
+        text.style.color = isError ? '#ef4444' : '';
+    }
+
+    // ===== STREAMING QUEUE =====
+    enqueue(paragraph) {
+        if (!this.active || !this.blocks.has(paragraph)) return;
+        this.queue.push(paragraph);
+        if (!this.current) this.next();
+    }
+
+    getPort() {
+        if (this.port) return this.port;
+
+        this.port = chrome.runtime.connect({ name: 'translate-stream' });
+        this.port.onMessage.addListener(msg => this.handlePortMessage(msg));
+        this.port.onDisconnect.addListener(() => {
+            this.port = null;
+            // The background went away mid-paragraph (service worker restart): carry on with a new port
+            if (this.active && this.current) {
+                this.queue.unshift(this.current);
+                this.current = null;
+                this.next();
+            }
+        });
+        return this.port;
+    }
+
+    next() {
+        this.current = null;
+        while (this.active && this.queue.length) {
+            const paragraph = this.queue.shift();
+            if (!paragraph.isConnected || !this.blocks.has(paragraph)) continue;
+
+            const text = this.sourceTexts.get(paragraph);
+            if (!text) continue;
+
+            this.current = paragraph;
+            this.getPort().postMessage({
+                action: 'TRANSLATE_STREAM',
+                text,
+                targetLanguage: this.targetLanguage,
+                sourceLanguage: this.sourceLanguage
+            });
+            return;
+        }
+    }
+
+    handlePortMessage(msg) {
+        const paragraph = this.current;
+        if (!this.active || !paragraph) return;
+
+        if (msg.type === 'chunk') {
+            this.setBlockText(paragraph, msg.chunk);
+        } else if (msg.type === 'done') {
+            this.next();
+        } else if (msg.type === 'error') {
+            console.warn('[Brief AI] Bilingual translation failed:', msg.error);
+            this.setBlockText(paragraph, `⚠️ ${msg.error || 'Translation failed'}`, true);
+            this.next();
+        } else if (msg.type === 'aborted') {
+            this.next();
+        }
+    }
+}
@@ -0,0 +1,158 @@
+// Content Script - Caption buffer for live translation
+// Rolling captions (YouTube) re-render the same words many times as lines scroll. Each snapshot is merged
+// with the previous one so only new words are buffered; a segment is translated once it ends a sentence,
+// once the buffer outgrows CAPTION_MAX_WORDS (its stable prefix: the newest words may still be revised),
+// or after a pause. Segments that were just emitted are not repeated.
+
+const CAPTION_SENTENCE_END = /[.!?…。！？]["'”’)\]]*$/;
+const CAPTION_CLAUSE_END = /[,;:，、；：]["'”’)\]]*$/;
+const CAPTION_MAX_WORDS = 20;
+const CAPTION_UNSTABLE_WORDS = 2;
+const CAPTION_IDLE_MS = 1500;
+const CAPTION_RECENT_SEGMENTS = 8;
+
+class CaptionBuffer {
+    /**
+     * @param {Object} options
+     * @param {(text: string, info: {startedAt: number}) => void} options.onSegment - Called with each segment to translate
+     */
+    constructor({ onSegment, idleMs = CAPTION_IDLE_MS, maxWords = CAPTION_MAX_WORDS } = {}) {
+        this.onSegment = onSegment;
+        this.idleMs = idleMs;
+        this.maxWords = maxWords;
+        this.idleTimer = null;
+        this.reset();
+    }
+
+    reset() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        this.snapshot = []; // Words of the last caption snapshot
+        this.pending = []; // Words not emitted yet
+        this.pendingSince = 0; // When the first pending word appeared
+        this.recent = []; // Normalized recently emitted segments
+    }
+
+    words(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+    }
+
+    // Case and punctuation don't make a word different: auto-captions add them late
+    normalize(word) {
+        return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    }
+
+    /**
+     * Number of words the new snapshot shares with the end of the previous one
+     * One shared word only counts when it is the whole previous snapshot: "the" ending one caption
+     * and starting an unrelated one is not a roll.
+     */
+    overlap(previous, next) {
+        const a = previous.map(w => this.normalize(w));
+        const b = next.map(w => this.normalize(w));
+
+        for (let k = Math.min(a.length, b.length); k > 0; k--) {
+            let matches = true;
+            for (let i = 0; i < k; i++) {
+                if (a[a.length - k + i] !== b[i]) {
+                    matches = false;
+                    break;
+                }
+            }
+            if (matches && (k >= 2 || k === a.length)) return k;
+        }
+        return 0;
+    }
+
+    /**
+     * Add the caption text currently on screen
+     * @param {string} text - Full caption snapshot (all visible lines)
+     */
+    push(text, now = Date.now()) {
+        const next = this.words(text);
+        if (!next.length) return;
+
+        const previous = this.snapshot;
+        this.snapshot = next;
+
+        // A revised word keeps the segment's start time, even when it was the only one buffered
+        let since = this.pending.length ? this.pendingSince : now;
+        let added;
+        const shared = this.overlap(previous, next);
+        if (shared) {
+            added = next.slice(shared);
+        } else {
+            // The newest word may have been revised ("Hel" -> "Hello"): replace it instead of repeating the line
+            const kept = previous.length > 1 ? this.overlap(previous.slice(0, -1), next) : 0;
+            const first = previous.length === 1 ? this.normalize(previous[0]) : '';
+            const revised = kept > 0 || (first && this.normalize(next[0]).startsWith(first));
+            if (revised && this.pending.length) {
+                this.pending.pop();
+                added = next.slice(kept);
+            } else if (revised) {
+                added = next.slice(kept + 1);
+            } else {
+                // An unrelated caption (new speaker, scene cut): what was buffered is a segment of its own
+                this.flush();
+                since = now;
+                added = next;
+            }
+        }
+
+        if (!added.length) return;
+
+        this.pendingSince = since;
+        this.pending.push(...added);
+        this.emitReady(now);
+        this.scheduleFlush();
+    }
+
+    // Complete sentences first, then the stable prefix of a long unpunctuated run
+    emitReady(now) {
+        let sentenceEnd = -1;
+        this.pending.forEach((word, i) => {
+            if (CAPTION_SENTENCE_END.test(word)) sentenceEnd = i;
+        });
+        if (sentenceEnd !== -1) {
+            this.emit(this.pending.splice(0, sentenceEnd + 1));
+            this.pendingSince = now;
+        }
+
+        if (this.pending.length >= this.maxWords) {
+            const stable = this.pending.length - CAPTION_UNSTABLE_WORDS;
+            let cut = stable;
+            // Prefer a clause boundary in the second half of the stable words
+            for (let i = stable - 1; i >= Math.floor(stable / 2); i--) {
+                if (CAPTION_CLAUSE_END.test(this.pending[i])) {
+                    cut = i + 1;
+                    break;
+                }
+            }
+            this.emit(this.pending.splice(0, cut));
+            this.pendingSince = now;
+        }
+    }
+
+    emit(words) {
+        const text = words.join(' ');
+        const key = text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        if (!key || this.recent.includes(key)) return;
+
+        this.recent.push(key);
+        if (this.recent.length > CAPTION_RECENT_SEGMENTS) this.recent.shift();
+        this.onSegment?.(text, { startedAt: this.pendingSince });
+    }
+
+    // Emit whatever is buffered (a pause in the captions ends the segment)
+    flush() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (!this.pending.length) return;
+        this.emit(this.pending.splice(0));
+    }
+
+    scheduleFlush() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.flush(), this.idleMs);
+    }
+}
@@ -0,0 +1,685 @@
+// Content Script - Inline proofreading
+// Proofreads textareas and contenteditable fields once typing pauses, underlines the errors in place
+// and offers each correction in a popover. Turned on per site (or everywhere) from the Proofread tab.
+
+const INLINE_PROOFREAD_SETTINGS_KEY = 'inlineProofreading';
+const INLINE_PROOFREAD_HIGHLIGHT = 'brief-ai-proofread';
+
+class InlineProofreaderController {
+    constructor() {
+        this.settings = { enabled: false, sites: {} };
+        this.hostname = window.location.hostname;
+        this.active = false;
+        this.fields = new Map(); // Field element -> { text, corrections, segments, timer, requestId, mirror }
+        this.ignored = new Set(); // "original→replacement" pairs dismissed on this page
+        this.unsupportedLanguages = new Set(); // Languages the Proofreader API can't check
+        this.popover = null;
+        this.highlight = null;
+        this.repositionFrame = null;
+
+        this.debounceMs = 1200;
+        this.maxLength = 10000;
+
+        this.onFocusIn = this.onFocusIn.bind(this);
+        this.onInput = this.onInput.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onDocumentMouseDown = this.onDocumentMouseDown.bind(this);
+        this.onViewportChange = this.onViewportChange.bind(this);
+    }
+
+    async init() {
+        try {
+            const result = await chrome.storage.sync.get([INLINE_PROOFREAD_SETTINGS_KEY]);
+            this.applySettings(result[INLINE_PROOFREAD_SETTINGS_KEY]);
+        } catch (e) {
+            console.warn('[Brief AI] Inline proofreading settings unavailable:', e);
+        }
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes[INLINE_PROOFREAD_SETTINGS_KEY]) {
+                this.applySettings(changes[INLINE_PROOFREAD_SETTINGS_KEY].newValue);
+            }
+        });
+    }
+
+    applySettings(settings) {
+        this.settings = { enabled: false, sites: {}, ...(settings || {}) };
+        const enabled = this.settings.sites[this.hostname] ?? this.settings.enabled;
+        if (enabled && !this.active) this.start();
+        if (!enabled && this.active) this.stop();
+    }
+
+    getState() {
+        return { active: this.active, hostname: this.hostname, fields: this.fields.size };
+    }
+
+    start() {
+        this.active = true;
+        document.addEventListener('focusin', this.onFocusIn, true);
+        document.addEventListener('input', this.onInput, true);
+        document.addEventListener('mouseup', this.onPointerUp, true);
+        document.addEventListener('keyup', this.onKeyUp, true);
+        document.addEventListener('mousedown', this.onDocumentMouseDown, true);
+        window.addEventListener('scroll', this.onViewportChange, true);
+        window.addEventListener('resize', this.onViewportChange);
+
+        // A field that already has focus when proofreading gets turned on
+        const field = this.findField(document.activeElement);
+        if (field) this.schedule(field, 0);
+        console.log(`[Brief AI] Inline proofreading enabled on ${this.hostname}`);
+    }
+
+    stop() {
+        this.active = false;
+        document.removeEventListener('focusin', this.onFocusIn, true);
+        document.removeEventListener('input', this.onInput, true);
+        document.removeEventListener('mouseup', this.onPointerUp, true);
+        document.removeEventListener('keyup', this.onKeyUp, true);
+        document.removeEventListener('mousedown', this.onDocumentMouseDown, true);
+        window.removeEventListener('scroll', this.onViewportChange, true);
+        window.removeEventListener('resize', this.onViewportChange);
+
+        this.fields.forEach((state, field) => this.detach(field));
+        this.fields.clear();
+        this.hidePopover();
+        CSS.highlights?.delete(INLINE_PROOFREAD_HIGHLIGHT);
+        this.highlight = null;
+    }
+
+    // ===== FIELDS =====
+    // Textareas and the root of contenteditable regions; code editors usually turn spellcheck off
+    findField(target) {
+        if (!(target instanceof Element)) return null;
+        if (target.closest('#brief-ai-overlay, .brief-ai-proofread-popover')) return null;
+
+        let field = null;
+        if (target.tagName === 'TEXTAREA') {
+            if (target.readOnly || target.disabled) return null;
+            field = target;
+        } else if (target.isContentEditable) {
+            field = target;
+            while (field.parentElement?.isContentEditable) field = field.parentElement;
+        }
+
+        if (!field || field.getAttribute('spellcheck') === 'false') return null;
+        return field;
+    }
+
+    isTextarea(field) {
+        return field.tagName === 'TEXTAREA';
+    }
+
+    fieldState(field) {
+        if (!this.fields.has(field)) {
+            this.fields.set(field, { text: '', corrections: [], segments: [], timer: null, requestId: null, mirror: null, applying: false });
+            if (this.isTextarea(field)) field.addEventListener('scroll', this.onViewportChange);
+        }
+        return this.fields.get(field);
+    }
+
+    detach(field) {
+        const state = this.fields.get(field);
+        if (!state) return;
+        clearTimeout(state.timer);
+        this.cancel(state);
+        state.mirror?.remove();
+        field.removeEventListener('scroll', this.onViewportChange);
+    }
+
+    /**
+     * Current text of a field; contenteditable text is read from its text nodes so offsets map back to the DOM
+     * @returns {{text: string, segments: Array<{node: Text, start: number, end: number}>}}
+     */
+    readField(field) {
+        if (this.isTextarea(field)) return { text: field.value, segments: [] };
+
+        const segments = [];
+        let text = '';
+        let lastBlock = null;
+        const walker = document.createTreeWalker(field, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT, {
+            acceptNode: node => node.nodeType === Node.TEXT_NODE || node.tagName === 'BR'
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_SKIP
+        });
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType !== Node.TEXT_NODE) {
+                text += '\n';
+                continue;
+            }
+
+            // Paragraphs are separate sentences: keep a line break between blocks
+            const block = this.blockOf(node, field);
+            if (lastBlock && block !== lastBlock && !text.endsWith('\n')) text += '\n';
+            lastBlock = block;
+
+            segments.push({ node, start: text.length, end: text.length + node.nodeValue.length });
+            text += node.nodeValue;
+        }
+
+        return { text, segments };
+    }
+
+    blockOf(node, field) {
+        let el = node.parentElement;
+        while (el && el !== field && getComputedStyle(el).display.startsWith('inline')) {
+            el = el.parentElement;
+        }
+        return el;
+    }
+
+    // DOM range of a [start, end) span of a contenteditable field's text
+    rangeFor(state, start, end) {
+        const first = state.segments.find(s => start >= s.start && start < s.end);
+        const last = state.segments.find(s => end > s.start && end <= s.end);
+        if (!first || !last || !first.node.isConnected || !last.node.isConnected) return null;
+
+        const range = new Range();
+        range.setStart(first.node, start - first.start);
+        range.setEnd(last.node, end - last.start);
+        return range;
+    }
+
+    // ===== PROOFREADING =====
+    onFocusIn(event) {
+        const field = this.findField(event.target);
+        if (field && !this.fields.has(field)) this.schedule(field, 0);
+    }
+
+    onInput(event) {
+        const field = this.findField(event.target);
+        if (!field) return;
+
+        // Offsets are stale as soon as the text changes
+        const state = this.fieldState(field);
+        if (state.applying) return;
+        state.corrections = [];
+        this.render(field);
+        this.hidePopover();
+        this.schedule(field, this.debounceMs);
+    }
+
+    schedule(field, delay) {
+        const state = this.fieldState(field);
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this.proofread(field);
+        }, delay);
+    }
+
+    cancel(state) {
+        if (state.requestId) {
+            chrome.runtime.sendMessage({ action: 'CANCEL_REQUEST', requestId: state.requestId }).catch(() => {});
+            state.requestId = null;
+        }
+    }
+
+    async proofread(field) {
+        if (!this.active || !field.isConnected) return;
+
+        const state = this.fieldState(field);
+        const { text, segments } = this.readField(field);
+        const language = this.languageOf(field);
+        if (!text.trim() || text.length > this.maxLength || !/\p{L}/u.test(text) || this.unsupportedLanguages.has(language)) {
+            state.corrections = [];
+            this.render(field);
+            return;
+        }
+
+        this.cancel(state);
+        const requestId = `inline-proofread-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        state.requestId = requestId;
+
+        try {
+            const resp = await chrome.runtime.sendMessage({
+                action: 'PROOFREAD',
+                requestId,
+                text,
+                language
+            });
+            if (state.requestId !== requestId) return;
+            state.requestId = null;
+
+            if (resp?.unsupportedLanguage) {
+                // Fields in this language are left alone from now on
+                this.unsupportedLanguages.add(language);
+                return;
+            }
+            if (!resp?.success) {
+                if (!resp?.aborted) console.warn('[Brief AI] Inline proofreading failed:', resp?.error);
+                return;
+            }
+
+            // The user kept typing while the request was in flight
+            if (!this.active || this.readField(field).text !== text) return;
+
+            state.text = text;
+            state.segments = segments;
+            state.corrections = (resp.data.corrections || [])
+                .filter(c => c.endIndex > c.startIndex || c.correction)
+                .sort((a, b) => a.startIndex - b.startIndex);
+            this.render(field);
+        } catch (e) {
+            console.warn('[Brief AI] Inline proofreading failed:', e);
+        }
+    }
+
+    languageOf(field) {
+        const lang = field.closest('[lang]')?.getAttribute('lang') || document.documentElement.lang || navigator.language;
+        return (lang || 'en').split('-')[0].toLowerCase();
+    }
+
+    ignoreKey(state, correction) {
+        return `${state.text.slice(correction.startIndex, correction.endIndex)}→${correction.correction}`;
+    }
+
+    visibleCorrections(state) {
+        return state.corrections.filter(c => !this.ignored.has(this.ignoreKey(state, c)));
+    }
+
+    // ===== UNDERLINES =====
+    render(field) {
+        if (this.isTextarea(field)) {
+            this.renderMirror(field);
+        } else {
+            this.renderHighlights();
+        }
+    }
+
+    // contenteditable: CSS Custom Highlights underline the text without touching the page's DOM
+    renderHighlights() {
+        if (!CSS.highlights || typeof Highlight === 'undefined') return;
+
+        if (!this.highlight) {
+            this.highlight = new Highlight();
+            CSS.highlights.set(INLINE_PROOFREAD_HIGHLIGHT, this.highlight);
+            this.injectStyles();
+        }
+        this.highlight.clear();
+
+        this.fields.forEach((state, field) => {
+            if (this.isTextarea(field) || !field.isConnected) return;
+            this.visibleCorrections(state).forEach((correction) => {
+                const range = this.rangeFor(state, correction.startIndex, Math.max(correction.endIndex, correction.startIndex + 1));
+                if (range) this.highlight.add(range);
+            });
+        });
+    }
+
+    injectStyles() {
+        if (document.getElementById('brief-ai-proofread-style')) return;
+        const style = document.createElement('style');
+        style.id = 'brief-ai-proofread-style';
+        style.textContent = `::highlight(${INLINE_PROOFREAD_HIGHLIGHT}) {
+            text-decoration: underline wavy #ef4444;
+            text-decoration-skip-ink: none;
+        }`;
+        (document.head || document.documentElement).appendChild(style);
+    }
+
+    // Textareas can't style parts of their text: a transparent copy laid over the field carries the underlines
+    renderMirror(field) {
+        const state = this.fieldState(field);
+        const corrections = this.visibleCorrections(state);
+
+        if (!corrections.length) {
+            state.mirror?.remove();
+            state.mirror = null;
+            return;
+        }
+
+        if (!state.mirror) {
+            state.mirror = document.createElement('div');
+            state.mirror.className = 'brief-ai-proofread-mirror';
+            state.mirror.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(state.mirror);
+        }
+
+        const mirror = state.mirror;
+        mirror.replaceChildren();
+        let last = 0;
+        corrections.forEach((correction, index) => {
+            if (correction.startIndex < last) return;
+            mirror.append(state.text.slice(last, correction.startIndex));
+
+            const mark = document.createElement('span');
+            mark.dataset.index = index;
+            // Insertions have no text to underline: mark the character after them
+            mark.textContent = state.text.slice(correction.startIndex, Math.max(correction.endIndex, correction.startIndex + 1));
+            mark.style.cssText = 'text-decoration: underline wavy #ef4444; text-decoration-skip-ink: none;';
+            mirror.append(mark);
+            last = correction.startIndex + mark.textContent.length;
+        });
+        // A trailing line break needs something after it to take up space
+        mirror.append(state.text.slice(last) + '\u200b');
+
+        this.positionMirror(field, mirror);
+    }
+
+    positionMirror(field, mirror) {
+        const style = getComputedStyle(field);
+        const rect = field.getBoundingClientRect();
+        const copied = [
+            'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+            'textTransform', 'textIndent', 'textAlign', 'wordSpacing', 'tabSize', 'direction',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+            'borderTopStyle', 'borderRightStyle', 'borderBottomStyle', 'borderLeftStyle'
+        ];
+        copied.forEach((prop) => { mirror.style[prop] = style[prop]; });
+
+        // Leave room for the textarea's scrollbar so lines wrap at the same place
+        const borders = parseFloat(style.borderLeftWidth) + parseFloat(style.borderRightWidth);
+        const scrollbar = Math.max(0, field.offsetWidth - field.clientWidth - borders);
+
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            top: `${rect.top + window.scrollY}px`,
+            left: `${rect.left + window.scrollX}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+            paddingRight: `${parseFloat(style.paddingRight) + scrollbar}px`,
+            boxSizing: 'border-box',
+            borderColor: 'transparent',
+            color: 'transparent',
+            background: 'transparent',
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            overflow: 'hidden',
+            pointerEvents: 'none',
+            zIndex: '2147483646',
+            margin: '0'
+        });
+        mirror.scrollTop = field.scrollTop;
+        mirror.scrollLeft = field.scrollLeft;
+        mirror.style.display = rect.width && rect.height ? '' : 'none';
+    }
+
+    onViewportChange() {
+        if (this.repositionFrame) return;
+        this.repositionFrame = requestAnimationFrame(() => {
+            this.repositionFrame = null;
+            this.fields.forEach((state, field) => {
+                if (!field.isConnected) {
+                    this.detach(field);
+                    this.fields.delete(field);
+                } else if (state.mirror) {
+                    this.positionMirror(field, state.mirror);
+                }
+            });
+            this.hidePopover();
+        });
+    }
+
+    // ===== POPOVER =====
+    onPointerUp(event) {
+        if (event.target instanceof Element && event.target.closest('.brief-ai-proofread-popover')) return;
+        this.showCorrectionAtCaret(event.target);
+    }
+
+    onKeyUp(event) {
+        if (event.key === 'Escape') {
+            this.hidePopover();
+            return;
+        }
+        if (event.key.startsWith('Arrow') || event.key === 'Home' || event.key === 'End') {
+            this.showCorrectionAtCaret(event.target);
+        }
+    }
+
+    onDocumentMouseDown(event) {
+        if (this.popover && !this.popover.contains(event.target)) this.hidePopover();
+    }
+
+    caretOffset(field, state) {
+        if (this.isTextarea(field)) {
+            return field.selectionStart === field.selectionEnd ? field.selectionStart : -1;
+        }
+
+        const selection = window.getSelection();
+        if (!selection?.rangeCount || !selection.isCollapsed) return -1;
+        const segment = state.segments.find(s => s.node === selection.anchorNode);
+        return segment ? segment.start + selection.anchorOffset : -1;
+    }
+
+    showCorrectionAtCaret(target) {
+        const field = this.findField(target);
+        const state = field && this.fields.get(field);
+        if (!state?.corrections.length) {
+            this.hidePopover();
+            return;
+        }
+
+        const offset = this.caretOffset(field, state);
+        const corrections = this.visibleCorrections(state);
+        const index = corrections.findIndex(c => offset >= c.startIndex && offset <= Math.max(c.endIndex, c.startIndex + 1));
+        if (index === -1) {
+            this.hidePopover();
+            return;
+        }
+
+        const correction = corrections[index];
+        const anchor = this.isTextarea(field)
+            ? state.mirror?.querySelector(`[data-index="${index}"]`)?.getBoundingClientRect()
+            : this.rangeFor(state, correction.startIndex, Math.max(correction.endIndex, correction.startIndex + 1))?.getBoundingClientRect();
+        if (anchor) this.showPopover(field, correction, anchor);
+    }
+
+    showPopover(field, correction, anchor) {
+        this.hidePopover();
+        const state = this.fields.get(field);
+        const original = state.text.slice(correction.startIndex, correction.endIndex);
+
+        const popover = document.createElement('div');
+        popover.className = 'brief-ai-proofread-popover notranslate';
+        popover.setAttribute('translate', 'no');
+        popover.style.cssText = `
+            position: fixed;
+            top: ${Math.min(anchor.bottom + 6, window.innerHeight - 90)}px;
+            left: ${Math.max(8, Math.min(anchor.left, window.innerWidth - 280))}px;
+            z-index: 2147483647;
+            max-width: 270px;
+            padding: 8px 10px;
+            border-radius: 8px;
+            background: #1f2937;
+            color: #f9fafb;
+            font: 13px/1.4 system-ui, -apple-system, sans-serif;
+            box-shadow: 0 6px 20px rgba(0, 0, 0, 0.25);
+        `;
+
+        const change = document.createElement('div');
+        change.style.cssText = 'margin-bottom: 8px; word-break: break-word;';
+        if (original) {
+            const del = document.createElement('del');
+            del.textContent = original;
+            del.style.cssText = 'color: #fca5a5;';
+            change.append(del, ' → ');
+        }
+        const ins = document.createElement('strong');
+        ins.textContent = correction.correction || '(remove)';
+        ins.style.cssText = 'color: #86efac;';
+        change.append(ins);
+
+        const types = correction.types || (correction.type ? [correction.type] : []);
+        if (types.length) {
+            const type = document.createElement('div');
+            type.textContent = types.join(', ');
+            type.style.cssText = 'margin-top: 2px; color: #9ca3af; font-size: 11px;';
+            change.append(type);
+        }
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 6px;';
+        const button = (label, primary, onClick) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = label;
+            btn.style.cssText = `
+                padding: 3px 10px;
+                border: none;
+                border-radius: 4px;
+                background: ${primary ? '#6366f1' : '#374151'};
+                color: #fff;
+                font: inherit;
+                cursor: pointer;
+            `;
+            btn.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                onClick();
+            });
+            return btn;
+        };
+
+        actions.append(
+            button('Accept', true, () => this.accept(field, correction)),
+            button('Ignore', false, () => this.ignore(field, correction))
+        );
+        const word = this.wordAt(state.text, correction);
+        if (word) actions.append(button('Add to dictionary', false, () => this.addToDictionary(field, word)));
+
+        // Keep the focus (and caret) in the field while the popover is used
+        popover.addEventListener('mousedown', event => event.preventDefault());
+        popover.append(change, actions);
+        document.body.appendChild(popover);
+        this.popover = popover;
+    }
+
+    hidePopover() {
+        this.popover?.remove();
+        this.popover = null;
+    }
+
+    // ===== ACTIONS =====
+    accept(field, correction) {
+        const state = this.fields.get(field);
+        if (!state) return;
+        this.hidePopover();
+
+        const { startIndex, endIndex } = correction;
+        const replacement = correction.correction || '';
+        field.focus();
+
+        // insertText goes through the editor like typing would: undo works and frameworks see the input event
+        state.applying = true;
+        try {
+            if (this.isTextarea(field)) {
+                field.setSelectionRange(startIndex, endIndex);
+                if (!document.execCommand('insertText', false, replacement)) {
+                    field.setRangeText(replacement, startIndex, endIndex, 'end');
+                    field.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+            } else {
+                const range = this.rangeFor(state, startIndex, endIndex) || this.rangeFor(state, startIndex, startIndex + 1);
+                if (!range) return;
+                if (endIndex === startIndex) range.collapse(true);
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(range);
+                document.execCommand('insertText', false, replacement);
+            }
+        } finally {
+            state.applying = false;
+        }
+
+        // The other corrections stay valid: shift the ones after the replaced span
+        const delta = replacement.length - (endIndex - startIndex);
+        const { text, segments } = this.readField(field);
+        state.text = text;
+        state.segments = segments;
+        state.corrections = state.corrections
+            .filter(c => c !== correction && (c.endIndex <= startIndex || c.startIndex >= endIndex))
+            .map(c => c.startIndex >= endIndex
+                ? { ...c, startIndex: c.startIndex + delta, endIndex: c.endIndex + delta }
+                : c);
+        this.render(field);
+        this.schedule(field, this.debounceMs);
+    }
+
+    // Text inputs can receive a write-back too, even though they aren't proofread inline
+    isTextControl(el) {
+        return el?.tagName === 'TEXTAREA'
+            || (el?.tagName === 'INPUT' && ['text', 'search', 'email', 'url', ''].includes(el.getAttribute('type') || ''));
+    }
+
+    /**
+     * Replace `original` with `replacement` in the field it was selected from (side panel write-back)
+     * The current selection wins; otherwise the first occurrence in the focused field is used.
+     * @returns {boolean} - false when the text can't be found anymore
+     */
+    writeBack(original, replacement) {
+        const active = document.activeElement;
+
+        if (this.isTextControl(active)) {
+            const value = active.value;
+            const selected = value.slice(active.selectionStart, active.selectionEnd);
+            const start = selected.includes(original)
+                ? active.selectionStart + selected.indexOf(original)
+                : value.indexOf(original);
+            if (start === -1) return false;
+
+            active.focus();
+            active.setSelectionRange(start, start + original.length);
+            if (!document.execCommand('insertText', false, replacement)) {
+                active.setRangeText(replacement, start, start + original.length, 'end');
+                active.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            return true;
+        }
+
+        const selection = window.getSelection();
+        const field = this.findField(active) || this.findField(selection?.anchorNode?.parentElement);
+        if (!field) return false;
+
+        let range = null;
+        if (selection?.rangeCount && field.contains(selection.anchorNode) && selection.toString() === original) {
+            range = selection.getRangeAt(0);
+        } else {
+            const { text, segments } = this.readField(field);
+            const start = text.indexOf(original);
+            if (start !== -1) range = this.rangeFor({ segments }, start, start + original.length);
+        }
+        if (!range) return false;
+
+        field.focus();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        if (!document.execCommand('insertText', false, replacement)) {
+            range.deleteContents();
+            range.insertNode(document.createTextNode(replacement));
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        return true;
+    }
+
+    // Whole word around a correction, for the personal dictionary
+    wordAt(text, correction) {
+        let start = correction.startIndex;
+        let end = correction.endIndex;
+        while (start > 0 && /[\p{L}\p{N}_'-]/u.test(text[start - 1])) start--;
+        while (end < text.length && /[\p{L}\p{N}_'-]/u.test(text[end])) end++;
+        const word = text.slice(start, end).trim();
+        return word && !/\s/.test(word) ? word : '';
+    }
+
+    async addToDictionary(field, word) {
+        this.hidePopover();
+        const resp = await chrome.runtime.sendMessage({ action: 'PROOFREAD_RULES_ADD_WORD', word }).catch(() => null);
+        if (!resp?.success) {
+            console.warn('[Brief AI] Could not add to the dictionary:', resp?.error);
+            return;
+        }
+        this.schedule(field, 0);
+    }
+
+    ignore(field, correction) {
+        const state = this.fields.get(field);
+        if (!state) return;
+        this.ignored.add(this.ignoreKey(state, correction));
+        this.hidePopover();
+        this.render(field);
+    }
+}
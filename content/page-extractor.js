@@ -0,0 +1,191 @@
+// Content Script - Main article extraction
+// Finds the main content of the page, drops navigation, ads, comments and boilerplate,
+// and returns plain text that keeps headings, lists and reading order
+
+class PageContentExtractor {
+    constructor() {
+        // Elements that never contain article content
+        this.junkSelectors = [
+            'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'video', 'audio',
+            'nav', 'aside', 'button', 'select', 'input', 'textarea',
+            '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+            '[role="search"]', '[role="dialog"]', '[aria-hidden="true"]', '[hidden]',
+            '[id^="ad-"]', '#brief-ai-overlay'
+        ];
+        // Whole words of a class or id ("post-comments", "share_bar"), so "commentary" or "shared-layout" stay
+        this.junkWords = new Set([
+            'ad', 'ads', 'advert', 'adverts', 'advertisement', 'sponsor', 'sponsored', 'promo', 'promos',
+            'comment', 'comments', 'disqus', 'share', 'sharing', 'social', 'related', 'recommended',
+            'recommendations', 'newsletter', 'subscribe', 'cookie', 'cookies', 'consent', 'sidebar',
+            'breadcrumb', 'breadcrumbs', 'pagination'
+        ]);
+        // Class/id words of the site's own layout: like <header>/<footer>, only junk outside the article
+        this.layoutWords = new Set(['header', 'footer', 'masthead']);
+        // Sectioning elements whose own header/footer (title, lede, byline) are part of the article
+        this.articleSelector = 'article, main, [role="main"], [itemprop="articleBody"]';
+        this.blockTags = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'BLOCKQUOTE', 'PRE', 'FIGCAPTION', 'TD', 'TH', 'DT', 'DD']);
+    }
+
+    /**
+     * Extract the main article of the current page
+     * @returns {{title: string, url: string, text: string, length: number}}
+     */
+    extract() {
+        const root = this.findMainRoot();
+        const clone = root.cloneNode(true);
+        this.removeJunk(clone, root === document.body);
+
+        const blocks = this.collectBlocks(clone);
+        const text = blocks.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+        return {
+            title: this.getTitle(),
+            url: window.location.href,
+            text,
+            length: text.length
+        };
+    }
+
+    getTitle() {
+        const ogTitle = document.querySelector('meta[property="og:title"]')?.content;
+        const h1 = document.querySelector('article h1, main h1, h1')?.textContent;
+        return (ogTitle || document.title || h1 || '').trim();
+    }
+
+    // Prefer semantic containers, otherwise score containers by the paragraph text they hold
+    findMainRoot() {
+        const semantic = Array.from(document.querySelectorAll(this.articleSelector))
+            .filter(el => this.visibleTextLength(el) > 500)
+            .sort((a, b) => this.visibleTextLength(b) - this.visibleTextLength(a));
+        if (semantic.length) return semantic[0];
+
+        const scores = new Map();
+        document.querySelectorAll('p, pre, blockquote').forEach((p) => {
+            const length = (p.textContent || '').trim().length;
+            if (length < 40) return;
+
+            const parent = p.parentElement;
+            const grandparent = parent?.parentElement;
+            if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+            if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+        });
+
+        let best = document.body;
+        let bestScore = 0;
+        scores.forEach((score, el) => {
+            const adjusted = score * (1 - this.linkDensity(el));
+            if (adjusted > bestScore) {
+                best = el;
+                bestScore = adjusted;
+            }
+        });
+
+        return best;
+    }
+
+    visibleTextLength(el) {
+        return (el.innerText || el.textContent || '').trim().length;
+    }
+
+    linkDensity(el) {
+        const textLength = (el.textContent || '').length || 1;
+        const linkLength = Array.from(el.querySelectorAll('a'))
+            .reduce((sum, a) => sum + (a.textContent || '').length, 0);
+        return Math.min(1, linkLength / textLength);
+    }
+
+    removeJunk(root, isPageRoot) {
+        root.querySelectorAll(this.junkSelectors.join(',')).forEach(el => el.remove());
+
+        root.querySelectorAll('[class], [id]').forEach((el) => {
+            if (this.hasJunkWord(el)) el.remove();
+        });
+
+        // Headers and footers inside the chosen root are the article's own (title, lede, byline).
+        // Only when no root was found (the whole body) are they the site's, outside any article.
+        if (isPageRoot) {
+            root.querySelectorAll('header, footer, [class], [id]').forEach((el) => {
+                const layout = el.tagName === 'HEADER' || el.tagName === 'FOOTER' || this.hasJunkWord(el, this.layoutWords);
+                if (layout && !el.parentElement?.closest(this.articleSelector) && !el.querySelector(this.articleSelector)) {
+                    el.remove();
+                }
+            });
+        }
+
+        // Search boxes and sign-up forms, but not a form wrapping the whole page (ASP.NET and the like)
+        root.querySelectorAll('form').forEach((el) => {
+            if (!el.querySelector(`${this.articleSelector}, h1`) && (el.textContent || '').trim().length < 1000) {
+                el.remove();
+            }
+        });
+
+        // Link farms (menus, tag clouds) that slipped through the selectors
+        root.querySelectorAll('ul, ol, div, section').forEach((el) => {
+            const length = (el.textContent || '').trim().length;
+            if (length > 0 && length < 1000 && this.linkDensity(el) > 0.6) {
+                el.remove();
+            }
+        });
+    }
+
+    hasJunkWord(el, words = this.junkWords) {
+        const names = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+        return names
+            .split(/[^A-Za-z0-9]+|(?<=[a-z])(?=[A-Z])/)
+            .some(word => word && words.has(word.toLowerCase()));
+    }
+
+    // Walk the tree in document order and emit one text block per heading/paragraph/list item
+    collectBlocks(root) {
+        const blocks = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+        let node = walker.currentNode;
+
+        while (node) {
+            if (this.blockTags.has(node.tagName) && !this.hasBlockAncestor(node, root)) {
+                const block = this.formatBlock(node);
+                if (block) blocks.push(block);
+            }
+            node = walker.nextNode();
+        }
+
+        // Pages without block markup (plain divs): fall back to the raw text
+        if (blocks.length === 0) {
+            const raw = (root.innerText || root.textContent || '').trim();
+            if (raw) blocks.push(raw);
+        }
+
+        return blocks;
+    }
+
+    hasBlockAncestor(node, root) {
+        let parent = node.parentElement;
+        while (parent && parent !== root) {
+            if (this.blockTags.has(parent.tagName) && parent.tagName !== 'TD' && parent.tagName !== 'TH') return true;
+            parent = parent.parentElement;
+        }
+        return false;
+    }
+
+    formatBlock(node) {
+        const text = (node.textContent || '').replace(/\s+/g, ' ').trim();
+        if (!text) return '';
+
+        const tag = node.tagName;
+        if (/^H[1-6]$/.test(tag)) {
+            return `${'#'.repeat(Number(tag[1]))} ${text}`;
+        }
+        if (tag === 'LI') {
+            const ordered = node.parentElement?.tagName === 'OL';
+            const index = ordered ? Array.from(node.parentElement.children).indexOf(node) + 1 : 0;
+            return ordered ? `${index}. ${text}` : `- ${text}`;
+        }
+        if (tag === 'BLOCKQUOTE') {
+            return `> ${text}`;
+        }
+        if (tag === 'PRE') {
+            return (node.textContent || '').trim();
+        }
+        return text;
+    }
+}
@@ -0,0 +1,268 @@
+// Content Script - In-place page translation
+// Swaps the text of DOM text nodes for their translation without touching the markup,
+// keeps the originals so the page can be restored, and follows content loaded later
+
+class PageTranslatorController {
+    constructor() {
+        this.active = false;
+        this.targetLanguage = 'en';
+        this.sourceLanguage = 'auto'; // Detected on the first batch, then reused
+        this.originals = new Map(); // Text node -> original text
+        this.translated = new WeakMap(); // Text node -> text we wrote (to ignore our own mutations)
+        this.queue = new Set();
+        this.mutationObserver = null;
+        this.flushTimer = null;
+        this.running = false;
+        this.requestId = null;
+        this.session = 0;
+        this.done = 0;
+        this.total = 0;
+
+        // Subtrees whose text must stay as-is
+        this.skipSelector = [
+            'script', 'style', 'noscript', 'template', 'code', 'pre', 'kbd', 'samp', 'var',
+            'textarea', 'input', 'select', 'svg', 'math', 'iframe',
+            '[contenteditable=""]', '[contenteditable="true"]', '[translate="no"]', '.notranslate',
+            '#brief-ai-overlay'
+        ].join(',');
+        this.batchSize = 25;
+        this.batchChars = 2500;
+    }
+
+    getState() {
+        return {
+            active: this.active,
+            targetLanguage: this.targetLanguage,
+            sourceLanguage: this.sourceLanguage,
+            translatedNodes: this.originals.size
+        };
+    }
+
+    start(opts = {}) {
+        const targetLanguage = opts.targetLanguage || 'en';
+        if (this.active && targetLanguage === this.targetLanguage) return;
+        if (this.active) this.restore({ silent: true });
+
+        this.active = true;
+        this.session++;
+        this.targetLanguage = targetLanguage;
+        this.sourceLanguage = opts.sourceLanguage || 'auto';
+        this.done = 0;
+        this.total = 0;
+
+        console.log(`[Brief AI] Translating page to ${this.targetLanguage}`);
+
+        this.enqueue(document.body);
+        this.observe();
+        this.flush();
+    }
+
+    // Put every original text back and stop following the page
+    restore(opts = {}) {
+        this.active = false;
+        this.session++;
+        this.stopObserving();
+        this.cancelPending();
+        this.queue.clear();
+
+        this.originals.forEach((original, node) => {
+            if (node.isConnected) node.nodeValue = original;
+        });
+        this.originals.clear();
+        this.translated = new WeakMap();
+
+        if (!opts.silent) this.postStatus({ state: 'restored' });
+    }
+
+    toggle(opts = {}) {
+        if (this.active) {
+            this.restore();
+        } else {
+            this.start(opts);
+        }
+        return this.getState();
+    }
+
+    // ===== TEXT NODE COLLECTION =====
+    isTranslatable(node) {
+        const text = node.nodeValue;
+        if (!text || !/\p{L}/u.test(text)) return false;
+
+        const parent = node.parentElement;
+        if (!parent || parent.closest(this.skipSelector)) return false;
+
+        return true;
+    }
+
+    enqueue(root) {
+        if (!root) return;
+
+        if (root.nodeType === Node.TEXT_NODE) {
+            if (this.isTranslatable(root)) this.queue.add(root);
+            return;
+        }
+        if (root.nodeType !== Node.ELEMENT_NODE) return;
+        if (root.closest(this.skipSelector)) return;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => this.isTranslatable(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+        });
+        while (walker.nextNode()) {
+            this.queue.add(walker.currentNode);
+        }
+    }
+
+    // Group queued nodes so each request carries a bounded amount of text
+    takeBatch() {
+        const batch = [];
+        let chars = 0;
+
+        for (const node of this.queue) {
+            this.queue.delete(node);
+            if (!node.isConnected || !this.isTranslatable(node)) continue;
+
+            batch.push(node);
+            chars += node.nodeValue.length;
+            if (batch.length >= this.batchSize || chars >= this.batchChars) break;
+        }
+
+        return batch;
+    }
+
+    // ===== TRANSLATION =====
+    async flush() {
+        if (this.running) return;
+        this.running = true;
+        const session = this.session;
+
+        try {
+            this.total = this.done + this.queue.size;
+            this.postStatus({ state: 'translating', done: this.done, total: this.total });
+
+            let batch;
+            while (this.active && session === this.session && (batch = this.takeBatch()).length) {
+                // Whitespace around the text is layout, not content: keep it out of the translator
+                const parts = batch.map((node) => {
+                    const value = node.nodeValue;
+                    const match = value.match(/^(\s*)([\s\S]*?)(\s*)$/);
+                    return { node, value, leading: match[1], text: match[2], trailing: match[3] };
+                });
+
+                const translations = await this.translateTexts(parts.map(p => p.text));
+                if (!this.active || session !== this.session) return;
+
+                parts.forEach((part, i) => {
+                    const translation = translations[i];
+                    // Skip nodes the page changed while the batch was in flight
+                    if (!translation || !part.node.isConnected || part.node.nodeValue !== part.value) return;
+
+                    const value = part.leading + translation + part.trailing;
+                    if (!this.originals.has(part.node)) this.originals.set(part.node, part.value);
+                    this.translated.set(part.node, value);
+                    part.node.nodeValue = value;
+                });
+
+                this.done += batch.length;
+                this.total = Math.max(this.total, this.done + this.queue.size);
+                this.postStatus({ state: 'translating', done: this.done, total: this.total });
+            }
+
+            if (this.active && session === this.session) {
+                this.postStatus({ state: 'done', done: this.done, total: this.total, sourceLanguage: this.sourceLanguage });
+            }
+        } catch (e) {
+            if (session !== this.session) return;
+            console.warn('[Brief AI] Page translation failed:', e);
+            this.restore({ silent: true });
+            this.postStatus({ state: 'error', error: e.message });
+        } finally {
+            this.running = false;
+            this.requestId = null;
+            // Content that arrived during the last batch, or a new session's queue that waited for this one to stop
+            if (this.active && this.queue.size) this.scheduleFlush();
+        }
+    }
+
+    async translateTexts(texts) {
+        this.requestId = `page-translate-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+        const resp = await chrome.runtime.sendMessage({
+            action: 'TRANSLATE_BATCH',
+            requestId: this.requestId,
+            texts,
+            targetLanguage: this.targetLanguage,
+            sourceLanguage: this.sourceLanguage
+        });
+
+        if (!resp?.success) {
+            throw new Error(resp?.error || 'Translation failed');
+        }
+        if (resp.data.sourceLanguage && resp.data.sourceLanguage !== 'auto') {
+            this.sourceLanguage = resp.data.sourceLanguage;
+        }
+        return resp.data.translations || [];
+    }
+
+    cancelPending() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.requestId) {
+            chrome.runtime.sendMessage({ action: 'CANCEL_REQUEST', requestId: this.requestId }).catch(() => {});
+            this.requestId = null;
+        }
+    }
+
+    // ===== CONTENT LOADED LATER =====
+    observe() {
+        this.stopObserving();
+
+        this.mutationObserver = new MutationObserver((mutations) => {
+            if (!this.active) return;
+
+            for (const mutation of mutations) {
+                if (mutation.type === 'characterData') {
+                    const node = mutation.target;
+                    // Our own write, or a node the page rewrote after we translated it
+                    if (this.translated.get(node) === node.nodeValue) continue;
+                    this.originals.delete(node);
+                    this.enqueue(node);
+                } else {
+                    mutation.addedNodes.forEach(node => this.enqueue(node));
+                }
+            }
+
+            if (this.queue.size) this.scheduleFlush();
+        });
+
+        this.mutationObserver.observe(document.body, {
+            childList: true,
+            subtree: true,
+            characterData: true
+        });
+    }
+
+    stopObserving() {
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+    }
+
+    // Debounce bursts of mutations (infinite scroll, client-side rendering)
+    scheduleFlush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, 400);
+    }
+
+    postStatus(status) {
+        chrome.runtime.sendMessage({
+            type: 'PAGE_TRANSLATION_STATUS',
+            url: window.location.href,
+            targetLanguage: this.targetLanguage,
+            ...status
+        }).catch(() => {});
+    }
+}
@@ -0,0 +1,10 @@
+// Caption platform - Coursera
+// A Video.js player: cues are on the video's text tracks, and rendered in the text track display
+
+CaptionPlatforms.register({
+    id: 'coursera',
+    name: 'Coursera',
+    hosts: ['coursera.org'],
+    selectors: ['.vjs-text-track-display .vjs-text-track-cue', '.vjs-text-track-display'],
+    videoTracks: true
+});
@@ -0,0 +1,9 @@
+// Caption platform - Disney+
+
+CaptionPlatforms.register({
+    id: 'disneyplus',
+    name: 'Disney+',
+    hosts: ['disneyplus.com'],
+    selectors: ['.dss-subtitle-renderer-line', '.dss-subtitle-renderer-cue'],
+    minLength: 1
+});
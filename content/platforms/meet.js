@@ -0,0 +1,21 @@
+// Caption platform - Google Meet
+// Captions stack one block per speaker turn: only the latest block is read, without the speaker name
+// The largest video is a participant tile, so subtitles stay anchored to the window
+
+CaptionPlatforms.register({
+    id: 'meet',
+    name: 'Google Meet',
+    hosts: ['meet.google.com'],
+    selectors: [
+        '[role="region"][aria-label*="aption"] .ygicle',
+        '[jsname="dsyhDe"] [jsname="tgaKEf"]',
+        '.iOzk7 [jsname="tgaKEf"]'
+    ],
+    nativeCaptions: ['[role="region"][aria-label*="aption"]', '[jsname="dsyhDe"]', '.iOzk7'],
+    followVideo: false,
+    hint: '🎬 Listening for Google Meet captions...\nTurn on captions in the meeting.',
+    extract(root, registry) {
+        const turns = registry.firstMatch(root, this.selectors);
+        return registry.textOf(turns.slice(-1));
+    }
+});
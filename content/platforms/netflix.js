@@ -0,0 +1,11 @@
+// Caption platform - Netflix
+// Each cue is a span holding one span per line: the lines are read, not the cue too
+
+CaptionPlatforms.register({
+    id: 'netflix',
+    name: 'Netflix',
+    hosts: ['netflix.com'],
+    selectors: ['.player-timedtext-text-container span span', '.player-timedtext-text-container span'],
+    nativeCaptions: ['.player-timedtext-text-container'],
+    minLength: 1
+});
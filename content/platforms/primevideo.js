@@ -0,0 +1,9 @@
+// Caption platform - Prime Video
+
+CaptionPlatforms.register({
+    id: 'primevideo',
+    name: 'Prime Video',
+    hosts: ['primevideo.com'],
+    selectors: ['.atvwebplayersdk-captions-text'],
+    minLength: 1
+});
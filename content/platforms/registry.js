@@ -0,0 +1,77 @@
+// Content Script - Caption platform adapters
+// Each supported site is a module in content/platforms/ that registers an adapter: the hostnames it covers,
+// where its captions render and how to read them. Live translation uses the adapter of the current page,
+// or generic caption detection when no adapter matches.
+
+class CaptionPlatformRegistry {
+    constructor() {
+        this.adapters = [];
+    }
+
+    /**
+     * Register a platform adapter
+     * @param {Object} adapter
+     * @param {string} adapter.id - Platform id, recorded with transcripts
+     * @param {string} adapter.name - Display name
+     * @param {string[]} adapter.hosts - Hostnames, subdomains included
+     * @param {string[]} adapter.selectors - Caption elements, in order of preference: the first one on the page is read
+     * @param {(root: ParentNode, registry: CaptionPlatformRegistry) => string} [adapter.extract] - Custom caption reader
+     * @param {boolean} [adapter.videoTracks] - Also listen to the HTML5 video text tracks
+     * @param {number} [adapter.minLength] - Shorter text is ignored (player labels, stray characters)
+     * @param {string} [adapter.hint] - Overlay text while waiting for the first caption
+     * @param {string[]} [adapter.nativeCaptions] - What to hide when the subtitle overlay replaces the site's captions;
+     *     defaults to the selectors
+     * @param {boolean} [adapter.followVideo] - Anchor the subtitle overlay to the video (false: to the window)
+     */
+    register(adapter) {
+        const registered = {
+            videoTracks: false,
+            minLength: 2,
+            followVideo: true,
+            ...adapter,
+            nativeCaptions: adapter.nativeCaptions || adapter.selectors
+        };
+        // Whether the adapter covers a hostname
+        registered.match = hostname => this.matches(registered, hostname);
+        this.adapters.push(registered);
+    }
+
+    matches(adapter, hostname) {
+        return adapter.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    }
+
+    detect(hostname = window.location.hostname) {
+        return this.adapters.find(adapter => adapter.match(hostname)) || null;
+    }
+
+    get(id) {
+        return this.adapters.find(adapter => adapter.id === id) || null;
+    }
+
+    // Text of the elements matching the first selector present on the page
+    firstMatch(root, selectors) {
+        for (const selector of selectors) {
+            const elements = root.querySelectorAll(selector);
+            if (elements.length) return Array.from(elements);
+        }
+        return [];
+    }
+
+    textOf(elements) {
+        return elements
+            .map(el => el.textContent?.trim())
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    /**
+     * Caption text currently on screen for a platform
+     * @returns {string}
+     */
+    extract(adapter, root = document) {
+        if (adapter.extract) return adapter.extract(root, this) || '';
+        return this.textOf(this.firstMatch(root, adapter.selectors));
+    }
+}
+
+const CaptionPlatforms = new CaptionPlatformRegistry();
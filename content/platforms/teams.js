@@ -0,0 +1,17 @@
+// Caption platform - Microsoft Teams (web)
+// Live captions list one entry per speaker turn: only the latest entry is read
+// The largest video is a participant tile, so subtitles stay anchored to the window
+
+CaptionPlatforms.register({
+    id: 'teams',
+    name: 'Microsoft Teams',
+    hosts: ['teams.microsoft.com', 'teams.live.com'],
+    // Captions only: the meeting chat uses the same chat components and must not be read as subtitles
+    selectors: ['[data-tid="closed-caption-text"]'],
+    followVideo: false,
+    hint: '🎬 Listening for Teams captions...\nTurn on live captions in the meeting.',
+    extract(root, registry) {
+        const turns = registry.firstMatch(root, this.selectors);
+        return registry.textOf(turns.slice(-1));
+    }
+});
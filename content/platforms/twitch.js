@@ -0,0 +1,14 @@
+// Caption platform - Twitch
+// Native captions render in the player's captions container; caption extensions use their own containers
+
+CaptionPlatforms.register({
+    id: 'twitch',
+    name: 'Twitch',
+    hosts: ['twitch.tv'],
+    selectors: [
+        '[data-a-target="player-captions-container"]',
+        '.captions-container',
+        '.caption-line'
+    ],
+    minLength: 3
+});
@@ -0,0 +1,8 @@
+// Caption platform - Udemy
+
+CaptionPlatforms.register({
+    id: 'udemy',
+    name: 'Udemy',
+    hosts: ['udemy.com'],
+    selectors: ['[data-purpose="captions-cue-text"]']
+});
@@ -0,0 +1,9 @@
+// Caption platform - Vimeo
+// Only vimeo.com pages: players embedded on other sites live in an iframe the content script doesn't reach
+
+CaptionPlatforms.register({
+    id: 'vimeo',
+    name: 'Vimeo',
+    hosts: ['vimeo.com'],
+    selectors: ['.vp-captions-line', '.vp-captions > span', '.vp-captions']
+});
@@ -0,0 +1,12 @@
+// Caption platform - YouTube
+// Captions roll: each segment holds the words of one line (see content/caption-buffer.js)
+
+CaptionPlatforms.register({
+    id: 'youtube',
+    name: 'YouTube',
+    hosts: ['youtube.com'],
+    selectors: ['.ytp-caption-segment'],
+    nativeCaptions: ['.ytp-caption-window-container'],
+    videoTracks: true,
+    hint: '🎬 Listening for YouTube captions...\nMake sure CC is enabled!'
+});
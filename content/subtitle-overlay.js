@@ -0,0 +1,337 @@
+// Content Script - Dual-subtitle overlay for live translation
+// Original and translation stacked over the video, styled from the Live tab (chrome.storage.sync).
+// The overlay follows the video's box, moves into the fullscreen element, can be dragged (the position is
+// remembered per site in chrome.storage.local) and can hide the platform's own captions underneath.
+
+const SUBTITLE_OVERLAY_SETTINGS_KEY = 'subtitleOverlay';
+const SUBTITLE_OVERLAY_POSITIONS_KEY = 'subtitleOverlayPositions';
+const SUBTITLE_OVERLAY_DEFAULTS = {
+    fontSize: 22,
+    originalColor: '#d1d5db',
+    translationColor: '#ffffff',
+    backgroundOpacity: 0.75,
+    position: 'bottom', // 'bottom' | 'top', until the overlay is dragged
+    showOriginal: true,
+    hideNativeCaptions: false
+};
+
+// The video captions belong to: the playing one, else the largest
+function subtitleTargetVideo() {
+    const videos = Array.from(document.querySelectorAll('video'));
+    if (!videos.length) return null;
+
+    const area = v => v.clientWidth * v.clientHeight;
+    return videos.find(v => !v.paused && area(v) > 0) || videos.sort((a, b) => area(b) - area(a))[0];
+}
+
+class SubtitleOverlay {
+    constructor() {
+        this.settings = { ...SUBTITLE_OVERLAY_DEFAULTS };
+        this.hostname = window.location.hostname;
+        this.position = null; // Dragged position on this site: center of the overlay, as fractions of the video box
+        this.root = null;
+        this.originalEl = null;
+        this.translationEl = null;
+        this.nativeCaptions = [];
+        this.followVideo = true;
+        this.drag = null;
+        this.frame = null;
+        this.layoutTimer = null;
+
+        this.reposition = this.reposition.bind(this);
+        this.onFullscreenChange = this.onFullscreenChange.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onDoubleClick = this.onDoubleClick.bind(this);
+    }
+
+    async init() {
+        try {
+            const [synced, local] = await Promise.all([
+                chrome.storage.sync.get([SUBTITLE_OVERLAY_SETTINGS_KEY]),
+                chrome.storage.local.get([SUBTITLE_OVERLAY_POSITIONS_KEY])
+            ]);
+            this.applySettings(synced[SUBTITLE_OVERLAY_SETTINGS_KEY]);
+            this.applyPositions(local[SUBTITLE_OVERLAY_POSITIONS_KEY]);
+        } catch (e) {
+            console.warn('[Brief AI] Subtitle settings unavailable:', e);
+        }
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes[SUBTITLE_OVERLAY_SETTINGS_KEY]) {
+                this.applySettings(changes[SUBTITLE_OVERLAY_SETTINGS_KEY].newValue);
+            }
+            if (area === 'local' && changes[SUBTITLE_OVERLAY_POSITIONS_KEY]) {
+                this.applyPositions(changes[SUBTITLE_OVERLAY_POSITIONS_KEY].newValue);
+            }
+        });
+    }
+
+    applySettings(settings) {
+        this.settings = { ...SUBTITLE_OVERLAY_DEFAULTS, ...(settings || {}) };
+        if (!this.root) return;
+        this.applyStyle();
+        this.updateNativeCaptions();
+        this.reposition();
+    }
+
+    applyPositions(positions) {
+        const position = positions?.[this.hostname];
+        this.position = Number.isFinite(position?.x) && Number.isFinite(position?.y) ? position : null;
+        if (this.root && !this.drag) this.reposition();
+    }
+
+    /**
+     * Show the overlay
+     * @param {Object} options
+     * @param {string[]} [options.nativeCaptions] - Selectors of the platform's captions, hidden when the setting is on
+     * @param {boolean} [options.followVideo] - Anchor to the video's box rather than the window
+     */
+    mount({ nativeCaptions = [], followVideo = true } = {}) {
+        this.nativeCaptions = nativeCaptions;
+        this.followVideo = followVideo;
+        if (!this.root) {
+            this.injectStyles();
+
+            const root = document.createElement('div');
+            root.id = 'brief-ai-overlay';
+            root.title = 'Drag to move · double-click to reset';
+            this.originalEl = document.createElement('div');
+            this.originalEl.className = 'brief-ai-subtitle-original';
+            this.translationEl = document.createElement('div');
+            this.translationEl.className = 'brief-ai-subtitle-translation';
+            root.append(this.originalEl, this.translationEl);
+
+            root.addEventListener('pointerdown', this.onPointerDown);
+            root.addEventListener('dblclick', this.onDoubleClick);
+            this.root = root;
+        }
+
+        this.attach();
+        this.applyStyle();
+        this.updateNativeCaptions();
+
+        window.addEventListener('resize', this.reposition);
+        window.addEventListener('scroll', this.reposition, true);
+        document.addEventListener('fullscreenchange', this.onFullscreenChange);
+        // The player can move or be replaced without any event (SPA navigation, theater mode...)
+        this.layoutTimer = setInterval(this.reposition, 1000);
+        this.reposition();
+    }
+
+    unmount() {
+        window.removeEventListener('resize', this.reposition);
+        window.removeEventListener('scroll', this.reposition, true);
+        document.removeEventListener('fullscreenchange', this.onFullscreenChange);
+        clearInterval(this.layoutTimer);
+        this.layoutTimer = null;
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.endDrag();
+
+        this.root?.remove();
+        this.root = null;
+        this.originalEl = null;
+        this.translationEl = null;
+        document.getElementById('brief-ai-native-captions-style')?.remove();
+    }
+
+    // A fixed element under <body> is hidden by a fullscreen player: it has to live inside the fullscreen element
+    attach() {
+        const fullscreen = document.fullscreenElement;
+        const host = fullscreen && fullscreen.tagName !== 'VIDEO' ? fullscreen : document.body;
+        if (this.root.parentNode !== host) host.appendChild(this.root);
+    }
+
+    onFullscreenChange() {
+        if (!this.root) return;
+        this.attach();
+        this.reposition();
+    }
+
+    // ===== TEXT =====
+    // Waiting/listening messages, in place of the subtitles
+    showStatus(text) {
+        if (!this.root) return;
+        this.originalEl.textContent = '';
+        this.originalEl.style.display = 'none';
+        this.translationEl.textContent = text;
+        this.reposition();
+    }
+
+    /**
+     * Show a caption: the original alone while it is being translated, then both
+     */
+    showCaption(original, translated = '') {
+        if (!this.root) return;
+        const showOriginal = this.settings.showOriginal;
+
+        this.originalEl.textContent = showOriginal ? original : '';
+        this.originalEl.style.display = showOriginal ? '' : 'none';
+        this.translationEl.textContent = translated || (showOriginal ? '…' : `⏳ ${original}`);
+        this.reposition();
+    }
+
+    // ===== STYLE =====
+    injectStyles() {
+        if (document.getElementById('brief-ai-subtitle-style')) return;
+        const style = document.createElement('style');
+        style.id = 'brief-ai-subtitle-style';
+        style.textContent = `#brief-ai-overlay {
+            position: fixed;
+            z-index: 2147483647;
+            transform: translate(-50%, -50%);
+            max-width: 85vw;
+            padding: 8px 18px;
+            border-radius: 10px;
+            text-align: center;
+            line-height: 1.35;
+            white-space: pre-line;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            text-shadow: 0 1px 3px rgba(0, 0, 0, 0.8);
+            cursor: move;
+            user-select: none;
+            touch-action: none;
+        }
+        #brief-ai-overlay .brief-ai-subtitle-original {
+            font-size: 0.75em;
+            margin-bottom: 2px;
+        }
+        #brief-ai-overlay .brief-ai-subtitle-translation {
+            font-weight: 600;
+        }`;
+        (document.head || document.documentElement).appendChild(style);
+    }
+
+    applyStyle() {
+        const { fontSize, originalColor, translationColor, backgroundOpacity } = this.settings;
+        this.root.style.fontSize = `${fontSize}px`;
+        this.root.style.background = `rgba(0, 0, 0, ${backgroundOpacity})`;
+        this.originalEl.style.color = originalColor;
+        this.translationEl.style.color = translationColor;
+    }
+
+    // Hidden with opacity, not display: the platform keeps rendering them and they are still read for translation
+    updateNativeCaptions() {
+        const id = 'brief-ai-native-captions-style';
+        let style = document.getElementById(id);
+        if (!this.settings.hideNativeCaptions || !this.nativeCaptions.length) {
+            style?.remove();
+            return;
+        }
+        if (!style) {
+            style = document.createElement('style');
+            style.id = id;
+            (document.head || document.documentElement).appendChild(style);
+        }
+        style.textContent = `${this.nativeCaptions.join(', ')} { opacity: 0 !important; }`;
+    }
+
+    // ===== POSITION =====
+    // The video's box, or the viewport when there is no visible video
+    anchorBox() {
+        const video = this.followVideo ? subtitleTargetVideo() : null;
+        const rect = video?.getBoundingClientRect();
+        if (rect && rect.width > 0 && rect.height > 0) return rect;
+        return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    }
+
+    defaultPosition() {
+        return { x: 0.5, y: this.settings.position === 'top' ? 0.12 : 0.85 };
+    }
+
+    reposition() {
+        if (!this.root || this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            if (!this.root) return;
+
+            const box = this.anchorBox();
+            const { x, y } = this.drag?.position || this.position || this.defaultPosition();
+            // Keep the center inside the viewport so the overlay can't be lost off-screen
+            const left = Math.min(Math.max(box.left + x * box.width, 0), window.innerWidth);
+            const top = Math.min(Math.max(box.top + y * box.height, 0), window.innerHeight);
+            this.root.style.left = `${left}px`;
+            this.root.style.top = `${top}px`;
+        });
+    }
+
+    onPointerDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        this.drag = {
+            pointerId: event.pointerId,
+            position: this.position || this.defaultPosition(),
+            moved: false
+        };
+        this.root.setPointerCapture(event.pointerId);
+        this.root.addEventListener('pointermove', this.onPointerMove);
+        this.root.addEventListener('pointerup', this.onPointerUp);
+        this.root.addEventListener('pointercancel', this.onPointerUp);
+    }
+
+    onPointerMove(event) {
+        if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+        const box = this.anchorBox();
+        const clamp = value => Math.min(Math.max(value, 0), 1);
+        this.drag.position = {
+            x: clamp((event.clientX - box.left) / box.width),
+            y: clamp((event.clientY - box.top) / box.height)
+        };
+        this.drag.moved = true;
+        this.reposition();
+    }
+
+    onPointerUp(event) {
+        if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+        const { moved, position } = this.drag;
+        this.endDrag();
+
+        if (moved) {
+            this.position = position;
+            this.savePosition(position);
+        }
+    }
+
+    endDrag() {
+        if (!this.drag || !this.root) {
+            this.drag = null;
+            return;
+        }
+        try { this.root.releasePointerCapture(this.drag.pointerId); } catch {}
+        this.root.removeEventListener('pointermove', this.onPointerMove);
+        this.root.removeEventListener('pointerup', this.onPointerUp);
+        this.root.removeEventListener('pointercancel', this.onPointerUp);
+        this.drag = null;
+    }
+
+    onDoubleClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.position = null;
+        this.savePosition(null);
+        this.reposition();
+    }
+
+    // null forgets the site's position (back to the top/bottom setting)
+    async savePosition(position) {
+        try {
+            const result = await chrome.storage.local.get([SUBTITLE_OVERLAY_POSITIONS_KEY]);
+            const positions = result[SUBTITLE_OVERLAY_POSITIONS_KEY] || {};
+            if (position) {
+                positions[this.hostname] = {
+                    x: Number(position.x.toFixed(4)),
+                    y: Number(position.y.toFixed(4))
+                };
+            } else {
+                delete positions[this.hostname];
+            }
+            await chrome.storage.local.set({ [SUBTITLE_OVERLAY_POSITIONS_KEY]: positions });
+        } catch (e) {
+            console.warn('[Brief AI] Could not save the subtitle position:', e);
+        }
+    }
+}
@@ -1,7 +1,7 @@
 // Brief AI - Firebase Cloud Functions
 // This handles all Cloud AI requests with Vertex AI
 
-const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onCall, onRequest, HttpsError } = require("firebase-functions/v2/https");
 const { VertexAI } = require('@google-cloud/vertexai');
 const admin = require('firebase-admin');
 
@@ -77,6 +77,65 @@ async function checkUserAccess(userId, action) {
     return { allowed: true, subscription, remaining: limit - used };
 }
 
+/**
+ * Build the translation prompt (shared by the callable and the streaming endpoint)
+ * The extension sends glossary and do-not-translate terms as ⟦n⟧ placeholders and restores them itself.
+ */
+function buildTranslatePrompt(text, targetLanguage, sourceLanguage = 'auto') {
+    const instruction = sourceLanguage === 'auto'
+        ? `Translate this text to ${targetLanguage}`
+        : `Translate this text from ${sourceLanguage} to ${targetLanguage}`;
+    const placeholders = /⟦\s*\d+\s*⟧/.test(text)
+        ? '. Keep every placeholder such as ⟦0⟧ exactly as written, in the position that fits the translated sentence'
+        : '';
+    return `${instruction}${placeholders}:\n\n${text}`;
+}
+
+// Rewrite styles offered by the extension's Rewrite tab
+const REWRITE_STYLES = {
+    formal: 'in a more formal tone',
+    casual: 'in a more casual, friendly tone',
+    shorter: 'to be noticeably shorter, keeping the key points',
+    longer: 'to be longer and more detailed, without inventing facts',
+    bullets: 'as a concise Markdown bulleted list of its points'
+};
+
+/**
+ * Build the rewrite prompt (formal, casual, shorter, longer, bullets)
+ */
+function buildRewritePrompt(text, style, context = '') {
+    const background = context ? `Context: ${context}\n\n` : '';
+    return `Rewrite this text ${REWRITE_STYLES[style]}. Keep its meaning and language. `
+        + `Reply with the rewritten text only.\n\n${background}Text:\n${text}`;
+}
+
+const WRITE_TONES = ['formal', 'neutral', 'casual'];
+const WRITE_LENGTHS = ['short', 'medium', 'long'];
+
+/**
+ * Build the compose prompt: a draft written from a brief, with optional shared context (presets, thread)
+ */
+function buildWritePrompt(brief, tone = 'neutral', length = 'medium', sharedContext = '') {
+    const style = `${WRITE_TONES.includes(tone) ? tone : 'neutral'}, ${WRITE_LENGTHS.includes(length) ? length : 'medium'}`;
+    const background = sharedContext ? `Context:\n${sharedContext}\n\n` : '';
+    return `Write a ${style} draft (email, support reply, message) from this brief. `
+        + `Reply with the draft only.\n\n${background}Brief: ${brief}`;
+}
+
+/**
+ * Build the chat prompt with conversation history
+ */
+function buildChatPrompt(message, context = []) {
+    const systemPrompt = 'You are a helpful and friendly AI assistant. IMPORTANT: Always respond in the SAME language as the user\'s message. Remember the conversation context and provide relevant responses based on previous messages.';
+
+    let fullPrompt = systemPrompt + '\n\nConversation history:\n';
+    for (const msg of context) {
+        fullPrompt += `${msg.role}: ${msg.content}\n`;
+    }
+    fullPrompt += `user: ${message}\nassistant:`;
+    return fullPrompt;
+}
+
 /**
  * Log usage to Firestore
  */
@@ -108,7 +167,7 @@ exports.summarizeText = onCall({ cors: true }, async (request) => {
     }
 
     const userId = request.auth.uid;
-    const { text, type = 'tldr', length = 'medium' } = request.data;
+    const { text, type = 'tldr', length = 'medium', context = '' } = request.data;
 
     if (!text) {
         throw new HttpsError('invalid-argument', 'Text is required');
@@ -139,7 +198,9 @@ exports.summarizeText = onCall({ cors: true }, async (request) => {
             'long': 'detailed (5-6 sentences)'
         };
 
-        const prompt = `Create a ${lengthDescriptions[length]} ${typeDescriptions[type]} of the following text:\n\n${text}`;
+        // Optional shared context (e.g. page title and URL when summarizing a whole page)
+        const contextLine = context ? `Context: ${context}\n\n` : '';
+        const prompt = `${contextLine}Create a ${lengthDescriptions[length]} ${typeDescriptions[type]} of the following text:\n\n${text}`;
 
         // Call Vertex AI
         const result = await model.generateContent(prompt);
@@ -189,9 +250,7 @@ exports.translateText = onCall({ cors: true }, async (request) => {
 
         const model = getModel(access.subscription);
 
-        const prompt = sourceLanguage === 'auto'
-            ? `Translate this text to ${targetLanguage}:\n\n${text}`
-            : `Translate this text from ${sourceLanguage} to ${targetLanguage}:\n\n${text}`;
+        const prompt = buildTranslatePrompt(text, targetLanguage, sourceLanguage);
 
         const result = await model.generateContent(prompt);
         const response = result.response;
@@ -238,15 +297,7 @@ exports.chatWithAI = onCall({ cors: true }, async (request) => {
 
         const model = getModel(access.subscription);
 
-        // System prompt
-        const systemPrompt = 'You are a helpful and friendly AI assistant. IMPORTANT: Always respond in the SAME language as the user\'s message. Remember the conversation context and provide relevant responses based on previous messages.';
-
-        // Build conversation history
-        let fullPrompt = systemPrompt + '\n\nConversation history:\n';
-        for (const msg of context) {
-            fullPrompt += `${msg.role}: ${msg.content}\n`;
-        }
-        fullPrompt += `user: ${message}\nassistant:`;
+        const fullPrompt = buildChatPrompt(message, context);
 
         // Call Vertex AI
         const result = await model.generateContent(fullPrompt);
@@ -268,6 +319,110 @@ exports.chatWithAI = onCall({ cors: true }, async (request) => {
     }
 });
 
+/**
+ * Stream chat, translation, rewrite or compose tokens as server-sent events
+ * Callables can't stream, so this is a plain HTTPS endpoint that checks the
+ * Firebase ID token sent as `Authorization: Bearer <token>` itself.
+ *
+ * Body: { task: 'chat', message, context }, { task: 'translate', text, targetLanguage, sourceLanguage }
+ *       { task: 'rewrite', text, style, context } or { task: 'write', brief, tone, length, sharedContext }
+ * Events: `data: {"text": "..."}` per token batch, then `event: done` or `event: error`
+ */
+exports.streamAI = onRequest({ cors: true }, async (req, res) => {
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: { status: 'invalid-argument', message: 'Use POST' } });
+        return;
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match) {
+        res.status(401).json({ error: { status: 'unauthenticated', message: 'You must be signed in to use Cloud AI' } });
+        return;
+    }
+
+    let userId;
+    try {
+        userId = (await admin.auth().verifyIdToken(match[1])).uid;
+    } catch (error) {
+        res.status(401).json({ error: { status: 'unauthenticated', message: 'Invalid or expired sign-in. Please sign in again.' } });
+        return;
+    }
+
+    const {
+        task, message, context = [], text, targetLanguage, sourceLanguage = 'auto',
+        style, brief, tone, length, sharedContext = ''
+    } = req.body || {};
+
+    let prompt;
+    let inputLength;
+    if (task === 'chat' && message) {
+        prompt = buildChatPrompt(message, context);
+        inputLength = message.length;
+    } else if (task === 'translate' && text && targetLanguage) {
+        prompt = buildTranslatePrompt(text, targetLanguage, sourceLanguage);
+        inputLength = text.length;
+    } else if (task === 'rewrite' && text && REWRITE_STYLES[style]) {
+        prompt = buildRewritePrompt(text, style, typeof context === 'string' ? context : '');
+        inputLength = text.length;
+    } else if (task === 'write' && brief) {
+        prompt = buildWritePrompt(brief, tone, length, String(sharedContext));
+        inputLength = brief.length + String(sharedContext).length;
+    } else {
+        res.status(400).json({ error: { status: 'invalid-argument', message: 'Unknown task or missing parameters' } });
+        return;
+    }
+
+    const access = await checkUserAccess(userId, task);
+    if (!access.allowed) {
+        res.status(429).json({ error: { status: 'resource-exhausted', message: 'Daily limit reached. Upgrade to Pro for unlimited requests.' } });
+        return;
+    }
+
+    // Stop pulling tokens from Vertex AI once the extension goes away. The request's own 'close' has
+    // already fired once its body was read: only the response reports a disconnect.
+    let clientGone = false;
+    res.on('close', () => {
+        if (!res.writableFinished) clientGone = true;
+    });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        if (event) res.write(`event: ${event}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        const model = getModel(access.subscription);
+        const result = await model.generateContentStream(prompt);
+        let output = '';
+
+        for await (const item of result.stream) {
+            if (clientGone) break;
+            const piece = item.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (piece) {
+                output += piece;
+                send(null, { text: piece });
+            }
+        }
+
+        await logUsage(userId, task, inputLength, output.length, access.subscription);
+        if (!clientGone) {
+            send('done', { provider: 'vertex-ai', remaining: access.remaining - 1 });
+        }
+    } catch (error) {
+        console.error('Stream error:', error);
+        if (!clientGone) send('error', { message: `Failed to stream: ${error.message}` });
+    }
+
+    res.end();
+});
+
 /**
  * Get user's subscription info and remaining requests
  */
@@ -0,0 +1,192 @@
+// streamAI tests - run with `npm test`, inside the Auth emulator (firebase emulators:exec)
+// ID tokens come from the emulator. Vertex AI is replaced by a scripted token stream and Firestore
+// by an in-memory store (its emulator needs Java), so the tests run offline.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const express = require('express');
+
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-brief-ai';
+const AUTH_EMULATOR = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+
+// ===== FAKE VERTEX AI =====
+// Each test sets the tokens the model streams; `pulled` counts the tokens the function asked for
+const vertex = { tokens: [], delay: 0, pulled: 0, closed: false };
+
+class FakeVertexAI {
+    constructor() {
+        this.preview = {
+            getGenerativeModel: () => ({
+                async generateContentStream() {
+                    return { stream: fakeStream() };
+                }
+            })
+        };
+    }
+}
+
+async function* fakeStream() {
+    try {
+        for (const token of vertex.tokens) {
+            if (vertex.delay) await new Promise(resolve => setTimeout(resolve, vertex.delay));
+            vertex.pulled++;
+            yield { candidates: [{ content: { parts: [{ text: token }] } }] };
+        }
+    } finally {
+        vertex.closed = true;
+    }
+}
+
+const vertexPath = require.resolve('@google-cloud/vertexai');
+require.cache[vertexPath] = { id: vertexPath, filename: vertexPath, loaded: true, exports: { VertexAI: FakeVertexAI } };
+
+// ===== IN-MEMORY FIRESTORE =====
+const store = new Map(); // "collection/id" -> data
+
+function fakeFirestore() {
+    return {
+        collection: (name) => ({
+            doc: (id) => {
+                const key = `${name}/${id}`;
+                return {
+                    get: async () => ({ exists: store.has(key), data: () => ({ ...store.get(key) }) }),
+                    set: async (data) => { store.set(key, { ...data }); },
+                    update: async (data) => {
+                        const current = { ...store.get(key) };
+                        for (const [field, value] of Object.entries(data)) {
+                            current[field] = value?.increment !== undefined ? (current[field] || 0) + value.increment : value;
+                        }
+                        store.set(key, current);
+                    }
+                };
+            },
+            add: async (data) => { store.set(`${name}/${store.size}`, { ...data }); }
+        })
+    };
+}
+fakeFirestore.FieldValue = {
+    serverTimestamp: () => ({ toDate: () => new Date() }),
+    increment: n => ({ increment: n })
+};
+
+const admin = require('firebase-admin');
+Object.defineProperty(admin, 'firestore', { value: fakeFirestore, configurable: true });
+
+const { streamAI } = require('../index.js');
+
+// ===== HELPERS =====
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.all('/streamAI', (req, res) => streamAI(req, res));
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/streamAI`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    vertex.tokens = [];
+    vertex.delay = 0;
+    vertex.pulled = 0;
+    vertex.closed = false;
+    store.clear();
+});
+
+// A signed-in user from the Auth emulator
+async function signIn() {
+    const response = await fetch(
+        `http://${AUTH_EMULATOR}/identitytoolkit.googleapis.com/v1/accounts:signUp?key=demo-key`,
+        { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ returnSecureToken: true }) }
+    );
+    const body = await response.json();
+    return body.idToken;
+}
+
+function callStream(payload, { token, signal } = {}) {
+    return fetch(baseUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(payload),
+        signal
+    });
+}
+
+// Server-sent events as { event, data } in arrival order
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map((raw) => {
+        let event = 'message';
+        let data = '';
+        for (const line of raw.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        return { event, data: JSON.parse(data) };
+    });
+}
+
+const skip = AUTH_EMULATOR ? false : 'needs the Auth emulator: run `npm test`';
+
+// ===== TESTS =====
+test('streams the answer token by token, then a done event with the remaining quota', { skip }, async () => {
+    vertex.tokens = ['Bon', 'jour', ' le', ' monde'];
+    const token = await signIn();
+
+    const response = await callStream({ task: 'translate', text: 'Hello world', targetLanguage: 'fr' }, { token });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const events = parseEvents(await response.text());
+    const chunks = events.filter(e => e.event === 'message').map(e => e.data.text);
+    assert.deepEqual(chunks, ['Bon', 'jour', ' le', ' monde']);
+
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.provider, 'vertex-ai');
+    // A new user starts with 50 requests; this one used the first
+    assert.equal(done.data.remaining, 49);
+});
+
+test('rejects a request without a Bearer ID token', { skip }, async () => {
+    vertex.tokens = ['never'];
+
+    const response = await callStream({ task: 'chat', message: 'Hi' });
+    assert.equal(response.status, 401);
+    const body = await response.json();
+    assert.equal(body.error.status, 'unauthenticated');
+    assert.equal(vertex.pulled, 0);
+});
+
+test('rejects an invalid ID token', { skip }, async () => {
+    const response = await callStream({ task: 'chat', message: 'Hi' }, { token: 'not-a-token' });
+    assert.equal(response.status, 401);
+});
+
+test('stops pulling tokens from the model once the client disconnects', { skip }, async () => {
+    vertex.tokens = Array.from({ length: 100 }, (_, i) => `t${i} `);
+    vertex.delay = 20;
+    const token = await signIn();
+    const controller = new AbortController();
+
+    const response = await callStream({ task: 'chat', message: 'Tell me a long story' }, { token, signal: controller.signal });
+    const reader = response.body.getReader();
+    let received = '';
+    while (!received.includes('t2 ')) {
+        const { value } = await reader.read();
+        received += new TextDecoder().decode(value);
+    }
+    controller.abort();
+
+    // Well past the time a few more tokens take, far short of the whole answer
+    await new Promise(resolve => setTimeout(resolve, 400));
+    assert.ok(vertex.closed, 'the model stream should have been closed');
+    assert.ok(vertex.pulled < 10, `pulled ${vertex.pulled} tokens after the client left`);
+});
@@ -0,0 +1,231 @@
+/**
+ * Brief AI - Tab Audio Capture (offscreen document)
+ * The service worker can't host an AudioContext, so tab audio is captured here: a level meter for
+ * the side panel, and speech segments transcribed on-device with the Prompt API's audio input.
+ * Transcripts go back to the background, which hands them to the tab's live translator like captions.
+ */
+(function() {
+    'use strict';
+
+    const METER_INTERVAL = 120; // ms between level readings
+    const SPEECH_LEVEL = 0.04; // RMS above which the tab is considered to be speaking
+    const SILENCE_TO_CLOSE = 700; // ms of silence ending a speech segment
+    const MAX_SEGMENT = 10000; // ms; long speech is split so translations keep up
+    const MIN_SPEECH = 300; // ms; shorter bursts are clicks and noise
+    const MAX_QUEUE = 3; // Segments waiting for transcription; older ones are dropped to stay live
+
+    const TRANSCRIBE_INSTRUCTION = 'Transcribe the speech in this audio verbatim, in the language it is spoken. '
+        + 'Reply with the transcript only. If there is no speech, reply with nothing.';
+    const NO_SPEECH = /^[[(]?\s*(no speech|silence|music|inaudible|applause)\s*[\])]?\.?$/i;
+
+    let capture = null; // { stream, audioCtx, source, analyser, meterTimer, segment }
+    let transcriber = null; // Base LanguageModel session, cloned for each segment
+    let transcriberReady = null; // Promise<boolean>
+    const queue = [];
+    let transcribing = false;
+
+    function post(message) {
+        chrome.runtime.sendMessage(message).catch(() => {});
+    }
+
+    function postStatus(message) {
+        post({ type: 'LIVE_AUDIO_STATUS', message });
+    }
+
+    // ===== CAPTURE =====
+    async function start(streamId) {
+        if (capture) return;
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { mandatory: { chromeMediaSource: 'tab', chromeMediaSourceId: streamId } },
+            video: false
+        });
+
+        const audioCtx = new AudioContext();
+        const source = audioCtx.createMediaStreamSource(stream);
+        const analyser = audioCtx.createAnalyser();
+        analyser.fftSize = 2048;
+        source.connect(analyser);
+        // Capturing mutes the tab: play it back so the user still hears it
+        source.connect(audioCtx.destination);
+
+        const samples = new Uint8Array(analyser.fftSize);
+        const meterTimer = setInterval(() => {
+            analyser.getByteTimeDomainData(samples);
+            let sum = 0;
+            for (let i = 0; i < samples.length; i++) {
+                const v = (samples[i] - 128) / 128; // [-1,1]
+                sum += v * v;
+            }
+            const rms = Math.sqrt(sum / samples.length); // 0..1
+            post({ type: 'LIVE_AUDIO_LEVELS', level: Math.min(1, Math.max(0, rms * 1.8)) });
+            trackSpeech(rms);
+        }, METER_INTERVAL);
+
+        capture = { stream, audioCtx, source, analyser, meterTimer, segment: null };
+
+        // The model may still be downloading: the meter runs meanwhile
+        prepareTranscriber().then((ready) => {
+            postStatus(ready
+                ? 'Tab audio capture started, transcribing speech'
+                : 'Tab audio capture started, but speech-to-text needs the Prompt API with audio input');
+        });
+    }
+
+    function stop() {
+        if (!capture) return;
+        const { stream, audioCtx, source, analyser, meterTimer } = capture;
+
+        clearInterval(meterTimer);
+        endSegment();
+        capture = null;
+        queue.length = 0;
+
+        try { source.disconnect(); } catch {}
+        try { analyser.disconnect(); } catch {}
+        audioCtx.close().catch(() => {});
+        stream.getTracks().forEach(t => t.stop());
+    }
+
+    // ===== SPEECH SEGMENTS =====
+    // A segment opens when the level rises above SPEECH_LEVEL and closes after a silence or at MAX_SEGMENT
+    function trackSpeech(rms) {
+        if (!transcriber || !capture) return;
+
+        const now = Date.now();
+        const segment = capture.segment;
+
+        if (rms >= SPEECH_LEVEL) {
+            if (!segment) {
+                beginSegment(now);
+                return;
+            }
+            segment.lastSpeechAt = now;
+        }
+
+        if (segment && (now - segment.lastSpeechAt > SILENCE_TO_CLOSE || now - segment.startedAt > MAX_SEGMENT)) {
+            endSegment();
+        }
+    }
+
+    function beginSegment(now) {
+        const recorder = new MediaRecorder(capture.stream);
+        const chunks = [];
+        const segment = { recorder, startedAt: now, lastSpeechAt: now };
+
+        recorder.ondataavailable = (e) => {
+            if (e.data.size) chunks.push(e.data);
+        };
+        recorder.onstop = () => {
+            if (segment.lastSpeechAt - segment.startedAt < MIN_SPEECH) return;
+            enqueue({ blob: new Blob(chunks, { type: recorder.mimeType }), startedAt: segment.startedAt });
+        };
+
+        recorder.start();
+        capture.segment = segment;
+    }
+
+    function endSegment() {
+        const segment = capture?.segment;
+        if (!segment) return;
+        capture.segment = null;
+        if (segment.recorder.state !== 'inactive') segment.recorder.stop();
+    }
+
+    // ===== TRANSCRIPTION =====
+    function prepareTranscriber() {
+        if (!transcriberReady) {
+            transcriberReady = (async () => {
+                if (typeof LanguageModel === 'undefined') return false;
+
+                const options = { expectedInputs: [{ type: 'audio' }, { type: 'text' }] };
+                const availability = await LanguageModel.availability(options).catch(() => 'unavailable');
+                if (availability === 'unavailable') return false;
+
+                transcriber = await LanguageModel.create({
+                    ...options,
+                    initialPrompts: [{ role: 'system', content: 'You are a speech-to-text engine for live subtitles.' }],
+                    monitor(m) {
+                        m.addEventListener('downloadprogress', (e) => {
+                            const pct = e.total ? Math.round((e.loaded / e.total) * 100) : Math.round(e.loaded * 100);
+                            postStatus(`Downloading speech model: ${pct}%`);
+                        });
+                    }
+                });
+                return true;
+            })().catch((error) => {
+                console.warn('[Brief AI] Speech-to-text unavailable:', error);
+                transcriberReady = null;
+                return false;
+            });
+        }
+        return transcriberReady;
+    }
+
+    function enqueue(item) {
+        if (!capture) return;
+        queue.push(item);
+        if (queue.length > MAX_QUEUE) queue.shift();
+        drain();
+    }
+
+    async function drain() {
+        if (transcribing) return;
+        transcribing = true;
+
+        while (queue.length && capture) {
+            const item = queue.shift();
+            try {
+                const text = await transcribe(item.blob);
+                if (text && capture) {
+                    // How long ago the speech started, so the translator can place it on the video timeline
+                    post({ type: 'LIVE_AUDIO_TRANSCRIPT', text, ageSeconds: (Date.now() - item.startedAt) / 1000 });
+                }
+            } catch (error) {
+                console.warn('[Brief AI] Segment transcription failed:', error);
+            }
+        }
+
+        transcribing = false;
+    }
+
+    // Each segment gets a clone of the base session so transcripts don't pile up in its context
+    async function transcribe(blob) {
+        const audio = await capture.audioCtx.decodeAudioData(await blob.arrayBuffer());
+        const session = await transcriber.clone();
+        try {
+            const result = await session.prompt([
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'text', value: TRANSCRIBE_INSTRUCTION },
+                        { type: 'audio', value: audio }
+                    ]
+                }
+            ]);
+            const text = String(result || '').trim().replace(/^["“]|["”]$/g, '').trim();
+            return NO_SPEECH.test(text) ? '' : text;
+        } finally {
+            session.destroy();
+        }
+    }
+
+    // ===== MESSAGES =====
+    // Only messages addressed to this document; everything else is for the background or side panel
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.target !== 'offscreen') return;
+
+        if (message.action === 'START_AUDIO_TRANSCRIPTION') {
+            start(message.streamId).then(
+                () => sendResponse({ success: true }),
+                (error) => sendResponse({ success: false, error: error.message })
+            );
+            return true;
+        }
+
+        if (message.action === 'STOP_AUDIO_TRANSCRIPTION') {
+            stop();
+            sendResponse({ success: true });
+        }
+    });
+})();
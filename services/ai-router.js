@@ -1,29 +1,72 @@
 // AI Router - Smart routing between Local AI and Cloud AI
 // Automatically chooses the best provider based on availability, user preference, and network
+//
+// Providers:
+// - 'local':  Chrome Built-in AI (Gemini Nano)
+// - 'cloud':  Brief AI Cloud (Firebase Cloud Functions), when signed in
+// - 'vertex': the user's own Vertex AI connection (auth page), used for cloud chat when not signed in, and for images
+// - 'selfHosted': a user-configured OpenAI-compatible server (Ollama, llama.cpp...)
 
 import { AIService } from './ai-services.js';
 import { cloudAIService } from './cloud-ai-service.js';
-import { firebaseAuth } from './firebase-auth.js';
+import { openAICompatibleService } from './openai-compatible-service.js';
+import { glossaryService } from './glossary-service.js';
+import { detectFormat, parseDocument, translatedFileName } from './document-formats.js';
+
+const MODES = ['local', 'cloud', 'auto', 'selfHosted'];
+
+// Document translation batches: enough segments to amortize a request, small enough to report progress
+const DOCUMENT_BATCH_SEGMENTS = 20;
+const DOCUMENT_BATCH_CHARS = 4000;
+
+// Actions the legacy Vertex AI connection can serve (see AIService online paths)
+const VERTEX_ACTIONS = new Set(['chat', 'image']);
+
+// Actions Brief AI Cloud has endpoints for (no image input yet)
+const CLOUD_ACTIONS = new Set(['summarize', 'translate', 'rewrite', 'write', 'chat']);
+
+// How providers and actions are named in the errors the user sees
+const PROVIDER_LABELS = {
+    local: 'Chrome Built-in AI',
+    cloud: 'Brief AI Cloud',
+    vertex: 'Vertex AI',
+    selfHosted: 'your self-hosted server'
+};
+const ACTION_LABELS = {
+    image: 'Image description'
+};
 
 class AIRouter {
     constructor() {
         this.localAI = new AIService();
         this.cloudAI = cloudAIService;
-        this.preferredMode = 'local'; // 'local', 'cloud', or 'auto'
-        this.conversationHistory = []; // For chat context
+        this.selfHostedAI = openAICompatibleService;
+        this.glossary = glossaryService;
+        this.preferredMode = 'local'; // 'local', 'cloud', 'auto', or 'selfHosted'
+    }
+
+    // Chat context is shared with the local service so switching providers keeps the conversation
+    get conversationHistory() {
+        return this.localAI.conversationHistory;
     }
 
     // Initialize and load preferences
     async initialize() {
         const result = await chrome.storage.local.get(['aiMode']);
-        this.preferredMode = result.aiMode || 'local';
+        this.preferredMode = this.normalizeMode(result.aiMode);
+    }
+
+    // 'online' is what older versions stored for the cloud pill
+    normalizeMode(mode) {
+        if (mode === 'online') return 'cloud';
+        return MODES.includes(mode) ? mode : 'local';
     }
 
     // Set AI mode
     async setMode(mode) {
-        this.preferredMode = mode;
-        await chrome.storage.local.set({ aiMode: mode });
-        console.log(`AI Router mode set to: ${mode}`);
+        this.preferredMode = this.normalizeMode(mode);
+        await chrome.storage.local.set({ aiMode: this.preferredMode });
+        console.log(`AI Router mode set to: ${this.preferredMode}`);
     }
 
     // Get current mode
@@ -31,19 +74,47 @@ class AIRouter {
         return this.preferredMode;
     }
 
+    // Firebase auth can't load in every context (e.g. remote SDK blocked): treat that as signed out
+    async hasCloudAccess() {
+        try {
+            return await this.cloudAI.hasCloudAccess();
+        } catch (error) {
+            console.warn('Cloud access check failed:', error);
+            return false;
+        }
+    }
+
+    // Which cloud backend can serve this action, if any
+    async selectCloudProvider(action) {
+        if (CLOUD_ACTIONS.has(action) && await this.hasCloudAccess()) {
+            return 'cloud';
+        }
+        if (VERTEX_ACTIONS.has(action) && await this.localAI.initVertexAI()) {
+            return 'vertex';
+        }
+        return null;
+    }
+
+    // Any provider off the device; a configured self-hosted server wins since text stays on the user's hardware
+    async selectRemoteProvider(action) {
+        if (await this.selfHostedAI.isConfigured()) {
+            return 'selfHosted';
+        }
+        return await this.selectCloudProvider(action);
+    }
+
     // Determine which provider to use
     async selectProvider(action, text = '') {
         await this.initialize();
 
-        // If user explicitly chose cloud and is authenticated
+        // If user explicitly chose cloud and has a cloud backend
         if (this.preferredMode === 'cloud') {
-            const hasCloudAccess = await this.cloudAI.hasCloudAccess();
-            if (hasCloudAccess) {
-                return 'cloud';
-            } else {
-                console.warn('Cloud AI selected but user not authenticated. Falling back to local.');
-                return 'local';
+            const cloudProvider = await this.selectCloudProvider(action);
+            if (cloudProvider) {
+                return cloudProvider;
             }
+            console.warn(`No cloud provider for ${action} (signed out, or not supported). Falling back to local.`);
+            return 'local';
         }
 
         // If user explicitly chose local
@@ -51,6 +122,15 @@ class AIRouter {
             return 'local';
         }
 
+        // If user explicitly chose their own server, never send text to another cloud
+        if (this.preferredMode === 'selfHosted') {
+            if (await this.selfHostedAI.isConfigured()) {
+                return 'selfHosted';
+            }
+            console.warn('Self-hosted AI selected but not configured. Falling back to local.');
+            return 'local';
+        }
+
         // Auto mode - smart selection
         if (this.preferredMode === 'auto') {
             // Check local availability first
@@ -60,17 +140,18 @@ class AIRouter {
             const textLength = text.length;
             const LOCAL_MAX_LENGTH = 10000;
 
+            // Long documents are fine for summarization: the local summarizer chunks them (map-reduce)
+            const withinLocalLimit = action === 'summarize' || textLength < LOCAL_MAX_LENGTH;
+
             // If local can handle it, prefer local (faster, private, free)
-            if (localAvailable && textLength < LOCAL_MAX_LENGTH) {
+            if (localAvailable && withinLocalLimit) {
                 return 'local';
             }
 
             // Check if cloud is available
-            const hasCloudAccess = await this.cloudAI.hasCloudAccess();
-            const isOnline = navigator.onLine;
-
-            if (hasCloudAccess && isOnline) {
-                return 'cloud';
+            const remoteProvider = await this.selectRemoteProvider(action);
+            if (remoteProvider === 'selfHosted' || (remoteProvider && navigator.onLine)) {
+                return remoteProvider;
             }
 
             // Fallback to local if available
@@ -98,7 +179,13 @@ class AIRouter {
                     return availability.languageDetector === 'available';
                 case 'prompt':
                 case 'chat':
-                    return availability.languageModel === 'available';
+                case 'image':
+                    return availability.promptAPI === 'available';
+                case 'rewrite':
+                    // The Prompt API stands in for a missing Rewriter/Writer
+                    return [availability.rewriter, availability.writer, availability.promptAPI].includes('available');
+                case 'write':
+                    return [availability.writer, availability.promptAPI].includes('available');
                 default:
                     return false;
             }
@@ -108,96 +195,301 @@ class AIRouter {
         }
     }
 
-    // SUMMARIZE with smart routing
-    async summarize(text, options = {}) {
-        const provider = await this.selectProvider('summarize', text);
+    /**
+     * Run an action on the selected provider, falling back to another one on failure
+     * @param {string} action - 'summarize', 'translate', 'rewrite', 'write', 'chat', 'image'
+     * @param {string} text - Input, used for auto mode's length check
+     * @param {Object} handlers - { local, cloud, selfHosted, vertex? } functions running the action
+     * @param {Object} options - { signal, canFallback() } - streams can only fall back before output started
+     */
+    async route(action, text, handlers, options = {}) {
+        const provider = await this.selectProvider(action, text);
+        // Never run the text somewhere other than the provider the user picked
+        if (!handlers[provider]) {
+            throw this.unsupportedError(action, provider);
+        }
 
         try {
-            if (provider === 'cloud') {
-                console.log('Using Cloud AI for summarization');
-                return await this.cloudAI.summarize(text, options);
-            } else {
-                console.log('Using Local AI for summarization');
-                return await this.localAI.summarize(text, options);
-            }
+            console.log(`Using ${provider} AI for ${action}`);
+            return await handlers[provider]();
         } catch (error) {
-            // Try fallback
+            // A cancelled request must not be retried elsewhere
+            if (options.signal?.aborted || (options.canFallback && !options.canFallback())) {
+                throw error;
+            }
             console.warn(`${provider} AI failed, trying fallback:`, error);
-            return await this.fallback('summarize', text, options, provider);
+            return await this.fallback(action, handlers, provider, error);
         }
     }
 
+    // Selection only picks providers listed for the action (CLOUD_ACTIONS, VERTEX_ACTIONS): reaching this is a bug
+    unsupportedError(action, provider) {
+        const label = ACTION_LABELS[action] || `The ${action} action`;
+        const advice = this.preferredMode === 'auto'
+            ? 'Turn on Chrome Built-in AI or set up your own server to use it.'
+            : 'Switch to Local or Auto mode to use it.';
+        return new Error(`${label} isn't available on ${PROVIDER_LABELS[provider] || provider} yet. ${advice}`);
+    }
+
+    // SUMMARIZE with smart routing
+    async summarize(text, options = {}) {
+        return this.route('summarize', text, {
+            local: () => this.localAI.summarize(text, options),
+            cloud: () => this.cloudAI.summarize(text, options),
+            selfHosted: () => this.selfHostedAI.summarize(text, options)
+        }, options);
+    }
+
+    // Glossary terms become placeholders before any provider sees the text (see GlossaryService)
+    async protectForTranslation(texts, targetLanguage, sourceLanguage) {
+        const rules = await this.glossary.getRules(sourceLanguage, targetLanguage);
+        return { rules, items: texts.map(text => this.glossary.protect(text, rules)) };
+    }
+
+    finishTranslation(text, translatedText, item, rules) {
+        const restored = this.glossary.restore(translatedText, item.placeholders);
+        return {
+            translatedText: restored,
+            violations: this.glossary.checkViolations(text, restored, rules)
+        };
+    }
+
     // TRANSLATE with smart routing
     async translate(text, targetLanguage, sourceLanguage = 'auto', options = {}) {
-        const provider = await this.selectProvider('translate', text);
+        const { rules, items: [item] } = await this.protectForTranslation([text], targetLanguage, sourceLanguage);
 
-        try {
-            if (provider === 'cloud') {
-                console.log('Using Cloud AI for translation');
-                return await this.cloudAI.translate(text, targetLanguage, sourceLanguage);
-            } else {
-                console.log('Using Local AI for translation');
-                return await this.localAI.translate(text, targetLanguage, sourceLanguage, options);
-            }
-        } catch (error) {
-            console.warn(`${provider} AI failed, trying fallback:`, error);
-            return await this.fallback('translate', { text, targetLanguage, sourceLanguage, options }, null, provider);
-        }
+        const result = await this.route('translate', item.text, {
+            local: () => this.localAI.translate(item.text, targetLanguage, sourceLanguage, options),
+            cloud: () => this.cloudAI.translate(item.text, targetLanguage, sourceLanguage, options),
+            selfHosted: () => this.selfHostedAI.translate(item.text, targetLanguage, sourceLanguage, options)
+        }, options);
+
+        const { translatedText, violations } = this.finishTranslation(text, result.translatedText, item, rules);
+        return { ...result, originalText: text, translatedText, glossaryViolations: violations };
     }
 
     // TRANSLATE STREAM with smart routing
     async translateStream(text, targetLanguage, sourceLanguage, onChunk, options = {}) {
-        const provider = await this.selectProvider('translate', text);
+        const { rules, items: [item] } = await this.protectForTranslation([text], targetLanguage, sourceLanguage);
 
-        try {
-            if (provider === 'cloud') {
-                console.log('Using Cloud AI for streaming translation');
-                return await this.cloudAI.translateStream(text, targetLanguage, sourceLanguage, onChunk, options);
-            } else {
-                console.log('Using Local AI for streaming translation');
-                return await this.localAI.translateStream(text, targetLanguage, sourceLanguage, onChunk, options);
+        let streamed = false;
+        const forward = (chunk) => {
+            streamed = true;
+            if (onChunk) onChunk(this.glossary.restore(chunk, item.placeholders, true));
+        };
+
+        const result = await this.route('translate', item.text, {
+            local: () => this.localAI.translateStream(item.text, targetLanguage, sourceLanguage, forward, options),
+            cloud: () => this.cloudAI.translateStream(item.text, targetLanguage, sourceLanguage, forward, options),
+            selfHosted: () => this.selfHostedAI.translateStream(item.text, targetLanguage, sourceLanguage, forward, options)
+        }, { ...options, canFallback: () => !streamed });
+
+        const { translatedText, violations } = this.finishTranslation(text, result.translatedText, item, rules);
+        return { ...result, originalText: text, translatedText, glossaryViolations: violations };
+    }
+
+    // REWRITE STREAM with smart routing (formal, casual, shorter, longer, bullets)
+    async rewriteStream(text, style, onChunk, options = {}) {
+        let streamed = false;
+        const forward = (chunk) => {
+            streamed = true;
+            if (onChunk) onChunk(chunk);
+        };
+
+        return this.route('rewrite', text, {
+            local: () => this.localAI.rewriteStream(text, style, forward, options),
+            cloud: () => this.cloudAI.rewriteStream(text, style, forward, options),
+            selfHosted: () => this.selfHostedAI.rewriteStream(text, style, forward, options)
+        }, { ...options, canFallback: () => !streamed });
+    }
+
+    // WRITE STREAM (compose a draft from a brief) with smart routing
+    async writeStream(brief, onChunk, options = {}) {
+        let streamed = false;
+        const forward = (chunk) => {
+            streamed = true;
+            if (onChunk) onChunk(chunk);
+        };
+
+        return this.route('write', brief, {
+            local: () => this.localAI.writeStream(brief, forward, options),
+            cloud: () => this.cloudAI.writeStream(brief, forward, options),
+            selfHosted: () => this.selfHostedAI.writeStream(brief, forward, options)
+        }, { ...options, canFallback: () => !streamed });
+    }
+
+    // TRANSLATE BATCH (page translation) with smart routing
+    async translateBatch(texts, targetLanguage, sourceLanguage = 'auto', options = {}) {
+        const { rules, items } = await this.protectForTranslation(texts, targetLanguage, sourceLanguage);
+        const protectedTexts = items.map(item => item.text);
+
+        // Remote providers have no batch endpoint, so strings go one by one
+        const each = (translate) => async () => {
+            const translations = [];
+            for (const text of protectedTexts) {
+                options.signal?.throwIfAborted();
+                const result = await translate(text);
+                translations.push(result.translatedText);
             }
-        } catch (error) {
-            console.warn(`${provider} AI failed for streaming translation:`, error);
-            throw error;
+            return { translations, sourceLanguage, targetLanguage, timestamp: Date.now() };
+        };
+
+        const result = await this.route('translate', protectedTexts.join('\n'), {
+            local: () => this.localAI.translateBatch(protectedTexts, targetLanguage, sourceLanguage, options),
+            cloud: each(text => this.cloudAI.translate(text, targetLanguage, sourceLanguage, options)),
+            selfHosted: each(text => this.selfHostedAI.translate(text, targetLanguage, sourceLanguage, options))
+        }, options);
+
+        const finished = result.translations.map((translation, i) =>
+            this.finishTranslation(texts[i], translation, items[i], rules));
+        return {
+            ...result,
+            translations: finished.map(f => f.translatedText),
+            glossaryViolations: finished.flatMap(f => f.violations)
+        };
+    }
+
+    /**
+     * Translate a whole file (TXT, Markdown, SRT/VTT, HTML), keeping its structure
+     * @param {Object} options - signal, onProgress({ done, total })
+     * @returns {Promise<{content: string, format: string, fileName: string, segments: number, glossaryViolations: Array}>}
+     */
+    async translateDocument(content, fileName, targetLanguage, sourceLanguage = 'auto', options = {}) {
+        const format = detectFormat(fileName, content);
+        const doc = parseDocument(content, format);
+        const texts = doc.texts;
+        const translations = [];
+        const glossaryViolations = [];
+        let source = sourceLanguage || 'auto';
+
+        for (let start = 0; start < texts.length;) {
+            options.signal?.throwIfAborted();
+            const batch = [];
+            let chars = 0;
+            while (start < texts.length && batch.length < DOCUMENT_BATCH_SEGMENTS
+                && (!batch.length || chars + texts[start].length <= DOCUMENT_BATCH_CHARS)) {
+                chars += texts[start].length;
+                batch.push(texts[start++]);
+            }
+
+            const result = await this.translateBatch(batch, targetLanguage, source, options);
+            translations.push(...result.translations);
+            glossaryViolations.push(...(result.glossaryViolations || []));
+            // Detect once, then keep the whole document on the same language pair
+            if (source === 'auto' && result.sourceLanguage && result.sourceLanguage !== 'auto') {
+                source = result.sourceLanguage;
+            }
+
+            if (options.onProgress) options.onProgress({ done: translations.length, total: texts.length });
+        }
+
+        let translated = doc.rebuild(translations);
+        if (format === 'html') {
+            translated = translated.replace(/(<html\b[^>]*?\slang\s*=\s*")[^"]*(")/i, `$1${targetLanguage}$2`);
         }
+
+        return {
+            content: translated,
+            format,
+            fileName: translatedFileName(fileName, targetLanguage),
+            segments: texts.length,
+            sourceLanguage: source,
+            targetLanguage,
+            glossaryViolations
+        };
+    }
+
+    // One-shot prompt (no chat history), with an optional system context
+    async prompt(text, options = {}) {
+        const system = (options.initialPrompts || []).filter(p => p.role === 'system');
+
+        return this.route('chat', text, {
+            local: () => this.localAI.prompt(text, options),
+            cloud: async () => {
+                const result = await this.cloudAI.chat(text, system);
+                return { prompt: text, response: result.response, timestamp: Date.now() };
+            },
+            selfHosted: async () => {
+                const result = await this.selfHostedAI.chat(text, system, options);
+                return { prompt: text, response: result.response, timestamp: Date.now() };
+            },
+            vertex: async () => {
+                const context = system.map(p => p.content).join('\n');
+                const response = await this.localAI.callVertexAI(context ? `${context}\n\n${text}` : text, options);
+                return { prompt: text, response, timestamp: Date.now() };
+            }
+        }, options);
+    }
+
+    /**
+     * Standalone prompt: no chat history before or after it
+     * @param {Object} options - system (instructions), signal
+     */
+    async promptOnce(text, options = {}) {
+        const system = options.system ? [{ role: 'system', content: options.system }] : [];
+
+        return this.route('chat', text, {
+            local: () => this.localAI.promptOnce(text, options),
+            cloud: async () => {
+                const result = await this.cloudAI.chat(text, system);
+                return { prompt: text, response: result.response, timestamp: Date.now() };
+            },
+            selfHosted: async () => {
+                const result = await this.selfHostedAI.chat(text, system, options);
+                return { prompt: text, response: result.response, timestamp: Date.now() };
+            },
+            vertex: async () => {
+                const response = await this.localAI.callVertexAI(options.system ? `${options.system}\n\n${text}` : text, options);
+                return { prompt: text, response, timestamp: Date.now() };
+            }
+        }, options);
     }
 
     // CHAT with smart routing
     async chat(message, options = {}) {
-        const provider = await this.selectProvider('chat', message);
-
-        try {
-            if (provider === 'cloud') {
-                console.log('Using Cloud AI for chat');
+        return this.route('chat', message, {
+            local: () => this.localAI.prompt(message, options),
+            vertex: () => this.localAI.promptStream(message, null, { ...options, online: true }),
+            selfHosted: async () => {
+                const result = await this.selfHostedAI.chat(message, this.conversationHistory, options);
+                this.conversationHistory.push(
+                    { role: 'user', content: message },
+                    { role: 'assistant', content: result.response }
+                );
+                return result;
+            },
+            cloud: async () => {
                 const result = await this.cloudAI.chat(message, this.conversationHistory);
-
-                // Update history
                 this.conversationHistory.push(
                     { role: 'user', content: message },
                     { role: 'assistant', content: result.response }
                 );
-
                 return result;
-            } else {
-                console.log('Using Local AI for chat');
-                // Local AI manages its own history internally
-                return await this.localAI.prompt(message, options);
             }
-        } catch (error) {
-            console.warn(`${provider} AI failed for chat:`, error);
-            return await this.fallback('chat', message, options, provider);
-        }
+        }, options);
     }
 
     // CHAT STREAM with smart routing
     async chatStream(message, onChunk, options = {}) {
-        const provider = await this.selectProvider('chat', message);
+        let streamed = false;
+        const forward = (chunk) => {
+            streamed = true;
+            if (onChunk) onChunk(chunk);
+        };
 
-        try {
-            if (provider === 'cloud') {
-                console.log('Using Cloud AI for streaming chat');
-                const result = await this.cloudAI.chatStream(message, this.conversationHistory, onChunk, options);
+        return this.route('chat', message, {
+            local: () => this.localAI.promptStream(message, forward, options),
+            vertex: () => this.localAI.promptStream(message, forward, { ...options, online: true }),
+            selfHosted: async () => {
+                const result = await this.selfHostedAI.chatStream(message, this.conversationHistory, forward, options);
+                this.conversationHistory.push(
+                    { role: 'user', content: message },
+                    { role: 'assistant', content: result.response }
+                );
+                return { prompt: message, response: result.response, timestamp: Date.now() };
+            },
+            cloud: async () => {
+                const result = await this.cloudAI.chatStream(message, this.conversationHistory, forward, options);
 
                 // Update history
                 this.conversationHistory.push(
@@ -205,15 +497,56 @@ class AIRouter {
                     { role: 'assistant', content: result.response }
                 );
 
-                return result;
-            } else {
-                console.log('Using Local AI for streaming chat');
-                return await this.localAI.promptStream(message, onChunk, options);
+                return { prompt: message, response: result.response, timestamp: Date.now() };
             }
-        } catch (error) {
-            console.warn(`${provider} AI failed for streaming chat:`, error);
-            throw error;
-        }
+        }, { ...options, canFallback: () => !streamed });
+    }
+
+    // PAGE CHAT STREAM ("ask this page") with smart routing
+    async pageChatStream(message, page, onChunk, options = {}) {
+        let streamed = false;
+        const forward = (chunk) => {
+            streamed = true;
+            if (onChunk) onChunk(chunk);
+        };
+
+        // Remote providers get the page (or its relevant excerpts) as system context
+        const remotePageChat = async (service) => {
+            const pageText = await this.localAI.getCloudPageText(page, message);
+            const context = [
+                { role: 'system', content: `${this.localAI.getPageSystemPrompt(page)}\n\nPage content:\n${pageText}` },
+                ...this.conversationHistory
+            ];
+            const result = await service.chatStream(message, context, forward, options);
+
+            this.conversationHistory.push(
+                { role: 'user', content: message },
+                { role: 'assistant', content: result.response }
+            );
+
+            return {
+                prompt: message,
+                response: result.response,
+                page: { title: page.title, url: page.url, mode: pageText === page.text ? 'full' : 'excerpts' },
+                timestamp: Date.now()
+            };
+        };
+
+        return this.route('chat', message, {
+            local: () => this.localAI.promptPageStream(message, page, forward, options),
+            vertex: () => this.localAI.promptPageStream(message, page, forward, { ...options, online: true }),
+            cloud: () => remotePageChat(this.cloudAI),
+            selfHosted: () => remotePageChat(this.selfHostedAI)
+        }, { ...options, canFallback: () => !streamed });
+    }
+
+    // DESCRIBE IMAGE with smart routing
+    async describeImage(imageUrl, customPrompt = null) {
+        return this.route('image', '', {
+            local: () => this.localAI.describeImage(imageUrl, customPrompt),
+            vertex: () => this.localAI.describeImage(imageUrl, customPrompt, { online: true }),
+            selfHosted: () => this.selfHostedAI.describeImage(imageUrl, customPrompt)
+        });
     }
 
     // DETECT LANGUAGE
@@ -224,57 +557,43 @@ class AIRouter {
 
     // RESET CHAT SESSION
     resetChatSession() {
-        this.conversationHistory = [];
         this.localAI.resetChatSession();
         console.log('Chat session reset');
     }
 
-    // Fallback strategy
-    async fallback(action, data, options, failedProvider) {
-        const alternateProvider = failedProvider === 'cloud' ? 'local' : 'cloud';
-
-        console.log(`Attempting fallback to ${alternateProvider} AI`);
-
-        if (alternateProvider === 'cloud') {
-            const hasCloudAccess = await this.cloudAI.hasCloudAccess();
-            if (!hasCloudAccess) {
-                throw new Error('Cloud AI not available and local AI failed');
-            }
+    // Reopen a stored conversation on every provider
+    restoreChatSession(messages = []) {
+        this.localAI.restoreChatSession(messages);
+    }
 
-            switch (action) {
-                case 'summarize':
-                    return await this.cloudAI.summarize(data, options);
-                case 'translate':
-                    return await this.cloudAI.translate(data.text, data.targetLanguage, data.sourceLanguage);
-                case 'chat':
-                    return await this.cloudAI.chat(data, options);
-                default:
-                    throw new Error(`No fallback available for action: ${action}`);
+    // Fallback strategy: local failures go to a remote provider (Auto mode only), remote failures to local
+    async fallback(action, handlers, failedProvider, error) {
+        if (failedProvider === 'local') {
+            // In Local mode the user asked for text to stay on the device
+            if (this.preferredMode !== 'auto') {
+                throw error;
             }
-        } else {
-            // Fallback to local
-            const available = await this.isLocalAvailable(action);
-            if (!available) {
-                throw new Error('Local AI not available and cloud AI failed');
+            const remoteProvider = await this.selectRemoteProvider(action);
+            if (!remoteProvider || !handlers[remoteProvider]) {
+                throw error;
             }
+            console.log(`Attempting fallback to ${remoteProvider} AI`);
+            return await handlers[remoteProvider]();
+        }
 
-            switch (action) {
-                case 'summarize':
-                    return await this.localAI.summarize(data, options);
-                case 'translate':
-                    return await this.localAI.translate(data.text, data.targetLanguage, data.sourceLanguage, data.options);
-                case 'chat':
-                    return await this.localAI.prompt(data, options);
-                default:
-                    throw new Error(`No fallback available for action: ${action}`);
-            }
+        // Fallback to local
+        const available = await this.isLocalAvailable(action);
+        if (!available) {
+            throw new Error(`Local AI not available and cloud AI failed: ${error.message}`);
         }
+        console.log('Attempting fallback to local AI');
+        return await handlers.local();
     }
 
     // Get provider info
     async getProviderInfo() {
         const provider = await this.selectProvider('chat');
-        const isAuthenticated = await firebaseAuth.isAuthenticated();
+        const isAuthenticated = await this.hasCloudAccess();
 
         let userInfo = null;
         if (provider === 'cloud' && isAuthenticated) {
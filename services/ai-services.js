@@ -1,9 +1,66 @@
 // AI Service - Encapsulate AI API interactions
 
+import { chunkText, createQuotaPredicate, splitIntoSections, rankSectionsByRelevance } from './text-chunker.js';
+import { translationMemory } from './translation-memory.js';
+
+// Maximum number of intermediate "summarize the summaries" passes for very long documents
+const MAX_REDUCE_ROUNDS = 3;
+
+// Most recent messages replayed into a reopened chat thread
+const MAX_RESTORED_MESSAGES = 20;
+// Share of the chat session's input quota the replayed messages may take, leaving room for new turns
+const RESTORED_HISTORY_SHARE = 0.5;
+// Budget for the replayed messages when the session doesn't report its quota (~4 characters per token)
+const RESTORED_HISTORY_MAX_CHARS = 12000;
+
+// Share of the remaining session quota a page (or its excerpts) may take in "ask this page" chats
+const PAGE_CONTEXT_SHARE = 0.6;
+// Recreate the page session once its context is this full
+const PAGE_SESSION_REFRESH = 0.85;
+// Cloud models have large windows, but keep requests reasonable
+const PAGE_CLOUD_MAX_CHARS = 60000;
+
+// Languages probed with Translator.availability to build the language pickers
+const TRANSLATION_LANGUAGES = [
+    'en', 'fr', 'es', 'de', 'it', 'pt', 'nl', 'ru', 'uk', 'pl', 'cs', 'sk', 'sl', 'hr', 'bg', 'ro',
+    'hu', 'el', 'tr', 'sv', 'da', 'no', 'fi', 'lt', 'lv', 'et', 'zh', 'zh-Hant', 'ja', 'ko',
+    'ar', 'he', 'fa', 'hi', 'bn', 'mr', 'ta', 'te', 'kn', 'th', 'vi', 'id', 'ms', 'fil'
+];
+
+// Rewrite styles: the on-device API and options for each, and the instruction used when only the Prompt API is there
+const REWRITE_STYLES = {
+    formal: {
+        api: 'rewriter',
+        options: { tone: 'more-formal', length: 'as-is', format: 'as-is' },
+        instruction: 'Rewrite the text in a more formal tone. Keep its meaning and language.'
+    },
+    casual: {
+        api: 'rewriter',
+        options: { tone: 'more-casual', length: 'as-is', format: 'as-is' },
+        instruction: 'Rewrite the text in a more casual, friendly tone. Keep its meaning and language.'
+    },
+    shorter: {
+        api: 'rewriter',
+        options: { tone: 'as-is', length: 'shorter', format: 'as-is' },
+        instruction: 'Rewrite the text to be noticeably shorter. Keep the key points and its language.'
+    },
+    longer: {
+        api: 'rewriter',
+        options: { tone: 'as-is', length: 'longer', format: 'as-is' },
+        instruction: 'Rewrite the text to be longer and more detailed, without inventing facts. Keep its language.'
+    },
+    bullets: {
+        api: 'writer',
+        options: { tone: 'neutral', length: 'short', format: 'markdown' },
+        instruction: 'Rewrite the text as a concise Markdown bulleted list of its points. Keep its language.'
+    }
+};
+
 export class AIService {
     constructor() {
         this.summarizer = null;
         this.summarizerConfig = null; // Track summarizer config to detect changes
+        this.chunkSummarizer = null; // Key-points summarizer used for map-reduce chunks
         this.translator = null;
         this.languageDetector = null;
         this.aiSession = null;
@@ -11,6 +68,10 @@ export class AIService {
         this.capabilities = null;
         this.translatorPair = null; // { source: 'en', target: 'fr' }
         this.conversationHistory = []; // Track conversation for context
+        this.pageSession = null; // LanguageModel session grounded in a page
+        this.writingAssistants = new Map(); // Rewriter/Writer instances by config key
+        this.pageSessionUrl = null;
+        this.pageSessionHasFullText = false;
         this.vertexAI = null; // Vertex AI service (legacy)
         this.firebaseAI = null; // Firebase AI Logic (hybrid mode)
         this.aiMode = 'local'; // 'local' or 'online'
@@ -60,7 +121,8 @@ export class AIService {
                     topP: options.topP || 0.95,
                     topK: options.topK || 40
                 }
-            })
+            }),
+            signal: options.signal
         });
 
         if (!response.ok) {
@@ -99,7 +161,8 @@ export class AIService {
                     topP: options.topP || 0.95,
                     topK: options.topK || 40
                 }
-            })
+            }),
+            signal: options.signal
         });
 
         if (!response.ok) {
@@ -137,17 +200,6 @@ export class AIService {
         return fullResponse;
     }
 
-    async setAIMode(mode) {
-        this.aiMode = mode;
-        await chrome.storage.local.set({ aiMode: mode });
-    }
-
-    async getAIMode() {
-        const result = await chrome.storage.local.get(['aiMode']);
-        this.aiMode = result.aiMode || 'local';
-        return this.aiMode;
-    }
-
     // ===== SUMMARIZER API =====
     async summarize(text, options = {}) {
         try {
@@ -212,9 +264,18 @@ export class AIService {
                 console.log('[AI Service] Summarizer created successfully');
             }
 
+            // Documents beyond the input quota go through map-reduce summarization
+            const fitsQuota = createQuotaPredicate(this.summarizer, 0, options.context || '');
+            if (!(await fitsQuota(text))) {
+                return await this.summarizeInChunks(text, options);
+            }
+
             // Generate the summary
             console.log('[AI Service] Generating summary for text length:', text.length);
-            const summary = await this.summarizer.summarize(text);
+            const summary = await this.summarizer.summarize(text, {
+                ...(options.context ? { context: options.context } : {}),
+                signal: options.signal
+            });
             console.log('[AI Service] Summary generated, length:', summary?.length);
             
             if (!summary) {
@@ -230,14 +291,145 @@ export class AIService {
 
         } catch (error) {
             console.error('[AI Service] Summarization error:', error);
-            // Reset summarizer on error to allow retry
-            this.summarizer = null;
-            this.summarizerConfig = null;
+            // Reset summarizer on error to allow retry (a cancelled request leaves it usable)
+            if (!options.signal?.aborted) {
+                this.summarizer = null;
+                this.summarizerConfig = null;
+                this.chunkSummarizer = null;
+            }
             throw new Error(`Summarization failed: ${error.message}`);
         }
     }
 
+    // ===== MAP-REDUCE SUMMARIZATION (documents beyond the input quota) =====
+    async summarizeInChunks(text, options = {}) {
+        const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+        const sharedContext = options.context ? `${options.context}\n` : '';
+        const partContext = (i, total) => `${sharedContext}This is part ${i} of ${total} of a longer document.`;
+        const combineContext = `${sharedContext}These are summaries of consecutive sections of a longer document.`;
+        const chunkSummarizer = await this.getChunkSummarizer();
+        // Measured with the longest part context, before the number of parts is known
+        const fitsChunk = createQuotaPredicate(chunkSummarizer, 0, partContext(9999, 9999));
+        const fitsCombineChunk = createQuotaPredicate(chunkSummarizer, 0, combineContext);
+
+        // Map: summarize each chunk on its own
+        const chunks = await chunkText(text, fitsChunk);
+        console.log(`[AI Service] Map-reduce summarization over ${chunks.length} chunks`);
+
+        let partials = [];
+        for (let i = 0; i < chunks.length; i++) {
+            onProgress?.({ stage: 'map', current: i + 1, total: chunks.length });
+            partials.push(await chunkSummarizer.summarize(chunks[i], {
+                context: partContext(i + 1, chunks.length),
+                signal: options.signal
+            }));
+        }
+
+        // Combine: keep condensing the partial summaries until they fit the final summarizer
+        const fitsFinal = createQuotaPredicate(this.summarizer, 0, combineContext);
+        let combined = partials.join('\n\n');
+        for (let round = 1; round <= MAX_REDUCE_ROUNDS && !(await fitsFinal(combined)); round++) {
+            const groups = await chunkText(combined, fitsCombineChunk);
+            partials = [];
+            for (let i = 0; i < groups.length; i++) {
+                onProgress?.({ stage: 'combine', current: i + 1, total: groups.length, round });
+                partials.push(await chunkSummarizer.summarize(groups[i], {
+                    context: combineContext,
+                    signal: options.signal
+                }));
+            }
+            const condensed = partials.join('\n\n');
+            // The summaries stopped getting shorter: more rounds won't make them fit
+            if (condensed.length >= combined.length) break;
+            combined = condensed;
+        }
+
+        // Still over the quota after every round: keep what fits rather than fail on the final call
+        if (!(await fitsFinal(combined))) {
+            console.warn('[AI Service] Combined summaries still exceed the input quota, trimming');
+            combined = (await chunkText(combined, fitsFinal))[0] || '';
+        }
+
+        // Reduce: produce the summary the user asked for from the combined summaries
+        onProgress?.({ stage: 'reduce', current: 1, total: 1 });
+        const summary = await this.summarizer.summarize(combined, {
+            context: combineContext,
+            signal: options.signal
+        });
+
+        if (!summary) {
+            throw new Error('Summarizer returned empty result');
+        }
+
+        return {
+            summary,
+            originalLength: text.length,
+            summaryLength: summary.length,
+            compressionRatio: ((1 - summary.length / text.length) * 100).toFixed(1) + '%',
+            chunks: chunks.length
+        };
+    }
+
+    async getChunkSummarizer() {
+        if (!this.chunkSummarizer) {
+            console.log('[AI Service] Creating chunk Summarizer for map-reduce');
+            this.chunkSummarizer = await Summarizer.create({
+                type: 'key-points',
+                format: 'plain-text',
+                length: 'long',
+                monitor(m) {
+                    m.addEventListener('downloadprogress', (e) => {
+                        const pct = e.total
+                            ? Math.round((e.loaded / e.total) * 100)
+                            : Math.round(e.loaded * 100);
+                        console.log(`[AI Service] Download progress: ${pct}%`);
+                    });
+                }
+            });
+        }
+        return this.chunkSummarizer;
+    }
+
         // ===== TRANSLATOR API =====
+    /**
+     * Create (or reuse) the translator for a language pair, downloading its model if needed
+     * @param {Object} options - requireActivation, signal, onDownloadProgress(loaded 0..1)
+     */
+    async getTranslator(sourceLanguage, targetLanguage, options = {}) {
+        // Recreate translator if pair changed
+        const pairKey = `${sourceLanguage}->${targetLanguage}`;
+        if (!this.translator || this.translatorPair !== pairKey) {
+            this.translator = null;
+            this.translatorPair = pairKey;
+            // Respect user-activation requirement per Built-in AI docs
+            const requireActivation = options.requireActivation !== false; // default true
+            const hasActivation = (typeof navigator !== 'undefined' && navigator.userActivation)
+                ? navigator.userActivation.isActive
+                : true; // In some extension contexts, this may be undefined; optimistically allow.
+
+            if (requireActivation && !hasActivation) {
+                const err = new Error('User activation required to initialize Translator. Trigger from a click/tap/keypress.');
+                err.code = 'activation-required';
+                throw err;
+            }
+
+            // Create the translator
+            this.translator = await Translator.create({
+                sourceLanguage: sourceLanguage,
+                targetLanguage: targetLanguage,
+                signal: options.signal,
+                monitor(m) {
+                    m.addEventListener('downloadprogress', (e) => {
+                        const state = e.loaded * 100 === 100 ? 'completed' : 'in progress';
+                        console.log(`Translation model ${pairKey}: Downloaded ${e.loaded * 100}% (${state})`);
+                        if (options.onDownloadProgress) options.onDownloadProgress(e.loaded);
+                    });
+                }
+            });
+        }
+        return this.translator;
+    }
+
     async translate(text, targetLanguage = 'en', sourceLanguage = null, options = {}) {
         try {
 
@@ -284,6 +476,19 @@ export class AIService {
                 };
             }
 
+            // Segments translated before come from the translation memory
+            const remembered = await translationMemory.lookup(text, sourceLanguage, targetLanguage, 'local');
+            if (remembered) {
+                return {
+                    originalText: text,
+                    translatedText: remembered.translatedText,
+                    sourceLanguage,
+                    targetLanguage,
+                    fromMemory: remembered.match,
+                    timestamp: Date.now()
+                };
+            }
+
             // Check availability
             const canTranslate = await Translator.availability({
                 sourceLanguage: sourceLanguage,
@@ -295,38 +500,11 @@ export class AIService {
                 throw new Error(`Translation from ${sourceLanguage} to ${targetLanguage} is not available`);
             }
 
-            // Recreate translator if pair changed
-            const pairKey = `${sourceLanguage}->${targetLanguage}`;
-            if (!this.translator || this.translatorPair !== pairKey) {
-                this.translator = null;
-                this.translatorPair = pairKey;
-                // Respect user-activation requirement per Built-in AI docs
-                const requireActivation = options.requireActivation !== false; // default true
-                const hasActivation = (typeof navigator !== 'undefined' && navigator.userActivation)
-                    ? navigator.userActivation.isActive
-                    : true; // In some extension contexts, this may be undefined; optimistically allow.
-
-                if (requireActivation && !hasActivation) {
-                    const err = new Error('User activation required to initialize Translator. Trigger from a click/tap/keypress.');
-                    err.code = 'activation-required';
-                    throw err;
-                }
-
-                // Create the translator
-                this.translator = await Translator.create({
-                    sourceLanguage: sourceLanguage,
-                    targetLanguage: targetLanguage,
-                    monitor(m) {
-                        m.addEventListener('downloadprogress', (e) => {
-                            const state = e.loaded * 100 === 100 ? 'completed' : 'in progress';
-                            console.log(`Downloaded ${e.loaded * 100}% (${state})`);
-                        });
-                    }
-                });
-            }
+            await this.getTranslator(sourceLanguage, targetLanguage, options);
 
             // Translate the text
-            const translatedText = await this.translator.translate(text);
+            const translatedText = await this.translator.translate(text, { signal: options.signal });
+            translationMemory.store(text, translatedText, sourceLanguage, targetLanguage, 'local');
 
             return {
                 originalText: text,
@@ -342,6 +520,80 @@ export class AIService {
         }
     }
 
+    // ===== BATCH TRANSLATION (in-place page translation) =====
+    // Translates many short strings with one translator; the source language is detected once for the batch
+    async translateBatch(texts, targetLanguage = 'en', sourceLanguage = null, options = {}) {
+        if (!sourceLanguage || sourceLanguage === 'auto') {
+            const detected = await this.detectLanguage(texts.join('\n').slice(0, 2000), { requireActivation: false });
+            sourceLanguage = detected.detectedLanguage;
+        }
+
+        const translations = [];
+        for (const text of texts) {
+            options.signal?.throwIfAborted();
+            const result = await this.translate(text, targetLanguage, sourceLanguage, {
+                ...options,
+                requireActivation: false
+            });
+            translations.push(result.translatedText);
+        }
+
+        return {
+            translations,
+            sourceLanguage,
+            targetLanguage,
+            timestamp: Date.now()
+        };
+    }
+
+    // ===== TRANSLATION LANGUAGES =====
+    /**
+     * Availability of every known language as source (against the current target)
+     * and as target (against the current source; English when the source is auto-detected)
+     * @returns {Promise<{supported: boolean, sources: Array<{code, availability}>, targets: Array<{code, availability}>}>}
+     */
+    async getTranslationLanguages(sourceLanguage = 'auto', targetLanguage = 'en') {
+        if (!('Translator' in self)) {
+            return { supported: false, sources: [], targets: [] };
+        }
+
+        const pivotSource = !sourceLanguage || sourceLanguage === 'auto' ? 'en' : sourceLanguage;
+        // A same-language "pair" needs no model: translate() returns the text as-is
+        const probe = async (source, target) => {
+            if (source === target) return 'available';
+            try {
+                return await Translator.availability({ sourceLanguage: source, targetLanguage: target });
+            } catch (e) {
+                return 'unavailable';
+            }
+        };
+
+        const [sources, targets] = await Promise.all([
+            Promise.all(TRANSLATION_LANGUAGES.map(async code => ({ code, availability: await probe(code, targetLanguage) }))),
+            Promise.all(TRANSLATION_LANGUAGES.map(async code => ({ code, availability: await probe(pivotSource, code) })))
+        ]);
+
+        return { supported: true, sources, targets };
+    }
+
+    /**
+     * Download the model for a language pair ahead of use
+     * @param {Object} options - signal, onDownloadProgress(loaded 0..1)
+     */
+    async downloadTranslator(sourceLanguage, targetLanguage, options = {}) {
+        if (!('Translator' in self)) {
+            throw new Error('Translator API is not supported in this browser');
+        }
+
+        const availability = await Translator.availability({ sourceLanguage, targetLanguage });
+        if (availability === 'unavailable') {
+            throw new Error(`Translation from ${sourceLanguage} to ${targetLanguage} is not supported`);
+        }
+
+        await this.getTranslator(sourceLanguage, targetLanguage, { ...options, requireActivation: false });
+        return { sourceLanguage, targetLanguage, availability: 'available' };
+    }
+
     // ===== STREAMING TRANSLATOR API =====
     async translateStream(text, targetLanguage = 'en', sourceLanguage = null, onChunk, options = {}) {
         try {
@@ -386,6 +638,19 @@ export class AIService {
                 };
             }
 
+            const remembered = await translationMemory.lookup(text, sourceLanguage, targetLanguage, 'local');
+            if (remembered) {
+                if (onChunk) onChunk(remembered.translatedText);
+                return {
+                    originalText: text,
+                    translatedText: remembered.translatedText,
+                    sourceLanguage,
+                    targetLanguage,
+                    fromMemory: remembered.match,
+                    timestamp: Date.now()
+                };
+            }
+
             // Check availability
             const canTranslate = await Translator.availability({
                 sourceLanguage: sourceLanguage,
@@ -396,38 +661,10 @@ export class AIService {
                 throw new Error(`Translation from ${sourceLanguage} to ${targetLanguage} is not available`);
             }
 
-            // Recreate translator if pair changed
-            const pairKey = `${sourceLanguage}->${targetLanguage}`;
-            if (!this.translator || this.translatorPair !== pairKey) {
-                this.translator = null;
-                this.translatorPair = pairKey;
-
-                const requireActivation = options.requireActivation !== false;
-                const hasActivation = (typeof navigator !== 'undefined' && navigator.userActivation)
-                    ? navigator.userActivation.isActive
-                    : true;
-
-                if (requireActivation && !hasActivation) {
-                    const err = new Error('User activation required to initialize Translator. Trigger from a click/tap/keypress.');
-                    err.code = 'activation-required';
-                    throw err;
-                }
-
-                // Create the translator
-                this.translator = await Translator.create({
-                    sourceLanguage: sourceLanguage,
-                    targetLanguage: targetLanguage,
-                    monitor(m) {
-                        m.addEventListener('downloadprogress', (e) => {
-                            const state = e.loaded * 100 === 100 ? 'completed' : 'in progress';
-                            console.log(`Translation model: Downloaded ${e.loaded * 100}% (${state})`);
-                        });
-                    }
-                });
-            }
+            await this.getTranslator(sourceLanguage, targetLanguage, options);
 
             // Stream the translation
-            const stream = await this.translator.translateStreaming(text);
+            const stream = await this.translator.translateStreaming(text, { signal: options.signal });
             let fullTranslation = '';
 
             for await (const chunk of stream) {
@@ -438,6 +675,7 @@ export class AIService {
             }
 
             console.log('Translation streaming complete. Final length:', fullTranslation.length);
+            translationMemory.store(text, fullTranslation, sourceLanguage, targetLanguage, 'local');
 
             return {
                 originalText: text,
@@ -582,14 +820,178 @@ export class AIService {
         }
     }
 
+    // ===== ONE-OFF PROMPT =====
+    // A throwaway session, so side tasks (correction explanations...) never end up in the chat history
+    async createOneOffSession(options = {}) {
+        const available = (typeof LanguageModel !== 'undefined')
+            ? await LanguageModel.availability()
+            : 'unavailable';
+        if (available === 'unavailable') {
+            throw new Error('Prompt API is not available');
+        }
+
+        return LanguageModel.create({
+            initialPrompts: options.system ? [{ role: 'system', content: options.system }] : [],
+            signal: options.signal
+        });
+    }
+
+    async promptOnce(text, options = {}) {
+        const session = await this.createOneOffSession(options);
+
+        try {
+            const response = await session.prompt(text, { signal: options.signal });
+            return { prompt: text, response, timestamp: Date.now() };
+        } finally {
+            session.destroy();
+        }
+    }
+
+    async promptOnceStream(text, onChunk, options = {}) {
+        const session = await this.createOneOffSession(options);
+
+        try {
+            const stream = await session.promptStreaming(text, { signal: options.signal });
+            let response = '';
+            for await (const chunk of stream) {
+                response += chunk;
+                if (onChunk) onChunk(response);
+            }
+            return { prompt: text, response, timestamp: Date.now() };
+        } finally {
+            session.destroy();
+        }
+    }
+
+    // ===== REWRITER / WRITER APIs =====
+    // Null when the API can't serve these options
+    async createWritingAssistant(api, options) {
+        const Api = api === 'writer'
+            ? (typeof Writer !== 'undefined' ? Writer : null)
+            : (typeof Rewriter !== 'undefined' ? Rewriter : null);
+        if (!Api) return null;
+
+        const { sharedContext, ...availabilityOptions } = options;
+        const availability = await Api.availability(availabilityOptions).catch(() => 'unavailable');
+        if (availability === 'unavailable') return null;
+
+        return Api.create({
+            ...options,
+            monitor(m) {
+                m.addEventListener('downloadprogress', (e) => {
+                    const pct = e.total
+                        ? Math.round((e.loaded / e.total) * 100)
+                        : Math.round(e.loaded * 100);
+                    console.log(`[AI Service] ${api} download: ${pct}%`);
+                });
+            }
+        });
+    }
+
+    // Rewrite presets never change, so their instances are kept per configuration like the summarizer
+    async getWritingAssistant(api, options) {
+        const configKey = `${api}:${JSON.stringify(options)}`;
+        if (!this.writingAssistants.has(configKey)) {
+            console.log(`[AI Service] Creating ${api} with config:`, configKey);
+            const instance = await this.createWritingAssistant(api, options);
+            if (!instance) return null;
+            this.writingAssistants.set(configKey, instance);
+        }
+        return this.writingAssistants.get(configKey);
+    }
+
+    /**
+     * Rewrite text in one style, streaming the accumulated result
+     * Uses the Rewriter API (Writer for bullet lists) and falls back to a one-off Prompt API session.
+     * @param {'formal'|'casual'|'shorter'|'longer'|'bullets'} style
+     * @param {Object} options - { context, signal }
+     */
+    async rewriteStream(text, style, onChunk, options = {}) {
+        if (!text || !text.trim()) {
+            throw new Error('Text to rewrite cannot be empty');
+        }
+        const preset = REWRITE_STYLES[style];
+        if (!preset) {
+            throw new Error(`Unknown rewrite style: ${style}`);
+        }
+
+        const assistant = await this.getWritingAssistant(preset.api, preset.options);
+        if (!assistant) {
+            const system = 'You rewrite text. Reply with the rewritten text only: no preamble, no quotes, no explanation.';
+            const prompt = [
+                preset.instruction,
+                options.context ? `Context: ${options.context}` : '',
+                `Text:\n${text}`
+            ].filter(Boolean).join('\n\n');
+
+            const result = await this.promptOnceStream(prompt, onChunk, { system, signal: options.signal });
+            return { originalText: text, text: result.response, style, api: 'prompt' };
+        }
+
+        const requestOptions = { context: options.context || undefined, signal: options.signal };
+        const stream = preset.api === 'writer'
+            ? assistant.writeStreaming(`${preset.instruction}\n\n${text}`, requestOptions)
+            : assistant.rewriteStreaming(text, requestOptions);
+
+        let rewritten = '';
+        for await (const chunk of stream) {
+            rewritten += chunk;
+            if (onChunk) onChunk(rewritten);
+        }
+        return { originalText: text, text: rewritten, style, api: preset.api };
+    }
+
+    /**
+     * Compose a draft from a short brief, streaming the accumulated result
+     * The shared context (presets, pasted thread) belongs to one draft, so the Writer is not reused.
+     * @param {Object} options - { tone: 'formal'|'neutral'|'casual', length: 'short'|'medium'|'long', sharedContext, signal }
+     */
+    async writeStream(brief, onChunk, options = {}) {
+        if (!brief || !brief.trim()) {
+            throw new Error('Brief cannot be empty');
+        }
+
+        const tone = options.tone || 'neutral';
+        const length = options.length || 'medium';
+        const sharedContext = options.sharedContext || '';
+
+        const writer = await this.createWritingAssistant('writer', {
+            tone,
+            length,
+            format: 'plain-text',
+            ...(sharedContext ? { sharedContext } : {})
+        });
+
+        if (!writer) {
+            const system = `You write ${tone} ${length} drafts (emails, support replies, messages) from a brief. `
+                + 'Reply with the draft only: no preamble, no subject line unless asked.';
+            const prompt = [
+                sharedContext ? `Context:\n${sharedContext}` : '',
+                `Brief: ${brief}`
+            ].filter(Boolean).join('\n\n');
+
+            const result = await this.promptOnceStream(prompt, onChunk, { system, signal: options.signal });
+            return { brief, text: result.response, api: 'prompt' };
+        }
+
+        try {
+            const stream = writer.writeStreaming(brief, { signal: options.signal });
+            let draft = '';
+            for await (const chunk of stream) {
+                draft += chunk;
+                if (onChunk) onChunk(draft);
+            }
+            return { brief, text: draft, api: 'writer' };
+        } finally {
+            writer.destroy?.();
+        }
+    }
+
     // ===== STREAMING PROMPT (for long responses) =====
     async promptStream(text, onChunk, options = {}) {
         try {
-            // Get current AI mode
-            await this.getAIMode();
-
-            // Use Vertex AI if in online mode
-            if (this.aiMode === 'online') {
+            // Use Vertex AI when the router picked the online provider
+            if (options.online) {
                 console.log('Using Vertex AI for streaming...');
                 const systemPrompt = 'You are a helpful and friendly AI assistant. IMPORTANT: Always respond in the SAME language as the user\'s message. If the user writes in French, respond in French. If in English, respond in English. Remember the conversation context and provide relevant responses based on previous messages.';
 
@@ -654,6 +1056,18 @@ export class AIService {
                 };
 
                 this.aiSession = await LanguageModel.create(createOpts);
+
+                // Messages of a reopened thread (see restoreChatSession) or replayed after a page answer:
+                // the session is created again with the newest ones its quota can hold
+                const history = await this.fitHistoryToSession(this.aiSession, this.conversationHistory);
+                if (history.length) {
+                    this.aiSession.destroy();
+                    this.aiSession = null;
+                    this.aiSession = await LanguageModel.create({
+                        ...createOpts,
+                        initialPrompts: [...createOpts.initialPrompts, ...history]
+                    });
+                }
             }
 
             // Prompt with streaming
@@ -685,16 +1099,176 @@ export class AIService {
         }
     }
 
+    // ===== PAGE-GROUNDED CHAT ("ask this page") =====
+    getPageSystemPrompt(page) {
+        return 'You answer questions about a web page the user is reading. '
+            + `Page title: "${page.title || 'Untitled'}". URL: ${page.url || 'unknown'}. `
+            + 'Use ONLY the page content you are given. Quote the exact passages your answer relies on as Markdown blockquotes '
+            + '(lines starting with "> "), then explain. If the page does not contain the answer, say so plainly instead of guessing. '
+            + 'IMPORTANT: Always respond in the SAME language as the user\'s question.';
+    }
+
+    resetPageSession() {
+        if (this.pageSession) {
+            this.pageSession.destroy();
+            this.pageSession = null;
+        }
+        this.pageSessionUrl = null;
+        this.pageSessionHasFullText = false;
+    }
+
+    async getPageSession(page) {
+        const session = this.pageSession;
+        const quota = Number(session?.inputQuota) || 0;
+        const nearlyFull = quota && session.inputUsage / quota > PAGE_SESSION_REFRESH;
+
+        if (session && this.pageSessionUrl === page.url && !nearlyFull) {
+            return session;
+        }
+
+        this.resetPageSession();
+        this.pageSession = await LanguageModel.create({
+            initialPrompts: [{ role: 'system', content: this.getPageSystemPrompt(page) }]
+        });
+        this.pageSessionUrl = page.url;
+        return this.pageSession;
+    }
+
+    /**
+     * Pick the page sections most relevant to a question, within a token budget
+     * Sections come back in document order so the model reads them as they appear on the page.
+     */
+    async selectPageExcerpts(pageText, question, fits) {
+        const sections = [];
+        for (const section of splitIntoSections(pageText)) {
+            if (await fits(section.text)) {
+                sections.push(section);
+            } else {
+                // A single huge section: split it so its relevant part can still be picked
+                const pieces = await chunkText(section.text, fits);
+                pieces.forEach(text => sections.push({ heading: section.heading, text }));
+            }
+        }
+
+        const picked = [];
+        const ranked = rankSectionsByRelevance(sections, question);
+        // Without any keyword match, fall back to the start of the page
+        const hasMatches = ranked[0]?.score > 0;
+        for (const candidate of ranked) {
+            if (hasMatches && candidate.score <= 0) break;
+            const next = [...picked, candidate].sort((a, b) => a.index - b.index);
+            if (await fits(next.map(s => s.text).join('\n\n---\n\n'))) {
+                picked.push(candidate);
+            }
+        }
+
+        return picked.sort((a, b) => a.index - b.index).map(s => s.text);
+    }
+
+    // Cloud models get the whole page unless it is very long
+    async getCloudPageText(page, question) {
+        if (page.text.length <= PAGE_CLOUD_MAX_CHARS) {
+            return page.text;
+        }
+        const excerpts = await this.selectPageExcerpts(page.text, question, async t => t.length <= PAGE_CLOUD_MAX_CHARS);
+        return excerpts.join('\n\n---\n\n');
+    }
+
+    /**
+     * Stream an answer grounded in a page's extracted content
+     * The whole page is sent when it fits the session's input quota; otherwise only the
+     * sections most relevant to the question are.
+     * @param {string} text - The user's question
+     * @param {{title: string, url: string, text: string}} page - Output of the page extractor
+     * @param {function(string)} onChunk - Receives the accumulated response
+     */
+    async promptPageStream(text, page, onChunk, options = {}) {
+        try {
+            if (!page?.text) {
+                throw new Error('No readable content found on this page');
+            }
+
+            let fullResponse;
+            let pageContext;
+
+            if (options.online) {
+                const pageText = await this.getCloudPageText(page, text);
+                let contextPrompt = `${this.getPageSystemPrompt(page)}\n\nPage content:\n${pageText}\n\nConversation history:\n`;
+                for (const msg of this.conversationHistory) {
+                    contextPrompt += `${msg.role}: ${msg.content}\n`;
+                }
+                contextPrompt += `user: ${text}\nassistant:`;
+
+                fullResponse = await this.callVertexAIStream(contextPrompt, onChunk, options);
+                pageContext = { mode: pageText === page.text ? 'full' : 'excerpts' };
+            } else {
+                const available = (typeof LanguageModel !== 'undefined')
+                    ? await LanguageModel.availability()
+                    : 'unavailable';
+                if (available === 'unavailable') {
+                    throw new Error('Prompt API is not available');
+                }
+
+                const session = await this.getPageSession(page);
+                const remaining = (Number(session.inputQuota) || 0) - (Number(session.inputUsage) || 0);
+                const fits = createQuotaPredicate({
+                    inputQuota: Math.floor(remaining * PAGE_CONTEXT_SHARE),
+                    measureInputUsage: (t) => session.measureInputUsage(t)
+                });
+
+                let prompt = text;
+                if (this.pageSessionHasFullText) {
+                    // The page is already part of this session's context
+                    pageContext = { mode: 'full' };
+                } else if (await fits(page.text)) {
+                    prompt = `Page content:\n${page.text}\n\nQuestion: ${text}`;
+                    this.pageSessionHasFullText = true;
+                    pageContext = { mode: 'full' };
+                } else {
+                    const excerpts = await this.selectPageExcerpts(page.text, text, fits);
+                    prompt = `Relevant excerpts from the page:\n${excerpts.join('\n\n---\n\n')}\n\nQuestion: ${text}`;
+                    pageContext = { mode: 'excerpts', excerpts: excerpts.length };
+                }
+
+                const stream = await session.promptStreaming(prompt, { signal: options.signal });
+                fullResponse = '';
+                for await (const chunk of stream) {
+                    fullResponse += chunk;
+                    if (onChunk) onChunk(fullResponse);
+                }
+            }
+
+            // Keep the regular chat aware of what was asked about the page. The answer came from the page
+            // session, so the open chat session never saw it: the next prompt rebuilds it from the history.
+            this.conversationHistory.push({ role: 'user', content: text });
+            this.conversationHistory.push({ role: 'assistant', content: fullResponse });
+            if (this.aiSession) {
+                this.aiSession.destroy();
+                this.aiSession = null;
+            }
+
+            return {
+                prompt: text,
+                response: fullResponse,
+                page: { title: page.title, url: page.url, ...pageContext },
+                timestamp: Date.now()
+            };
+        } catch (error) {
+            console.error('Page chat error:', error);
+            throw new Error(`Page chat failed: ${error.message}`);
+        }
+    }
+
     // ===== MULTIMODAL: IMAGE DESCRIPTION =====
-    async describeImage(imageUrl, customPrompt = null) {
+    async describeImage(imageUrl, customPrompt = null, options = {}) {
         try {
             console.log('[AI Service] Describing image:', imageUrl);
 
-            // First, try to use local Gemini Nano multimodal
-            if (this.aiMode === 'local') {
+            // Local Gemini Nano multimodal unless the router picked the online provider
+            if (!options.online) {
                 return await this.describeImageLocal(imageUrl, customPrompt);
             } else {
-                // Use cloud/Firebase AI Logic for image description
+                // Use Vertex AI for image description
                 return await this.describeImageCloud(imageUrl, customPrompt);
             }
         } catch (error) {
@@ -1021,17 +1595,64 @@ export class AIService {
             this.multimodalSession.destroy();
             this.multimodalSession = null;
         }
+        this.resetPageSession();
         this.conversationHistory = [];
         console.log('Chat session reset');
     }
 
+    /**
+     * Newest messages whose replay fits in a share of the session's remaining input quota
+     * Measured as one text, oldest first; long answers or pasted documents drop the older messages.
+     */
+    async fitHistoryToSession(session, messages) {
+        const recent = messages
+            .slice(-MAX_RESTORED_MESSAGES)
+            .map(m => ({ role: m.role, content: m.content }));
+        if (!recent.length) return [];
+
+        const remaining = (Number(session?.inputQuota) || 0) - (Number(session?.inputUsage) || 0);
+        const fits = remaining > 0
+            ? createQuotaPredicate({
+                inputQuota: Math.floor(remaining * RESTORED_HISTORY_SHARE),
+                measureInputUsage: typeof session.measureInputUsage === 'function'
+                    ? (t) => session.measureInputUsage(t)
+                    : undefined
+            })
+            : async (text) => text.length <= RESTORED_HISTORY_MAX_CHARS;
+
+        const kept = [];
+        for (let i = recent.length - 1; i >= 0; i--) {
+            const candidate = [recent[i], ...kept];
+            if (!await fits(candidate.map(m => `${m.role}: ${m.content}`).join('\n'))) break;
+            kept.unshift(recent[i]);
+        }
+
+        if (kept.length < recent.length) {
+            console.log(`Chat history trimmed to the last ${kept.length} of ${recent.length} messages to fit the input quota`);
+        }
+        return kept;
+    }
+
+    // Rebuild the chat session from a stored thread; the next prompt recreates the
+    // LanguageModel session with these messages as initialPrompts
+    restoreChatSession(messages = []) {
+        this.resetChatSession();
+        this.conversationHistory = messages
+            .filter(m => (m.role === 'user' || m.role === 'assistant') && m.content)
+            .map(m => ({ role: m.role, content: m.content }))
+            .slice(-MAX_RESTORED_MESSAGES);
+        console.log(`Chat session restored with ${this.conversationHistory.length} messages`);
+    }
+
     // ===== CHECKING AVAILABILITY =====
     async checkAvailability() {
         const status = {
             summarizer: 'checking',
             translator: 'checking',
             languageDetector: 'checking',
-            promptAPI: 'checking'
+            promptAPI: 'checking',
+            rewriter: 'checking',
+            writer: 'checking'
         };
 
         try {
@@ -1071,6 +1692,14 @@ export class AIService {
                 status.promptAPI = 'unavailable';
             }
 
+            // Check Rewriter and Writer APIs (Rewrite tab)
+            status.rewriter = (typeof Rewriter !== 'undefined')
+                ? await Rewriter.availability().catch(() => 'unavailable')
+                : 'unavailable';
+            status.writer = (typeof Writer !== 'undefined')
+                ? await Writer.availability().catch(() => 'unavailable')
+                : 'unavailable';
+
         } catch (error) {
             console.error('Error checking AI capabilities:', error);
         }
@@ -0,0 +1,116 @@
+// Chat Thread Store - Persistent, named conversation threads
+// Threads live in chrome.storage.local so they survive the side panel and service worker restarts
+
+const STORAGE_KEY = 'chatThreads';
+const MAX_THREADS = 100;
+const DEFAULT_TITLE = 'New chat';
+
+export class ChatThreadStore {
+    async readAll() {
+        const result = await chrome.storage.local.get([STORAGE_KEY]);
+        return result[STORAGE_KEY] || {};
+    }
+
+    async writeAll(threads) {
+        // Keep storage bounded: drop the least recently updated threads
+        const ids = Object.keys(threads);
+        if (ids.length > MAX_THREADS) {
+            ids.sort((a, b) => threads[a].updatedAt - threads[b].updatedAt)
+                .slice(0, ids.length - MAX_THREADS)
+                .forEach(id => delete threads[id]);
+        }
+        await chrome.storage.local.set({ [STORAGE_KEY]: threads });
+    }
+
+    /**
+     * List threads (without messages), most recent first
+     * @param {string} query - Optional case-insensitive title filter
+     */
+    async list(query = '') {
+        const threads = await this.readAll();
+        const needle = String(query || '').trim().toLowerCase();
+
+        return Object.values(threads)
+            .filter(t => !needle || t.title.toLowerCase().includes(needle))
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .map(t => ({
+                id: t.id,
+                title: t.title,
+                createdAt: t.createdAt,
+                updatedAt: t.updatedAt,
+                messageCount: t.messages.length,
+                preview: t.messages[t.messages.length - 1]?.content?.substring(0, 80) || ''
+            }));
+    }
+
+    async get(id) {
+        const threads = await this.readAll();
+        return threads[id] || null;
+    }
+
+    async create(title = DEFAULT_TITLE) {
+        const threads = await this.readAll();
+        const now = Date.now();
+        const thread = {
+            id: `thread-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            title: String(title || DEFAULT_TITLE).trim() || DEFAULT_TITLE,
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+
+        threads[thread.id] = thread;
+        await this.writeAll(threads);
+        return thread;
+    }
+
+    /**
+     * Append messages to a thread; untitled threads are named after the first user message
+     * @param {string} id
+     * @param {Array<{role: string, content: string}>} messages
+     */
+    async appendMessages(id, messages) {
+        const threads = await this.readAll();
+        const thread = threads[id];
+        if (!thread) throw new Error('Chat thread not found');
+
+        const now = Date.now();
+        for (const msg of messages) {
+            thread.messages.push({ role: msg.role, content: msg.content, timestamp: msg.timestamp || now });
+        }
+
+        if (thread.title === DEFAULT_TITLE) {
+            const firstUser = thread.messages.find(m => m.role === 'user');
+            if (firstUser) {
+                const words = firstUser.content.replace(/\s+/g, ' ').trim();
+                thread.title = words.length > 50 ? words.substring(0, 50) + '…' : words;
+            }
+        }
+
+        thread.updatedAt = now;
+        await this.writeAll(threads);
+        return thread;
+    }
+
+    async rename(id, title) {
+        const clean = String(title || '').trim();
+        if (!clean) throw new Error('Thread title cannot be empty');
+
+        const threads = await this.readAll();
+        if (!threads[id]) throw new Error('Chat thread not found');
+
+        threads[id].title = clean;
+        threads[id].updatedAt = Date.now();
+        await this.writeAll(threads);
+        return threads[id];
+    }
+
+    async delete(id) {
+        const threads = await this.readAll();
+        delete threads[id];
+        await this.writeAll(threads);
+    }
+}
+
+// Export singleton instance
+export const chatThreadStore = new ChatThreadStore();
@@ -2,7 +2,8 @@
 // Calls Firebase Cloud Functions for powerful cloud AI features
 
 import { firebaseAuth } from './firebase-auth.js';
-import { firebaseConfig } from '../config/firebase-config.js';
+import { firebaseConfig, functionsURL, FUNCTIONS } from '../config/firebase-config.js';
+import { translationMemory } from './translation-memory.js';
 
 class CloudAIService {
     constructor() {
@@ -71,7 +72,8 @@ class CloudAIService {
         const result = await this.callFunction('summarizeText', {
             text,
             type: options.type || 'tldr',
-            length: options.length || 'medium'
+            length: options.length || 'medium',
+            context: options.context || ''
         });
 
         return {
@@ -83,13 +85,30 @@ class CloudAIService {
         };
     }
 
-    // Translate text using Cloud AI
-    async translate(text, targetLanguage, sourceLanguage = 'auto') {
+    // Translate text using Cloud AI (repeated segments come from the translation memory and cost no quota)
+    async translate(text, targetLanguage, sourceLanguage = 'auto', options = {}) {
+        // Callable functions can't be aborted: a cancellable request goes through the stream endpoint
+        if (options.signal) {
+            return this.translateStream(text, targetLanguage, sourceLanguage, null, options);
+        }
+
+        const remembered = await translationMemory.lookup(text, sourceLanguage, targetLanguage, 'cloud');
+        if (remembered) {
+            return {
+                translatedText: remembered.translatedText,
+                sourceLanguage,
+                targetLanguage,
+                provider: 'cloud-ai',
+                fromMemory: remembered.match
+            };
+        }
+
         const result = await this.callFunction('translateText', {
             text,
             targetLanguage,
             sourceLanguage
         });
+        translationMemory.store(text, result.translatedText, sourceLanguage, targetLanguage, 'cloud');
 
         return {
             translatedText: result.translatedText,
@@ -120,42 +139,180 @@ class CloudAIService {
         return result;
     }
 
-    // Stream translation (chunked updates)
+    // Map HTTP errors of the streaming endpoint to the same messages as the callables
+    async streamError(response) {
+        let message = response.statusText;
+        try {
+            const body = await response.json();
+            message = body.error?.message || message;
+        } catch (e) {
+            // Non-JSON error body
+        }
+
+        if (response.status === 401) {
+            return new Error('Authentication required. Please sign in.');
+        } else if (response.status === 429) {
+            return new Error('Daily limit reached. Upgrade to Pro for unlimited requests.');
+        } else if (response.status === 403) {
+            return new Error('Permission denied. Check your subscription.');
+        }
+        return new Error(`Cloud AI error: ${message}`);
+    }
+
+    // Call the streamAI endpoint and forward tokens as they arrive (server-sent events)
+    async callStream(payload, onChunk, options = {}) {
+        if (!await this.hasCloudAccess()) {
+            throw new Error('Cloud AI requires authentication. Please sign in.');
+        }
+
+        const token = await firebaseAuth.getIdToken();
+        const response = await fetch(`${functionsURL}/${FUNCTIONS.STREAM}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify(payload),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw await this.streamError(response);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+        let doneData = null;
+
+        const handleEvent = (raw) => {
+            let event = 'message';
+            let data = '';
+            for (const line of raw.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (!data) return;
+
+            const parsed = JSON.parse(data);
+            if (event === 'error') {
+                throw new Error(`Cloud AI error: ${parsed.message}`);
+            } else if (event === 'done') {
+                doneData = parsed;
+            } else if (parsed.text) {
+                fullText += parsed.text;
+                if (onChunk) onChunk(fullText);
+            }
+        };
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                // Events are separated by a blank line; keep a partial event for the next read
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+                events.forEach(handleEvent);
+            }
+            if (buffer.trim()) handleEvent(buffer);
+        } catch (error) {
+            // An error event (or a malformed one) ends the stream: release the connection
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+
+        // Without "done" the stream was cut (connection dropped, function timeout): the text is partial
+        if (!doneData) {
+            throw new Error('Cloud AI stream ended unexpectedly. Please try again.');
+        }
+
+        return { text: fullText, remaining: doneData?.remaining };
+    }
+
+    // Stream translation token by token
     async translateStream(text, targetLanguage, sourceLanguage, onChunk, options = {}) {
-        // For now, use non-streaming and simulate chunks
-        // TODO: Implement true streaming with Firebase when available
-        const result = await this.translate(text, targetLanguage, sourceLanguage);
-
-        // Simulate streaming by sending chunks
-        const translatedText = result.translatedText;
-        const chunkSize = Math.ceil(translatedText.length / 10);
-
-        for (let i = 0; i < translatedText.length; i += chunkSize) {
-            const chunk = translatedText.substring(0, i + chunkSize);
-            if (onChunk) onChunk(chunk);
-            await new Promise(resolve => setTimeout(resolve, 50));
+        const remembered = await translationMemory.lookup(text, sourceLanguage || 'auto', targetLanguage, 'cloud');
+        if (remembered) {
+            if (onChunk) onChunk(remembered.translatedText);
+            return {
+                translatedText: remembered.translatedText,
+                sourceLanguage: sourceLanguage || 'auto',
+                targetLanguage,
+                provider: 'cloud-ai',
+                fromMemory: remembered.match
+            };
         }
 
-        return result;
+        const result = await this.callStream({
+            task: 'translate',
+            text,
+            targetLanguage,
+            sourceLanguage: sourceLanguage || 'auto'
+        }, onChunk, options);
+        translationMemory.store(text, result.text, sourceLanguage || 'auto', targetLanguage, 'cloud');
+
+        return {
+            translatedText: result.text,
+            sourceLanguage: sourceLanguage || 'auto',
+            targetLanguage,
+            provider: 'cloud-ai',
+            remaining: result.remaining
+        };
     }
 
-    // Stream chat (chunked updates)
+    // Stream a rewrite (formal, casual, shorter, longer, bullets) token by token
+    async rewriteStream(text, style, onChunk, options = {}) {
+        const result = await this.callStream({
+            task: 'rewrite',
+            text,
+            style,
+            context: options.context || ''
+        }, onChunk, options);
+
+        return {
+            originalText: text,
+            text: result.text,
+            style,
+            provider: 'cloud-ai',
+            remaining: result.remaining
+        };
+    }
+
+    // Stream a draft composed from a brief token by token
+    async writeStream(brief, onChunk, options = {}) {
+        const result = await this.callStream({
+            task: 'write',
+            brief,
+            tone: options.tone || 'neutral',
+            length: options.length || 'medium',
+            sharedContext: options.sharedContext || ''
+        }, onChunk, options);
+
+        return {
+            brief,
+            text: result.text,
+            provider: 'cloud-ai',
+            remaining: result.remaining
+        };
+    }
+
+    // Stream chat token by token
     async chatStream(message, context, onChunk, options = {}) {
-        // For now, use non-streaming and simulate chunks
-        // TODO: Implement true streaming with Firebase when available
-        const result = await this.chat(message, context);
-
-        // Simulate streaming by sending chunks
-        const response = result.response;
-        const chunkSize = Math.ceil(response.length / 15);
-
-        for (let i = 0; i < response.length; i += chunkSize) {
-            const chunk = response.substring(0, i + chunkSize);
-            if (onChunk) onChunk(chunk);
-            await new Promise(resolve => setTimeout(resolve, 50));
-        }
+        const result = await this.callStream({
+            task: 'chat',
+            message,
+            context: context || []
+        }, onChunk, options);
 
-        return result;
+        return {
+            response: result.text,
+            provider: 'cloud-ai',
+            remaining: result.remaining
+        };
     }
 }
 
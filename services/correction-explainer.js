@@ -0,0 +1,93 @@
+// Correction Explainer - Short grammar explanations for proofreading corrections
+// Asks the routed model (Prompt API, cloud or self-hosted) why a correction is right, in the user's UI language.
+// Explanations are cached by correction and language, so the same mistake is explained once.
+
+import { aiRouter } from './ai-router.js';
+
+const CACHE_KEY = 'proofreadExplanations';
+const MAX_CACHED = 300;
+
+function languageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (e) {
+        return code;
+    }
+}
+
+// The sentence a correction sits in gives the model enough context without the whole text
+function sentenceAround(text, start, end) {
+    const before = text.slice(0, start);
+    const sentenceStart = Math.max(before.search(/[^.!?\n]*$/), 0);
+    const after = text.slice(end).search(/[.!?\n]/);
+    const sentenceEnd = after === -1 ? text.length : end + after + 1;
+    return text.slice(sentenceStart, sentenceEnd).trim();
+}
+
+class CorrectionExplainer {
+    constructor() {
+        this.cache = null; // Loaded lazily from chrome.storage.local
+    }
+
+    async loadCache() {
+        if (!this.cache) {
+            const result = await chrome.storage.local.get([CACHE_KEY]);
+            this.cache = result[CACHE_KEY] || {};
+        }
+        return this.cache;
+    }
+
+    async remember(key, explanation) {
+        const cache = await this.loadCache();
+        cache[key] = { explanation, at: Date.now() };
+
+        // Keep the most recent explanations only
+        const keys = Object.keys(cache);
+        if (keys.length > MAX_CACHED) {
+            keys.sort((a, b) => cache[a].at - cache[b].at)
+                .slice(0, keys.length - MAX_CACHED)
+                .forEach(k => delete cache[k]);
+        }
+        await chrome.storage.local.set({ [CACHE_KEY]: cache });
+    }
+
+    /**
+     * Explain one correction
+     * @param {{text: string, startIndex: number, endIndex: number, correction: string, type?: string}} item
+     * @param {string} language - UI language code for the explanation
+     * @param {Object} options - { signal }
+     * @returns {Promise<{explanation: string, cached: boolean}>}
+     */
+    async explain(item, language = 'en', options = {}) {
+        const text = String(item.text || '');
+        const original = text.slice(item.startIndex, item.endIndex);
+        const correction = String(item.correction || '');
+        const lang = String(language || 'en').split('-')[0].toLowerCase();
+
+        const key = [lang, item.type || '', original, correction].join('|');
+        const cache = await this.loadCache();
+        if (cache[key]) {
+            return { explanation: cache[key].explanation, cached: true };
+        }
+
+        const system = 'You are a friendly writing tutor for non-native writers. '
+            + `Explain in ${languageName(lang)}, in one or two short sentences, why the correction is right. `
+            + 'Name the spelling or grammar rule involved. No greeting, no preamble, no quotes around the answer.';
+        const prompt = [
+            `Sentence: "${sentenceAround(text, item.startIndex, item.endIndex)}"`,
+            `Original: "${original || '(nothing)'}"`,
+            `Correction: "${correction || '(removed)'}"`,
+            item.type ? `Kind of correction: ${item.type}` : ''
+        ].filter(Boolean).join('\n');
+
+        const result = await aiRouter.promptOnce(prompt, { system, signal: options.signal });
+        const explanation = String(result.response || '').trim();
+        if (!explanation) throw new Error('No explanation was returned');
+
+        await this.remember(key, explanation);
+        return { explanation, cached: false };
+    }
+}
+
+// Export singleton instance
+export const correctionExplainer = new CorrectionExplainer();
@@ -0,0 +1,318 @@
+// Document Formats - Split documents into translatable segments and rebuild them
+// Structure (Markdown syntax, subtitle numbering and timestamps, HTML markup) is kept verbatim;
+// only the text segments go to the translator
+
+const FORMATS = {
+    txt: ['txt', 'text'],
+    markdown: ['md', 'markdown', 'mdown', 'mkd'],
+    srt: ['srt'],
+    vtt: ['vtt'],
+    html: ['html', 'htm', 'xhtml']
+};
+
+// Inline markup kept out of the translator. Distinct from the glossary's ⟦n⟧ placeholders.
+const INLINE_PLACEHOLDER = index => `⟪${index}⟫`;
+const INLINE_PLACEHOLDER_PATTERN = /⟪\s*(\d+)\s*⟫/g;
+
+const HAS_LETTERS = /\p{L}/u;
+
+// Elements whose text must not be translated
+const HTML_SKIP_TAGS = new Set(['script', 'style', 'code', 'pre', 'textarea', 'kbd', 'samp', 'var', 'svg', 'math']);
+const HTML_TRANSLATED_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function encodeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+function encodeAttribute(text) {
+    return encodeText(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Pick the format from the file extension, or sniff the content
+ * @returns {'txt'|'markdown'|'srt'|'vtt'|'html'}
+ */
+export function detectFormat(fileName = '', content = '') {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    for (const [format, extensions] of Object.entries(FORMATS)) {
+        if (extensions.includes(extension)) return format;
+    }
+
+    const head = String(content).trimStart().slice(0, 500);
+    if (/^WEBVTT/.test(head)) return 'vtt';
+    if (/^\d+\s*\r?\n\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(head)) return 'srt';
+    if (/^<(!doctype html|html|head|body)\b/i.test(head)) return 'html';
+    return 'txt';
+}
+
+/**
+ * A segment list with a way to put the document back together
+ * `parts` mixes verbatim strings and segment references ({ segment: index })
+ */
+class SegmentedDocument {
+    constructor(format) {
+        this.format = format;
+        this.parts = [];
+        this.segments = []; // { text, inline: [original markup] }
+    }
+
+    keep(text) {
+        if (text) this.parts.push(text);
+    }
+
+    // Text that only holds markup, numbers or punctuation is kept verbatim
+    add(text, inlinePattern = null, encode = null) {
+        const inline = [];
+        const protectedText = inlinePattern
+            ? text.replace(inlinePattern, (match) => {
+                inline.push(match);
+                return INLINE_PLACEHOLDER(inline.length - 1);
+            })
+            : text;
+
+        if (!HAS_LETTERS.test(protectedText.replace(INLINE_PLACEHOLDER_PATTERN, ''))) {
+            this.keep(encode ? encode(text) : text);
+            return;
+        }
+
+        this.parts.push({ segment: this.segments.length, encode });
+        this.segments.push({ text: protectedText, inline });
+    }
+
+    get texts() {
+        return this.segments.map(s => s.text);
+    }
+
+    restoreInline(translation, segment) {
+        const used = new Set();
+        let restored = String(translation ?? segment.text).replace(INLINE_PLACEHOLDER_PATTERN, (match, index) => {
+            if (segment.inline[index] === undefined) return match;
+            used.add(Number(index));
+            return segment.inline[index];
+        });
+
+        // Markup the translator dropped is appended so tags stay balanced
+        const missing = segment.inline.filter((_, i) => !used.has(i));
+        if (missing.length) restored += missing.join('');
+        return restored;
+    }
+
+    /**
+     * @param {string[]} translations - One translation per segment, in order
+     */
+    rebuild(translations) {
+        return this.parts.map((part) => {
+            if (typeof part === 'string') return part;
+            const segment = this.segments[part.segment];
+            const text = this.restoreInline(translations[part.segment], segment);
+            return part.encode ? part.encode(text) : text;
+        }).join('');
+    }
+}
+
+// Leading/trailing whitespace is layout: keep it out of the segment
+function addTrimmed(doc, text, inlinePattern, encode) {
+    const [, leading, body, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    doc.keep(leading);
+    if (body) doc.add(body, inlinePattern, encode);
+    doc.keep(trailing);
+}
+
+// ===== PLAIN TEXT =====
+// Paragraphs (separated by blank lines) are translated as units
+function parseText(content) {
+    const doc = new SegmentedDocument('txt');
+    content.split(/(\n[ \t]*\n+)/).forEach((chunk, i) => {
+        if (i % 2) doc.keep(chunk);
+        else addTrimmed(doc, chunk);
+    });
+    return doc;
+}
+
+// ===== MARKDOWN =====
+// Inline code, link/image targets, autolinks, inline HTML and footnote refs stay as-is
+const MARKDOWN_INLINE = /`[^`\n]+`|\]\([^)\s]+(?:\s+"[^"]*")?\)|<[^>\s]+>|\[\^[^\]]+\]|https?:\/\/\S+/g;
+// Heading, quote, list and task markers
+const MARKDOWN_PREFIX = /^(\s*(?:#{1,6}\s+|>\s?|[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+)*)/;
+
+function parseMarkdown(content) {
+    const doc = new SegmentedDocument('markdown');
+    const lines = content.split(/(\r?\n)/);
+    let fence = null;
+    let inFrontMatter = lines[0]?.trim() === '---';
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (i % 2) {
+            doc.keep(line);
+            continue;
+        }
+
+        const trimmed = line.trim();
+
+        // YAML front matter and fenced code blocks are copied verbatim
+        if (inFrontMatter) {
+            doc.keep(line);
+            if (i > 0 && trimmed === '---') inFrontMatter = false;
+            continue;
+        }
+        const fenceMatch = trimmed.match(/^(```|~~~)/);
+        if (fence || fenceMatch) {
+            doc.keep(line);
+            if (fenceMatch && (!fence || fenceMatch[1] === fence)) fence = fence ? null : fenceMatch[1];
+            continue;
+        }
+
+        // Indented code, HTML blocks, rules, table separators and reference definitions
+        if (/^( {4}|\t)/.test(line) || /^</.test(trimmed) || /^([-*_]\s*){3,}$/.test(trimmed)
+            || /^\|?\s*:?-{3,}/.test(trimmed) || /^\[[^\]]+\]:\s*\S+/.test(trimmed)) {
+            doc.keep(line);
+            continue;
+        }
+
+        // Table rows: translate each cell
+        if (/^\|.*\|$/.test(trimmed)) {
+            line.split(/(\|)/).forEach((cell, j) => {
+                if (j % 2) doc.keep(cell);
+                else addTrimmed(doc, cell, MARKDOWN_INLINE);
+            });
+            continue;
+        }
+
+        const prefix = line.match(MARKDOWN_PREFIX)[1];
+        doc.keep(prefix);
+        addTrimmed(doc, line.slice(prefix.length), MARKDOWN_INLINE);
+    }
+
+    return doc;
+}
+
+// ===== SUBTITLES (SRT / WebVTT) =====
+// Cue numbers, identifiers, timings and settings are kept; cue text is translated with its tags protected
+const SUBTITLE_TAGS = /<[^>]+>|\{\\[^}]*\}/g;
+
+function parseSubtitles(content, format) {
+    const doc = new SegmentedDocument(format);
+    const blocks = content.split(/(\r?\n[ \t]*\r?\n+)/);
+
+    blocks.forEach((block, i) => {
+        if (i % 2) {
+            doc.keep(block);
+            return;
+        }
+
+        const lines = block.split(/(\r?\n)/);
+        const timingIndex = lines.findIndex((line, j) => j % 2 === 0 && line.includes('-->'));
+
+        // Headers, NOTE / STYLE / REGION blocks and anything without a timing line
+        if (timingIndex === -1) {
+            doc.keep(block);
+            return;
+        }
+
+        doc.keep(lines.slice(0, timingIndex + 2).join(''));
+        const cueText = lines.slice(timingIndex + 2).join('');
+        if (cueText) addTrimmed(doc, cueText, SUBTITLE_TAGS);
+    });
+
+    return doc;
+}
+
+// ===== HTML =====
+// Tokenizes tags, comments and text; text inside script/style/code-like elements is skipped
+function parseHTML(content) {
+    const doc = new SegmentedDocument('html');
+    const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/?[a-zA-Z][^>]*>/g;
+    const skipStack = [];
+    let last = 0;
+    let match;
+
+    const addText = (raw) => {
+        if (!raw) return;
+        if (skipStack.length) {
+            doc.keep(raw);
+            return;
+        }
+        addTrimmed(doc, decodeEntities(raw), null, encodeText);
+    };
+
+    while ((match = tokens.exec(content))) {
+        addText(content.slice(last, match.index));
+        last = tokens.lastIndex;
+
+        const tag = match[0];
+        const name = tag.match(/^<\/?([a-zA-Z][\w:-]*)/)?.[1]?.toLowerCase();
+        const closing = tag.startsWith('</');
+
+        if (name && HTML_SKIP_TAGS.has(name) && !tag.endsWith('/>')) {
+            if (closing) {
+                const index = skipStack.lastIndexOf(name);
+                if (index !== -1) skipStack.splice(index);
+            } else {
+                skipStack.push(name);
+            }
+        }
+
+        if (closing || !name || skipStack.length) {
+            doc.keep(tag);
+            continue;
+        }
+
+        // Translatable attributes (alt, title...) become segments of their own
+        const attributes = new RegExp(`(\\s(?:${HTML_TRANSLATED_ATTRIBUTES.join('|')})\\s*=\\s*")([^"]*)(")`, 'gi');
+        let attrLast = 0;
+        let attr;
+        while ((attr = attributes.exec(tag))) {
+            doc.keep(tag.slice(attrLast, attr.index) + attr[1]);
+            doc.add(decodeEntities(attr[2]), null, encodeAttribute);
+            doc.keep(attr[3]);
+            attrLast = attributes.lastIndex;
+        }
+        doc.keep(tag.slice(attrLast));
+    }
+    addText(content.slice(last));
+
+    return doc;
+}
+
+/**
+ * Parse a document into translatable segments
+ * @returns {SegmentedDocument} - `texts` to translate, `rebuild(translations)` for the translated file
+ */
+export function parseDocument(content, format) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    switch (format) {
+        case 'markdown':
+            return parseMarkdown(text);
+        case 'srt':
+        case 'vtt':
+            return parseSubtitles(text, format);
+        case 'html':
+            return parseHTML(text);
+        default:
+            return parseText(text);
+    }
+}
+
+/**
+ * Name of the translated file: "notes.md" -> "notes.fr.md"
+ */
+export function translatedFileName(fileName, targetLanguage) {
+    const name = String(fileName || 'document.txt');
+    const dot = name.lastIndexOf('.');
+    return dot > 0
+        ? `${name.slice(0, dot)}.${targetLanguage}${name.slice(dot)}`
+        : `${name}.${targetLanguage}.txt`;
+}
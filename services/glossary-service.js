@@ -0,0 +1,295 @@
+// Glossary Service - User glossary and do-not-translate terms
+// Terms are swapped for placeholders before a provider sees the text and restored afterwards,
+// so every translation path (on-device, cloud, self-hosted) keeps product names and domain terms intact
+
+const STORAGE_KEY = 'translationGlossary';
+const ANY_LANGUAGE = '*';
+const CSV_HEADER = ['type', 'source', 'target', 'source_language', 'target_language'];
+
+// Bracketed numbers survive machine translation better than words; spaces the model inserts are tolerated
+const PLACEHOLDER = index => `⟦${index}⟧`;
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+const LEFTOVER_PLACEHOLDER = /⟦\s*\d+\s*⟧/;
+const PARTIAL_PLACEHOLDER = /⟦\s*\d*\s*$/;
+
+// Scripts that separate words with spaces need word boundaries; CJK and Thai terms sit between other letters
+const WORD_CHAR = '[\\p{Script=Latin}\\p{Script=Cyrillic}\\p{Script=Greek}\\p{N}_]';
+const STARTS_WITH_WORD_CHAR = new RegExp(`^${WORD_CHAR}`, 'u');
+const ENDS_WITH_WORD_CHAR = new RegExp(`${WORD_CHAR}$`, 'u');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match
+function termPattern(term) {
+    const before = STARTS_WITH_WORD_CHAR.test(term) ? `(?<!${WORD_CHAR})` : '';
+    const after = ENDS_WITH_WORD_CHAR.test(term) ? `(?!${WORD_CHAR})` : '';
+    return new RegExp(`${before}${escapeRegExp(term)}${after}`, 'giu');
+}
+
+function normalizeLanguage(code) {
+    const value = String(code || '').trim().toLowerCase();
+    return !value || value === 'auto' ? ANY_LANGUAGE : value;
+}
+
+// RFC 4180 fields: quoted values may hold commas, quotes ("") and line breaks
+function parseCSV(csv) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < csv.length; i++) {
+        const char = csv[i];
+        if (quoted) {
+            if (char === '"' && csv[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && csv[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+function toCSVField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class GlossaryService {
+    async load() {
+        const result = await chrome.storage.local.get([STORAGE_KEY]);
+        const glossary = result[STORAGE_KEY] || {};
+        return {
+            terms: glossary.terms || [],
+            doNotTranslate: glossary.doNotTranslate || []
+        };
+    }
+
+    async save(glossary) {
+        await chrome.storage.local.set({ [STORAGE_KEY]: glossary });
+        return glossary;
+    }
+
+    /**
+     * Add or update a term pair for a language pair ('*' or 'auto' matches any language)
+     * @param {{source: string, target: string, sourceLanguage?: string, targetLanguage?: string}} entry
+     */
+    async addTerm({ source, target, sourceLanguage, targetLanguage }) {
+        source = String(source || '').trim();
+        target = String(target || '').trim();
+        if (!source || !target) {
+            throw new Error('Both the term and its translation are required');
+        }
+
+        const glossary = await this.load();
+        const term = {
+            source,
+            target,
+            sourceLanguage: normalizeLanguage(sourceLanguage),
+            targetLanguage: normalizeLanguage(targetLanguage)
+        };
+        glossary.terms = glossary.terms.filter(t => !this.sameTerm(t, term));
+        glossary.terms.push(term);
+        return this.save(glossary);
+    }
+
+    async removeTerm(entry) {
+        const glossary = await this.load();
+        const term = {
+            source: entry.source,
+            sourceLanguage: normalizeLanguage(entry.sourceLanguage),
+            targetLanguage: normalizeLanguage(entry.targetLanguage)
+        };
+        glossary.terms = glossary.terms.filter(t => !this.sameTerm(t, term));
+        return this.save(glossary);
+    }
+
+    sameTerm(a, b) {
+        return a.source.toLowerCase() === b.source.toLowerCase()
+            && a.sourceLanguage === b.sourceLanguage
+            && a.targetLanguage === b.targetLanguage;
+    }
+
+    async addProtectedTerm(term) {
+        term = String(term || '').trim();
+        if (!term) throw new Error('Term is required');
+
+        const glossary = await this.load();
+        if (!glossary.doNotTranslate.some(t => t.toLowerCase() === term.toLowerCase())) {
+            glossary.doNotTranslate.push(term);
+        }
+        return this.save(glossary);
+    }
+
+    async removeProtectedTerm(term) {
+        const glossary = await this.load();
+        glossary.doNotTranslate = glossary.doNotTranslate.filter(t => t.toLowerCase() !== String(term).toLowerCase());
+        return this.save(glossary);
+    }
+
+    // ===== ENFORCEMENT =====
+
+    /**
+     * Rules that apply to a language pair, longest terms first so "Brief AI Pro" wins over "Brief AI"
+     * With an auto-detected source, every source language is considered.
+     * @returns {Promise<Array<{term: string, replacement: string|null, type: 'glossary'|'do-not-translate'}>>}
+     */
+    async getRules(sourceLanguage, targetLanguage) {
+        const { terms, doNotTranslate } = await this.load();
+        const source = normalizeLanguage(sourceLanguage);
+        const target = normalizeLanguage(targetLanguage);
+
+        const matches = (entryLanguage, language) =>
+            entryLanguage === ANY_LANGUAGE || language === ANY_LANGUAGE || entryLanguage === language;
+
+        const rules = [
+            ...terms
+                .filter(t => matches(t.sourceLanguage, source) && matches(t.targetLanguage, target))
+                .map(t => ({ term: t.source, replacement: t.target, type: 'glossary' })),
+            ...doNotTranslate.map(term => ({ term, replacement: null, type: 'do-not-translate' }))
+        ];
+
+        return rules.sort((a, b) => b.term.length - a.term.length);
+    }
+
+    /**
+     * Replace every rule term in `text` with a numbered placeholder
+     * @returns {{text: string, placeholders: Array<{term: string, replacement: string}>}}
+     */
+    protect(text, rules) {
+        const placeholders = [];
+        let protectedText = String(text || '');
+
+        for (const rule of rules) {
+            protectedText = protectedText.replace(termPattern(rule.term), (match) => {
+                placeholders.push({ term: rule.term, replacement: rule.replacement ?? match });
+                return PLACEHOLDER(placeholders.length - 1);
+            });
+        }
+
+        return { text: protectedText, placeholders };
+    }
+
+    /**
+     * Put glossary translations and protected terms back in place of the placeholders
+     * @param {boolean} partial - Streaming output: hide a placeholder that is still being written
+     */
+    restore(text, placeholders, partial = false) {
+        let restored = String(text || '');
+        if (!placeholders.length) return restored;
+
+        restored = restored.replace(PLACEHOLDER_PATTERN, (match, index) => placeholders[index]?.replacement ?? match);
+        return partial ? restored.replace(PARTIAL_PLACEHOLDER, '') : restored;
+    }
+
+    /**
+     * Check that each rule term of the source came out as expected in the translation
+     * @returns {Array<{term: string, expected: string, type: string}>}
+     */
+    checkViolations(sourceText, translatedText, rules) {
+        const violations = [];
+        const output = String(translatedText || '');
+
+        for (const rule of rules) {
+            const occurrences = String(sourceText || '').match(termPattern(rule.term));
+            if (!occurrences) continue;
+
+            const expected = rule.replacement ?? rule.term;
+            const found = output.match(termPattern(expected)) || [];
+            if (found.length < occurrences.length) {
+                violations.push({ term: rule.term, expected, type: rule.type });
+            }
+        }
+
+        // A placeholder the provider altered beyond recognition
+        if (LEFTOVER_PLACEHOLDER.test(output)) {
+            violations.push({ term: '', expected: '', type: 'placeholder' });
+        }
+
+        return violations;
+    }
+
+    // ===== CSV =====
+    // Columns: type (term | keep), source, target, source_language, target_language
+
+    async exportCSV() {
+        const { terms, doNotTranslate } = await this.load();
+        const rows = [
+            CSV_HEADER,
+            ...terms.map(t => ['term', t.source, t.target, t.sourceLanguage, t.targetLanguage]),
+            ...doNotTranslate.map(term => ['keep', term, '', ANY_LANGUAGE, ANY_LANGUAGE])
+        ];
+        return rows.map(row => row.map(toCSVField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Merge terms from CSV (or replace the whole glossary)
+     * Rows with two columns are read as plain "source,target" pairs for any language.
+     * @returns {Promise<{terms: number, doNotTranslate: number, skipped: number}>}
+     */
+    async importCSV(csv, options = {}) {
+        const rows = parseCSV(String(csv || ''));
+        if (rows.length && rows[0][0]?.trim().toLowerCase() === CSV_HEADER[0]) rows.shift();
+
+        const glossary = options.replace ? { terms: [], doNotTranslate: [] } : await this.load();
+        const counts = { terms: 0, doNotTranslate: 0, skipped: 0 };
+
+        for (const row of rows) {
+            const [first, second, third, fourth, fifth] = row.map(value => value.trim());
+            const isTyped = ['term', 'keep'].includes(first.toLowerCase());
+            const type = isTyped ? first.toLowerCase() : 'term';
+            const entry = isTyped
+                ? { source: second, target: third, sourceLanguage: fourth, targetLanguage: fifth }
+                : { source: first, target: second, sourceLanguage: third, targetLanguage: fourth };
+
+            if (type === 'keep' && entry.source) {
+                if (!glossary.doNotTranslate.some(t => t.toLowerCase() === entry.source.toLowerCase())) {
+                    glossary.doNotTranslate.push(entry.source);
+                }
+                counts.doNotTranslate++;
+            } else if (type === 'term' && entry.source && entry.target) {
+                const term = {
+                    source: entry.source,
+                    target: entry.target,
+                    sourceLanguage: normalizeLanguage(entry.sourceLanguage),
+                    targetLanguage: normalizeLanguage(entry.targetLanguage)
+                };
+                glossary.terms = glossary.terms.filter(t => !this.sameTerm(t, term));
+                glossary.terms.push(term);
+                counts.terms++;
+            } else {
+                counts.skipped++;
+            }
+        }
+
+        await this.save(glossary);
+        return counts;
+    }
+}
+
+// Export singleton instance
+export const glossaryService = new GlossaryService();
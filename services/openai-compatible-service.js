@@ -0,0 +1,337 @@
+// OpenAI-Compatible Service - Self-hosted AI provider
+// Talks to any server exposing the OpenAI `/v1/chat/completions` API (Ollama, llama.cpp, vLLM, LM Studio...)
+// so text never leaves the user's own hardware
+
+const STORAGE_KEY = 'selfHostedAI';
+
+class OpenAICompatibleService {
+    constructor() {
+        this.config = null; // { baseUrl, apiKey, model }
+    }
+
+    // Accept "http://host:11434", ".../v1" or a full ".../v1/chat/completions" URL
+    normalizeBaseUrl(url) {
+        let base = String(url || '').trim().replace(/\/+$/, '');
+        base = base.replace(/\/chat\/completions$/, '').replace(/\/models$/, '');
+        if (!/\/v1$/.test(base)) base += '/v1';
+        return base;
+    }
+
+    async loadConfig() {
+        const result = await chrome.storage.local.get([STORAGE_KEY]);
+        this.config = result[STORAGE_KEY] || null;
+        return this.config;
+    }
+
+    async saveConfig({ baseUrl, apiKey = '', model = '' }) {
+        if (!baseUrl) {
+            throw new Error('Server URL is required');
+        }
+        new URL(baseUrl); // Throws on malformed URLs
+
+        this.config = {
+            baseUrl: this.normalizeBaseUrl(baseUrl),
+            apiKey: String(apiKey || '').trim(),
+            model: String(model || '').trim()
+        };
+        await chrome.storage.local.set({ [STORAGE_KEY]: this.config });
+        return this.config;
+    }
+
+    async clearConfig() {
+        this.config = null;
+        await chrome.storage.local.remove([STORAGE_KEY]);
+    }
+
+    async isConfigured() {
+        const config = await this.loadConfig();
+        return !!(config?.baseUrl && config?.model);
+    }
+
+    headers(apiKey) {
+        const headers = { 'Content-Type': 'application/json' };
+        // Ollama and llama.cpp need no key; hosted gateways usually do
+        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+        return headers;
+    }
+
+    async request(path, body, options = {}) {
+        const config = await this.loadConfig();
+        if (!config?.baseUrl || !config?.model) {
+            throw new Error('Self-hosted AI is not configured. Set a server URL and model first.');
+        }
+
+        let response;
+        try {
+            response = await fetch(`${config.baseUrl}${path}`, {
+                method: 'POST',
+                headers: this.headers(config.apiKey),
+                body: JSON.stringify({ model: config.model, ...body }),
+                signal: options.signal
+            });
+        } catch (error) {
+            if (options.signal?.aborted) throw error;
+            throw new Error(`Cannot reach self-hosted AI at ${config.baseUrl}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            let message = response.statusText;
+            try {
+                const data = await response.json();
+                message = data.error?.message || data.error || message;
+            } catch (e) {
+                // Non-JSON error body
+            }
+            throw new Error(`Self-hosted AI error (${response.status}): ${message}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * List models offered by a server (GET /v1/models)
+     * Takes explicit settings so the panel can list models before saving them.
+     */
+    async listModels(baseUrl, apiKey) {
+        const base = this.normalizeBaseUrl(baseUrl || this.config?.baseUrl);
+        const response = await fetch(`${base}/models`, {
+            headers: this.headers(apiKey ?? this.config?.apiKey)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Could not list models (${response.status} ${response.statusText})`);
+        }
+
+        const data = await response.json();
+        return (data.data || data.models || [])
+            .map(m => m.id || m.name)
+            .filter(Boolean)
+            .sort();
+    }
+
+    // Non-streaming chat completion
+    async complete(messages, options = {}) {
+        const response = await this.request('/chat/completions', {
+            messages,
+            stream: false,
+            ...(typeof options.temperature === 'number' ? { temperature: options.temperature } : {})
+        }, options);
+
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content || '';
+    }
+
+    // Streaming chat completion (server-sent events with `delta.content`)
+    async completeStream(messages, onChunk, options = {}) {
+        const response = await this.request('/chat/completions', {
+            messages,
+            stream: true,
+            ...(typeof options.temperature === 'number' ? { temperature: options.temperature } : {})
+        }, options);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop(); // Keep a partial line for the next read
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const data = trimmed.slice(5).trim();
+                if (data === '[DONE]') continue;
+
+                try {
+                    const piece = JSON.parse(data).choices?.[0]?.delta?.content;
+                    if (piece) {
+                        fullText += piece;
+                        if (onChunk) onChunk(fullText);
+                    }
+                } catch (e) {
+                    console.error('[Self-hosted AI] Error parsing stream chunk:', e);
+                }
+            }
+        }
+
+        return fullText;
+    }
+
+    // ===== PROVIDER API (same shapes as AIService / CloudAIService) =====
+
+    async summarize(text, options = {}) {
+        const typeDescriptions = {
+            'tldr': 'a TL;DR style summary',
+            'key-points': 'the key points as a bulleted list',
+            'teaser': 'an engaging teaser',
+            'headline': 'a catchy headline'
+        };
+        const lengthDescriptions = {
+            'short': 'very brief (1-2 sentences or 3 bullets)',
+            'medium': 'concise (3-4 sentences or 5 bullets)',
+            'long': 'detailed (5-6 sentences or 7 bullets)'
+        };
+        const type = typeDescriptions[options.type] || typeDescriptions.tldr;
+        const length = lengthDescriptions[options.length] || lengthDescriptions.medium;
+
+        const summary = await this.complete([
+            {
+                role: 'system',
+                content: `You summarize text. Write ${type}, ${length}. Reply with the summary only, in the language of the text.`
+                    + (options.context ? `\nContext: ${options.context}` : '')
+            },
+            { role: 'user', content: text }
+        ], options);
+
+        if (!summary) {
+            throw new Error('Self-hosted AI returned an empty summary');
+        }
+
+        return {
+            summary,
+            originalLength: text.length,
+            summaryLength: summary.length,
+            compressionRatio: ((1 - summary.length / text.length) * 100).toFixed(1) + '%',
+            provider: 'self-hosted'
+        };
+    }
+
+    translationMessages(text, targetLanguage, sourceLanguage = 'auto') {
+        const from = sourceLanguage && sourceLanguage !== 'auto' ? ` from ${sourceLanguage}` : '';
+        // Glossary terms arrive as ⟦n⟧ placeholders (see GlossaryService)
+        const placeholders = /⟦\s*\d+\s*⟧/.test(text) ? ' Keep every placeholder such as ⟦0⟧ exactly as written.' : '';
+        return [
+            {
+                role: 'system',
+                content: `Translate the user's text${from} to the language with code "${targetLanguage}". Reply with the translation only, keeping formatting and line breaks.${placeholders}`
+            },
+            { role: 'user', content: text }
+        ];
+    }
+
+    async translate(text, targetLanguage, sourceLanguage = 'auto', options = {}) {
+        const translatedText = await this.complete(this.translationMessages(text, targetLanguage, sourceLanguage), options);
+        return {
+            translatedText,
+            sourceLanguage,
+            targetLanguage,
+            provider: 'self-hosted'
+        };
+    }
+
+    async translateStream(text, targetLanguage, sourceLanguage, onChunk, options = {}) {
+        const translatedText = await this.completeStream(
+            this.translationMessages(text, targetLanguage, sourceLanguage),
+            onChunk,
+            options
+        );
+        return {
+            translatedText,
+            sourceLanguage: sourceLanguage || 'auto',
+            targetLanguage,
+            provider: 'self-hosted'
+        };
+    }
+
+    rewriteMessages(text, style, context = '') {
+        const styleDescriptions = {
+            formal: 'in a more formal tone',
+            casual: 'in a more casual, friendly tone',
+            shorter: 'to be noticeably shorter, keeping the key points',
+            longer: 'to be longer and more detailed, without inventing facts',
+            bullets: 'as a concise Markdown bulleted list of its points'
+        };
+        const description = styleDescriptions[style] || styleDescriptions.formal;
+        const background = context ? ` Context: ${context}` : '';
+        return [
+            {
+                role: 'system',
+                content: `Rewrite the user's text ${description}. Keep its meaning and language. Reply with the rewritten text only.${background}`
+            },
+            { role: 'user', content: text }
+        ];
+    }
+
+    async rewriteStream(text, style, onChunk, options = {}) {
+        const rewritten = await this.completeStream(this.rewriteMessages(text, style, options.context), onChunk, options);
+        return { originalText: text, text: rewritten, style, provider: 'self-hosted' };
+    }
+
+    writeMessages(brief, { tone = 'neutral', length = 'medium', sharedContext = '' } = {}) {
+        const background = sharedContext ? `\n\nContext:\n${sharedContext}` : '';
+        return [
+            {
+                role: 'system',
+                content: `Write a ${tone}, ${length} draft (email, support reply, message) from the user's brief. Reply with the draft only.${background}`
+            },
+            { role: 'user', content: brief }
+        ];
+    }
+
+    async writeStream(brief, onChunk, options = {}) {
+        const text = await this.completeStream(this.writeMessages(brief, options), onChunk, options);
+        return { brief, text, provider: 'self-hosted' };
+    }
+
+    chatMessages(message, context = []) {
+        return [
+            {
+                role: 'system',
+                content: 'You are a helpful and friendly AI assistant. IMPORTANT: Always respond in the SAME language as the user\'s message.'
+            },
+            ...context.map(m => ({ role: m.role, content: m.content })),
+            { role: 'user', content: message }
+        ];
+    }
+
+    async chat(message, context = [], options = {}) {
+        const response = await this.complete(this.chatMessages(message, context), options);
+        return { response, provider: 'self-hosted' };
+    }
+
+    async chatStream(message, context, onChunk, options = {}) {
+        const response = await this.completeStream(this.chatMessages(message, context || []), onChunk, options);
+        return { response, provider: 'self-hosted' };
+    }
+
+    // Vision models (llava, qwen-vl, gemma3...) accept images as data URLs
+    async describeImage(imageUrl, customPrompt = null, options = {}) {
+        const imageResponse = await fetch(imageUrl);
+        const blob = await imageResponse.blob();
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        const dataUrl = `data:${blob.type || 'image/jpeg'};base64,${btoa(binary)}`;
+
+        const prompt = customPrompt || 'Describe this image in detail. What do you see? Include colors, objects, people, text, and any other relevant details.';
+        const description = await this.complete([
+            {
+                role: 'user',
+                content: [
+                    { type: 'text', text: prompt },
+                    { type: 'image_url', image_url: { url: dataUrl } }
+                ]
+            }
+        ], options);
+
+        return {
+            description,
+            imageUrl,
+            model: this.config?.model,
+            timestamp: Date.now()
+        };
+    }
+}
+
+// Export singleton instance
+export const openAICompatibleService = new OpenAICompatibleService();
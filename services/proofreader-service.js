@@ -1,10 +1,13 @@
 // Proofreader Service - Chrome's Built-in Proofreader API (Gemini Nano)
 // Helps users fix spelling and grammar mistakes
 
+import { proofreadingRules } from './proofreading-rules.js';
+
 export class ProofreaderService {
     constructor() {
-        this.proofreader = null;
-        this.currentLanguage = 'en';
+        // One instance per language: tabs and the side panel proofread different languages at the same time
+        this.proofreaders = new Map(); // Language -> Promise<Proofreader>
+        this.languageSupport = new Map(); // Language -> Promise<boolean>
         this.isAvailable = false;
     }
 
@@ -61,54 +64,78 @@ export class ProofreaderService {
     }
 
     /**
-     * Initialize the proofreader with specified language
+     * Whether the Proofreader API can check text in a language
+     * @param {string} language - e.g. 'en', 'fr'
+     * @returns {Promise<boolean>}
+     */
+    supportsLanguage(language) {
+        if (typeof Proofreader === 'undefined') return Promise.resolve(false);
+
+        if (!this.languageSupport.has(language)) {
+            const check = Proofreader.availability({ expectedInputLanguages: [language] })
+                .then(availability => availability !== 'unavailable')
+                .catch((error) => {
+                    console.warn('[Proofreader] Language check failed:', language, error);
+                    this.languageSupport.delete(language);
+                    return false;
+                });
+            this.languageSupport.set(language, check);
+        }
+        return this.languageSupport.get(language);
+    }
+
+    /**
+     * Get the proofreader for a language, creating it on first use
      * @param {string} language - Expected input language (e.g., 'en', 'fr')
      * @param {function} onProgress - Download progress callback
+     * @returns {Promise<Proofreader>}
      */
     async initialize(language = 'en', onProgress = null) {
         try {
+            if (this.proofreaders.has(language)) {
+                return await this.proofreaders.get(language);
+            }
+
             // Check availability first
             const { available, status } = await this.checkAvailability();
-            
+
             if (!available && status !== 'downloadable') {
                 throw new Error('Proofreader API is not available');
             }
 
-            // If language changed or not initialized, create new proofreader
-            if (this.proofreader && this.currentLanguage === language) {
-                return this.proofreader;
+            if (!await this.supportsLanguage(language)) {
+                const error = new Error(`Proofreading is not available for this language (${language})`);
+                error.code = 'unsupported-language';
+                throw error;
             }
 
-            // Destroy previous instance
-            if (this.proofreader) {
-                try {
-                    this.proofreader.destroy?.();
-                } catch (e) {
-                    console.warn('[Proofreader] Failed to destroy old instance:', e);
-                }
-                this.proofreader = null;
+            // Another request may have started creating it while availability was checked
+            if (!this.proofreaders.has(language)) {
+                console.log('[Proofreader] Creating new instance for language:', language);
+
+                // Create proofreader with progress monitoring
+                const creating = Proofreader.create({
+                    expectedInputLanguages: [language],
+                    includeCorrectionTypes: true,
+                    monitor(m) {
+                        m.addEventListener('downloadprogress', (e) => {
+                            const progress = Math.round(e.loaded * 100);
+                            console.log(`[Proofreader] Download progress: ${progress}%`);
+                            if (onProgress) {
+                                onProgress(progress);
+                            }
+                        });
+                    }
+                });
+                this.proofreaders.set(language, creating);
+                // A failed creation is retried on the next request
+                creating.catch(() => this.proofreaders.delete(language));
             }
 
-            console.log('[Proofreader] Creating new instance for language:', language);
-
-            // Create proofreader with progress monitoring
-            this.proofreader = await Proofreader.create({
-                expectedInputLanguages: [language],
-                monitor(m) {
-                    m.addEventListener('downloadprogress', (e) => {
-                        const progress = Math.round(e.loaded * 100);
-                        console.log(`[Proofreader] Download progress: ${progress}%`);
-                        if (onProgress) {
-                            onProgress(progress);
-                        }
-                    });
-                }
-            });
-
-            this.currentLanguage = language;
+            const proofreader = await this.proofreaders.get(language);
             console.log('[Proofreader] Successfully initialized');
-            
-            return this.proofreader;
+
+            return proofreader;
         } catch (error) {
             console.error('[Proofreader] Initialization error:', error);
             throw error;
@@ -119,34 +146,47 @@ export class ProofreaderService {
      * Proofread text and return corrections
      * @param {string} text - Text to proofread
      * @param {string} language - Language of the text
+     * @param {Object} options - { signal } to cancel the request, { applyRules: false } to skip the dictionary and ignore patterns
      * @returns {Promise<{correctedText: string, corrections: Array, hasErrors: boolean}>}
      */
-    async proofread(text, language = 'en') {
+    async proofread(text, language = 'en', options = {}) {
         try {
             if (!text || typeof text !== 'string' || text.trim().length === 0) {
                 throw new Error('Text to proofread cannot be empty');
             }
 
             // Initialize proofreader if needed
-            await this.initialize(language);
-
-            if (!this.proofreader) {
-                throw new Error('Proofreader not initialized');
-            }
+            const proofreader = await this.initialize(language);
 
             console.log('[Proofreader] Proofreading text:', text.substring(0, 50) + '...');
 
             // Call the proofread method
-            const result = await this.proofreader.proofread(text);
+            const result = await proofreader.proofread(text, { signal: options.signal });
 
             console.log('[Proofreader] Result:', result);
 
-            // Format the result
+            // Format the result; every correction gets a single `type` so the UI can group them
+            const allCorrections = (result.corrections || []).map(c => ({
+                startIndex: c.startIndex,
+                endIndex: c.endIndex,
+                correction: c.correction || '',
+                type: c.types?.[0] || c.type || this.inferCorrectionType(text.slice(c.startIndex, c.endIndex), c.correction || '')
+            }));
+
+            // Personal dictionary and ignore patterns
+            let corrections = allCorrections;
+            if (options.applyRules !== false) {
+                corrections = proofreadingRules.filter(text, allCorrections, await proofreadingRules.load());
+            }
+
             return {
                 originalText: text,
-                correctedText: result.correctedInput || text,
-                corrections: result.corrections || [],
-                hasErrors: (result.corrections && result.corrections.length > 0) || false
+                correctedText: corrections.length === allCorrections.length
+                    ? result.correctedInput || text
+                    : proofreadingRules.applyCorrections(text, corrections),
+                corrections,
+                ignoredCount: allCorrections.length - corrections.length,
+                hasErrors: corrections.length > 0
             };
         } catch (error) {
             console.error('[Proofreader] Error:', error);
@@ -154,6 +194,21 @@ export class ProofreaderService {
         }
     }
 
+    /**
+     * Best guess of the kind of correction, for builds that don't report correction types
+     * @returns {'capitalization'|'spacing'|'punctuation'|'missing-words'|'spelling'|'grammar'}
+     */
+    inferCorrectionType(original, correction) {
+        const lettersOnly = value => value.replace(/[^\p{L}\p{N}]/gu, '');
+
+        if (original !== correction && original.toLowerCase() === correction.toLowerCase()) return 'capitalization';
+        if (original.replace(/\s/g, '') === correction.replace(/\s/g, '')) return 'spacing';
+        if (lettersOnly(original) === lettersOnly(correction)) return 'punctuation';
+        if (!original.trim()) return 'missing-words';
+        if (!/\s/.test(original.trim()) && !/\s/.test(correction.trim())) return 'spelling';
+        return 'grammar';
+    }
+
     /**
      * Format corrections for display
      * @param {string} originalText - Original text
@@ -221,17 +276,15 @@ export class ProofreaderService {
     }
 
     /**
-     * Destroy the proofreader instance
+     * Destroy the proofreader instances
      */
     destroy() {
-        if (this.proofreader) {
-            try {
-                this.proofreader.destroy?.();
-            } catch (e) {
+        for (const creating of this.proofreaders.values()) {
+            creating.then(proofreader => proofreader.destroy?.()).catch((e) => {
                 console.warn('[Proofreader] Failed to destroy:', e);
-            }
-            this.proofreader = null;
+            });
         }
+        this.proofreaders.clear();
     }
 }
 
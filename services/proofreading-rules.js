@@ -0,0 +1,209 @@
+// Proofreading Rules - Personal dictionary and ignore patterns
+// Corrections that touch a dictionary word or text matched by an ignore pattern (URLs, code...) are dropped,
+// for the side panel and inline proofreading alike. Synced across browsers with chrome.storage.sync.
+
+const STORAGE_KEY = 'proofreadingRules';
+// chrome.storage.sync caps each item at 8 KB (QUOTA_BYTES_PER_ITEM): the dictionary is spread over numbered items
+const DICTIONARY_KEY_PREFIX = `${STORAGE_KEY}.dictionary.`;
+const ITEM_MAX_BYTES = 7500;
+// Share of the 100 KB sync quota the dictionary may take, leaving room for the other synced settings
+const DICTIONARY_MAX_BYTES = 60000;
+const WORD_MAX_LENGTH = 100;
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+// Starting set; each one can be removed from the Proofread tab
+const DEFAULT_IGNORE_PATTERNS = [
+    { label: 'URLs', pattern: '\\b(?:https?://|www\\.)\\S+' },
+    { label: 'Emails', pattern: '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+' },
+    { label: 'Code spans', pattern: '`[^`\\n]+`' },
+    { label: 'Code identifiers', pattern: '\\b[a-z]+(?:[A-Z][a-z0-9]*)+\\b|\\b\\w+_\\w+\\b' }
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(pattern) {
+    return new RegExp(pattern, 'gu');
+}
+
+// Size chrome.storage.sync counts for an item: its key plus its JSON value
+function itemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+function dictionaryKeys(count) {
+    return Array.from({ length: count }, (_, i) => `${DICTIONARY_KEY_PREFIX}${i}`);
+}
+
+// Words grouped into items that each fit the per-item quota
+function splitDictionary(words) {
+    const chunks = [];
+    let chunk = [];
+    for (const word of words) {
+        if (chunk.length && itemBytes(`${DICTIONARY_KEY_PREFIX}${chunks.length}`, [...chunk, word]) > ITEM_MAX_BYTES) {
+            chunks.push(chunk);
+            chunk = [];
+        }
+        chunk.push(word);
+    }
+    if (chunk.length) chunks.push(chunk);
+    return chunks;
+}
+
+// Character ranges of every match of `regex` in `text`
+function matchRanges(text, regex) {
+    const ranges = [];
+    for (const match of text.matchAll(regex)) {
+        if (!match[0]) continue;
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+    return ranges;
+}
+
+class ProofreadingRules {
+    async load() {
+        const result = await chrome.storage.sync.get([STORAGE_KEY]);
+        const rules = result[STORAGE_KEY] || {};
+
+        // Dictionaries saved before the split live in the main item
+        let dictionary = rules.dictionary || [];
+        if (rules.dictionaryItems) {
+            const keys = dictionaryKeys(rules.dictionaryItems);
+            const items = await chrome.storage.sync.get(keys);
+            dictionary = keys.flatMap(key => items[key] || []);
+        }
+
+        return {
+            dictionary,
+            ignorePatterns: rules.ignorePatterns || DEFAULT_IGNORE_PATTERNS
+        };
+    }
+
+    async save(rules) {
+        const dictionaryBytes = itemBytes('', rules.dictionary);
+        if (dictionaryBytes > DICTIONARY_MAX_BYTES) {
+            throw new Error(`Your dictionary is full (${rules.dictionary.length} words). Remove some words to add new ones.`);
+        }
+
+        const chunks = splitDictionary(rules.dictionary);
+        const main = { ignorePatterns: rules.ignorePatterns, dictionaryItems: chunks.length };
+        if (itemBytes(STORAGE_KEY, main) > ITEM_MAX_BYTES) {
+            throw new Error('Too many ignore patterns. Remove some to add new ones.');
+        }
+
+        const previous = (await chrome.storage.sync.get([STORAGE_KEY]))[STORAGE_KEY]?.dictionaryItems || 0;
+        const items = { [STORAGE_KEY]: main };
+        dictionaryKeys(chunks.length).forEach((key, i) => { items[key] = chunks[i]; });
+        await chrome.storage.sync.set(items);
+
+        // Items left over from a longer dictionary
+        const stale = dictionaryKeys(previous).slice(chunks.length);
+        if (stale.length) await chrome.storage.sync.remove(stale);
+
+        return rules;
+    }
+
+    async addWord(word) {
+        word = String(word || '').trim();
+        if (!word) throw new Error('Word is required');
+        if (word.length > WORD_MAX_LENGTH) throw new Error(`Words can be at most ${WORD_MAX_LENGTH} characters`);
+
+        const rules = await this.load();
+        if (!rules.dictionary.some(w => w.toLowerCase() === word.toLowerCase())) {
+            rules.dictionary.push(word);
+        }
+        return this.save(rules);
+    }
+
+    async removeWord(word) {
+        const rules = await this.load();
+        rules.dictionary = rules.dictionary.filter(w => w.toLowerCase() !== String(word).toLowerCase());
+        return this.save(rules);
+    }
+
+    /**
+     * Add a regular expression whose matches are never corrected
+     * @param {{pattern: string, label?: string}} entry
+     */
+    async addPattern({ pattern, label }) {
+        pattern = String(pattern || '').trim();
+        if (!pattern) throw new Error('Pattern is required');
+
+        try {
+            compilePattern(pattern);
+        } catch (e) {
+            throw new Error(`Invalid pattern: ${e.message}`);
+        }
+
+        const rules = await this.load();
+        rules.ignorePatterns = rules.ignorePatterns.filter(p => p.pattern !== pattern);
+        rules.ignorePatterns.push({ label: String(label || '').trim() || pattern, pattern });
+        return this.save(rules);
+    }
+
+    async removePattern(pattern) {
+        const rules = await this.load();
+        rules.ignorePatterns = rules.ignorePatterns.filter(p => p.pattern !== pattern);
+        return this.save(rules);
+    }
+
+    // ===== FILTERING =====
+
+    // Spans of `text` the proofreader must leave alone
+    protectedRanges(text, rules) {
+        const ranges = [];
+
+        for (const word of rules.dictionary) {
+            // Whole words only, case-insensitive: "Acme" also covers "ACME" at the start of a heading
+            const regex = new RegExp(`(?<!${WORD_CHAR})${escapeRegExp(word)}(?!${WORD_CHAR})`, 'giu');
+            ranges.push(...matchRanges(text, regex));
+        }
+
+        for (const { pattern } of rules.ignorePatterns) {
+            try {
+                ranges.push(...matchRanges(text, compilePattern(pattern)));
+            } catch (e) {
+                console.warn('[Proofreader] Skipping invalid ignore pattern:', pattern);
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Drop the corrections that touch a dictionary word or an ignored span
+     * @param {string} text - The proofread text
+     * @param {Array<{startIndex: number, endIndex: number}>} corrections
+     * @returns {Array} - The corrections to keep
+     */
+    filter(text, corrections, rules) {
+        if (!corrections.length) return corrections;
+
+        const ranges = this.protectedRanges(text, rules);
+        if (!ranges.length) return corrections;
+
+        return corrections.filter(({ startIndex, endIndex }) => !ranges.some(range =>
+            endIndex > startIndex
+                ? startIndex < range.end && endIndex > range.start
+                : startIndex > range.start && startIndex < range.end
+        ));
+    }
+
+    /**
+     * Rebuild the corrected text from the corrections that were kept
+     */
+    applyCorrections(text, corrections) {
+        let result = '';
+        let last = 0;
+        for (const c of [...corrections].sort((a, b) => a.startIndex - b.startIndex)) {
+            if (c.startIndex < last) continue;
+            result += text.slice(last, c.startIndex) + (c.correction || '');
+            last = c.endIndex;
+        }
+        return result + text.slice(last);
+    }
+}
+
+// Export singleton instance
+export const proofreadingRules = new ProofreadingRules();
@@ -0,0 +1,233 @@
+// Text Chunker - Split long documents into pieces that fit an on-device model's input quota
+// Splits on paragraph and heading boundaries first, then sentences, then words as a last resort
+
+const HEADING_PATTERN = /^(#{1,6}\s+\S|[A-Z0-9][^.!?:]{0,80}:?$)/;
+
+/**
+ * Split text into paragraph-level blocks, keeping headings as their own blocks
+ * @param {string} text
+ * @returns {Array<{text: string, isHeading: boolean}>}
+ */
+export function splitIntoBlocks(text) {
+    const blocks = [];
+    const paragraphs = String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/);
+
+    for (const paragraph of paragraphs) {
+        const lines = paragraph.split('\n').map(l => l.trim()).filter(Boolean);
+        let buffer = [];
+
+        for (const line of lines) {
+            // Markdown headings always start a new block, even without a blank line before them
+            if (/^#{1,6}\s+\S/.test(line)) {
+                if (buffer.length) blocks.push({ text: buffer.join('\n'), isHeading: false });
+                blocks.push({ text: line, isHeading: true });
+                buffer = [];
+            } else {
+                buffer.push(line);
+            }
+        }
+
+        if (buffer.length) {
+            const joined = buffer.join('\n');
+            // A short single line without terminal punctuation is treated as a heading
+            const isHeading = buffer.length === 1 && joined.length <= 80 && HEADING_PATTERN.test(joined);
+            blocks.push({ text: joined, isHeading });
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Group blocks into sections, each starting at a heading (if any)
+ * @param {string} text
+ * @returns {Array<{heading: string, text: string}>}
+ */
+export function splitIntoSections(text) {
+    const sections = [];
+    let current = { heading: '', parts: [] };
+
+    for (const block of splitIntoBlocks(text)) {
+        if (block.isHeading && current.parts.length) {
+            sections.push(current);
+            current = { heading: block.text, parts: [block.text] };
+        } else {
+            if (block.isHeading && !current.heading) current.heading = block.text;
+            current.parts.push(block.text);
+        }
+    }
+    if (current.parts.length) sections.push(current);
+
+    return sections.map(s => ({ heading: s.heading, text: s.parts.join('\n\n') }));
+}
+
+/**
+ * Split a single oversized block on sentence boundaries, then words
+ */
+async function splitOversizedBlock(text, fits) {
+    const sentences = text.match(/[^.!?。！？]+[.!?。！？]+["')\]]*\s*|[^.!?。！？]+$/g) || [text];
+    const units = [];
+
+    for (const sentence of sentences) {
+        if (await fits(sentence)) {
+            units.push(sentence.trim());
+            continue;
+        }
+        // Sentence itself is too long: fall back to word groups
+        let piece = '';
+        for (const word of sentence.split(/\s+/).filter(Boolean)) {
+            const candidate = piece ? `${piece} ${word}` : word;
+            if (piece && !(await fits(candidate))) {
+                units.push(piece);
+                piece = word;
+            } else {
+                piece = candidate;
+            }
+        }
+        if (piece) units.push(piece);
+    }
+
+    return units;
+}
+
+/**
+ * Pack blocks greedily into chunks that satisfy the `fits` predicate
+ * Headings are never left dangling at the end of a chunk.
+ * @param {string} text - Text to split
+ * @param {function(string): Promise<boolean>} fits - Whether a candidate chunk fits the quota
+ * @returns {Promise<string[]>}
+ */
+export async function chunkText(text, fits) {
+    const blocks = splitIntoBlocks(text);
+    const chunks = [];
+    let current = [];
+
+    const flush = () => {
+        if (!current.length) return;
+        // Carry a trailing heading over to the next chunk
+        const carry = [];
+        while (current.length > 1 && current[current.length - 1].isHeading) {
+            carry.unshift(current.pop());
+        }
+        chunks.push(current.map(b => b.text).join('\n\n'));
+        current = carry;
+    };
+
+    for (const block of blocks) {
+        const candidate = [...current, block].map(b => b.text).join('\n\n');
+        if (await fits(candidate)) {
+            current.push(block);
+            continue;
+        }
+
+        flush();
+
+        if (await fits([...current, block].map(b => b.text).join('\n\n'))) {
+            current.push(block);
+            continue;
+        }
+
+        // Block is larger than the quota on its own: keep any carried heading in front of it
+        const prefix = current.map(b => b.text).join('\n\n');
+        current = [];
+        const pieces = await splitOversizedBlock(block.text, fits);
+        let piece = prefix;
+        for (const unit of pieces) {
+            const next = piece ? `${piece}${piece === prefix ? '\n\n' : ' '}${unit}` : unit;
+            if (piece && !(await fits(next))) {
+                chunks.push(piece);
+                piece = unit;
+            } else {
+                piece = next;
+            }
+        }
+        if (piece) current = [{ text: piece, isHeading: false }];
+    }
+
+    if (current.length) chunks.push(current.map(b => b.text).join('\n\n'));
+
+    return chunks.filter(c => c.trim().length > 0);
+}
+
+/**
+ * Build a `fits` predicate from a Built-in AI object exposing inputQuota / measureInputUsage
+ * Falls back to a ~4 characters per token estimate when measuring is not supported.
+ * @param {object} model - Summarizer, LanguageModel session, etc.
+ * @param {number} reserve - Tokens to keep free for instructions
+ * @param {string} context - Context string sent along with the text (counts against the same quota)
+ */
+export function createQuotaPredicate(model, reserve = 0, context = '') {
+    const quota = Number(model?.inputQuota) || 0;
+
+    if (!quota || !Number.isFinite(quota)) {
+        return async () => true;
+    }
+
+    const budget = Math.max(1, quota - reserve);
+
+    return async (text) => {
+        if (typeof model.measureInputUsage === 'function') {
+            try {
+                const usage = context
+                    ? await model.measureInputUsage(text, { context })
+                    : await model.measureInputUsage(text);
+                return usage <= budget;
+            } catch (e) {
+                console.warn('[Text Chunker] measureInputUsage failed, estimating:', e);
+            }
+        }
+        return Math.ceil((text.length + context.length) / 4) <= budget;
+    };
+}
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to',
+    'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your', 'about',
+    'le', 'la', 'les', 'de', 'des', 'du', 'un', 'une', 'et', 'est', 'que', 'qui', 'dans', 'pour', 'sur'
+]);
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Rank sections by how well they match a query (term overlap, headings weigh more)
+ * @param {Array<{heading: string, text: string}>} sections
+ * @param {string} query
+ * @returns {Array<{heading: string, text: string, index: number, score: number}>} best first
+ */
+export function rankSectionsByRelevance(sections, query) {
+    const terms = new Set(tokenize(query));
+    const documentFrequency = new Map();
+    const tokenized = sections.map(s => tokenize(s.text));
+
+    tokenized.forEach(tokens => {
+        new Set(tokens).forEach(t => documentFrequency.set(t, (documentFrequency.get(t) || 0) + 1));
+    });
+
+    return sections
+        .map((section, index) => {
+            const tokens = tokenized[index];
+            const headingTokens = new Set(tokenize(section.heading));
+            let score = 0;
+
+            terms.forEach(term => {
+                const count = tokens.filter(t => t === term || t.startsWith(term)).length;
+                if (!count) return;
+                // Rare terms matter more than terms found in every section
+                const idf = Math.log(1 + sections.length / (documentFrequency.get(term) || 1));
+                score += (1 + Math.log(count)) * idf;
+                if (headingTokens.has(term)) score += idf;
+            });
+
+            // Normalize lightly so long sections don't win on size alone
+            return { ...section, index, score: score / Math.sqrt(1 + tokens.length / 200) };
+        })
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+}
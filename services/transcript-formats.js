@@ -0,0 +1,141 @@
+// Transcript Formats - Bilingual SRT, WebVTT, Markdown and JSON exports of a live-translation transcript
+// Each caption shows until the next one starts, capped so a pause in the video doesn't stretch a cue
+
+const MAX_CUE_SECONDS = 7;
+const MIN_CUE_SECONDS = 1.5;
+const SECONDS_PER_WORD = 0.4;
+
+const FORMATS = {
+    srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+function estimatedDuration(text) {
+    const words = String(text || '').split(/\s+/).filter(Boolean).length;
+    return Math.min(Math.max(words * SECONDS_PER_WORD, MIN_CUE_SECONDS), MAX_CUE_SECONDS);
+}
+
+// Captions detected without a video (or before it reported a time) fall back to the time since the session started
+function startTime(caption, session) {
+    if (Number.isFinite(caption.time)) return caption.time;
+    return Math.max(0, (caption.detectedAt - session.startedAt) / 1000);
+}
+
+/**
+ * Start and end time of every caption, in seconds
+ * A seek backwards (next caption earlier than this one) ends the cue after its estimated duration.
+ */
+function timedCues(session, captions) {
+    return captions.map((caption, i) => {
+        const start = startTime(caption, session);
+        const next = captions[i + 1] ? startTime(captions[i + 1], session) : null;
+        const estimatedEnd = start + estimatedDuration(caption.original);
+        const end = next !== null && next > start ? Math.min(next, start + MAX_CUE_SECONDS) : estimatedEnd;
+        return { ...caption, start, end: Math.max(end, start + 0.5) };
+    });
+}
+
+function formatTimestamp(seconds, separator) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// "[01:02:03]" for Markdown, hours only when needed
+function formatClock(seconds) {
+    const total = Math.floor(seconds);
+    const pad = value => String(value).padStart(2, '0');
+    const clock = `${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+    return total >= 3600 ? `${Math.floor(total / 3600)}:${clock}` : clock;
+}
+
+// Original on the first line, translation on the second
+function cueText(caption) {
+    return [caption.original, caption.translated].filter(Boolean).join('\n');
+}
+
+function toSRT(session, cues) {
+    return cues.map((cue, i) => [
+        i + 1,
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        cueText(cue)
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function toVTT(session, cues) {
+    // "-->" is not allowed in a NOTE block
+    const note = [session.title, session.url].filter(Boolean).join('\n').replace(/-->/g, '->');
+    const header = note ? `WEBVTT\n\nNOTE\n${note}` : 'WEBVTT';
+    const body = cues.map(cue => [
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+        cueText(cue).replace(/-->/g, '->')
+    ].join('\n'));
+    return [header, ...body].join('\n\n') + '\n';
+}
+
+function toMarkdown(session, cues) {
+    const lines = [`# ${session.title || 'Live translation transcript'}`, ''];
+    if (session.url) lines.push(`- Source: ${session.url}`);
+    lines.push(`- Recorded: ${new Date(session.startedAt).toLocaleString()}`);
+    if (session.targetLanguage) lines.push(`- Translated to: ${session.targetLanguage}`);
+    lines.push('');
+
+    for (const cue of cues) {
+        const language = cue.detectedLanguage && cue.detectedLanguage !== 'auto' ? ` (${cue.detectedLanguage})` : '';
+        lines.push(`**[${formatClock(cue.start)}]**${language} ${cue.original}`);
+        if (cue.translated) lines.push(`> ${cue.translated}`);
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+function toJSON(session, cues) {
+    return JSON.stringify({
+        session: {
+            url: session.url,
+            title: session.title,
+            platform: session.platform,
+            targetLanguage: session.targetLanguage,
+            startedAt: new Date(session.startedAt).toISOString()
+        },
+        captions: cues.map(cue => ({
+            start: Number(cue.start.toFixed(3)),
+            end: Number(cue.end.toFixed(3)),
+            original: cue.original,
+            translated: cue.translated || null,
+            detectedLanguage: cue.detectedLanguage || null
+        }))
+    }, null, 2);
+}
+
+function fileNameFor(session, extension) {
+    const base = String(session.title || 'transcript')
+        .replace(/[\\/:*?"<>|]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 80) || 'transcript';
+    const date = new Date(session.startedAt).toISOString().slice(0, 10);
+    return `${base} ${date}.${extension}`;
+}
+
+/**
+ * Export a transcript
+ * @param {{session: object, captions: Array<object>}} transcript - From TranscriptStore.getTranscript
+ * @param {'srt'|'vtt'|'markdown'|'json'} format
+ * @returns {{content: string, fileName: string, mimeType: string}}
+ */
+export function formatTranscript({ session, captions }, format) {
+    const target = FORMATS[format];
+    if (!target) throw new Error(`Unsupported transcript format: ${format}`);
+
+    const cues = timedCues(session, captions);
+    const writers = { srt: toSRT, vtt: toVTT, markdown: toMarkdown, json: toJSON };
+
+    return {
+        content: writers[format](session, cues),
+        fileName: fileNameFor(session, target.extension),
+        mimeType: target.mimeType
+    };
+}
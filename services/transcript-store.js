@@ -0,0 +1,154 @@
+// Transcript Store - Every live caption with its video time, translation and detected language
+// Captions are grouped in sessions (one per start of live translation on a tab) and live in IndexedDB,
+// so a transcript survives the side panel closing and can be exported later (see transcript-formats.js)
+
+const DB_NAME = 'brief-ai-transcripts';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const CAPTIONS = 'captions';
+const MAX_SESSIONS = 50;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class TranscriptStore {
+    constructor() {
+        this.dbPromise = null;
+        this.knownSessions = new Set(); // Sessions already written this worker lifetime
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(SESSIONS, { keyPath: 'id' }).createIndex('startedAt', 'startedAt');
+                    db.createObjectStore(CAPTIONS, { keyPath: 'key' }).createIndex('sessionId', 'sessionId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((error) => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(stores, mode, run) {
+        const db = await this.open();
+        const tx = db.transaction(stores, mode);
+        const result = await run(tx);
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result;
+    }
+
+    /**
+     * Record a caption update from the content script
+     * The original arrives first and its translation later, under the same caption id: both land in one entry.
+     * Never throws: a broken store must not break live translation.
+     * @param {Object} update - LIVE_TRANSLATION_UPDATE message
+     * @param {chrome.tabs.Tab} [tab] - Tab the caption came from
+     */
+    async record(update, tab) {
+        if (!update?.sessionId || update.captionId === undefined || !update.original) return;
+
+        try {
+            const isNewSession = !this.knownSessions.has(update.sessionId);
+
+            await this.transaction([SESSIONS, CAPTIONS], 'readwrite', async (tx) => {
+                const sessions = tx.objectStore(SESSIONS);
+                const captions = tx.objectStore(CAPTIONS);
+
+                const session = await promisify(sessions.get(update.sessionId)) || {
+                    id: update.sessionId,
+                    startedAt: update.sessionStartedAt || Date.now(),
+                    url: update.pageUrl || tab?.url || '',
+                    title: update.pageTitle || tab?.title || '',
+                    platform: update.platform || 'generic',
+                    targetLanguage: update.targetLanguage || '',
+                    captionCount: 0
+                };
+
+                const key = `${update.sessionId}:${update.captionId}`;
+                const existing = await promisify(captions.get(key));
+                const caption = existing || {
+                    key,
+                    sessionId: update.sessionId,
+                    index: update.captionId,
+                    time: update.time,
+                    detectedAt: update.detectedAt || Date.now(),
+                    original: update.original
+                };
+                if (update.translated) caption.translated = update.translated;
+                if (update.detectedLanguage) caption.detectedLanguage = update.detectedLanguage;
+
+                if (!existing) session.captionCount++;
+                session.updatedAt = Date.now();
+                sessions.put(session);
+                captions.put(caption);
+            });
+
+            if (isNewSession) {
+                this.knownSessions.add(update.sessionId);
+                await this.evict();
+            }
+        } catch (error) {
+            console.warn('[Transcripts] Record failed:', error);
+        }
+    }
+
+    /**
+     * Recorded sessions, most recent first
+     */
+    async listSessions() {
+        return this.transaction([SESSIONS], 'readonly', async (tx) => {
+            const sessions = await promisify(tx.objectStore(SESSIONS).index('startedAt').getAll());
+            return sessions.reverse();
+        });
+    }
+
+    /**
+     * One session and its captions in detection order
+     * @returns {Promise<{session: object, captions: Array<object>}>}
+     */
+    async getTranscript(sessionId) {
+        return this.transaction([SESSIONS, CAPTIONS], 'readonly', async (tx) => {
+            const session = await promisify(tx.objectStore(SESSIONS).get(sessionId));
+            if (!session) throw new Error('Transcript not found');
+
+            const captions = await promisify(tx.objectStore(CAPTIONS).index('sessionId').getAll(sessionId));
+            captions.sort((a, b) => a.index - b.index);
+            return { session, captions };
+        });
+    }
+
+    async deleteSession(sessionId) {
+        await this.transaction([SESSIONS, CAPTIONS], 'readwrite', async (tx) => {
+            tx.objectStore(SESSIONS).delete(sessionId);
+            const keys = await promisify(tx.objectStore(CAPTIONS).index('sessionId').getAllKeys(sessionId));
+            keys.forEach(key => tx.objectStore(CAPTIONS).delete(key));
+        });
+        this.knownSessions.delete(sessionId);
+    }
+
+    // Keep the most recent MAX_SESSIONS transcripts
+    async evict() {
+        const sessions = await this.listSessions();
+        for (const session of sessions.slice(MAX_SESSIONS)) {
+            await this.deleteSession(session.id);
+        }
+    }
+}
+
+// Export singleton instance
+export const transcriptStore = new TranscriptStore();
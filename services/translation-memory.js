@@ -0,0 +1,199 @@
+// Translation Memory - Persistent cache of translated segments
+// Segments are keyed by provider, language pair and source text and live in IndexedDB,
+// so live captions, page translation and repeated strings are translated once across sessions
+
+const DB_NAME = 'brief-ai-translation-memory';
+const DB_VERSION = 1;
+const STORE = 'segments';
+const MAX_ENTRIES = 5000;
+const MAX_TEXT_LENGTH = 5000; // Long documents are rarely repeated verbatim; don't cache them
+
+// Collapse runs of whitespace so "Hello  world\n" and "Hello world" share an entry
+function normalizeWhitespace(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class TranslationMemory {
+    constructor() {
+        this.dbPromise = null;
+        this.writes = 0;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                    store.createIndex('normalizedKey', 'normalizedKey');
+                    store.createIndex('lastUsed', 'lastUsed');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((error) => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, run) {
+        const db = await this.open();
+        const tx = db.transaction(STORE, mode);
+        const result = await run(tx.objectStore(STORE));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result;
+    }
+
+    keys(text, sourceLanguage, targetLanguage, provider) {
+        const prefix = [provider, String(sourceLanguage || 'auto').toLowerCase(), String(targetLanguage).toLowerCase()].join('|');
+        return {
+            key: `${prefix}|${text}`,
+            normalizedKey: `${prefix}|${normalizeWhitespace(text)}`
+        };
+    }
+
+    /**
+     * Find a stored translation, trying an exact match first and then a whitespace-normalized one
+     * Never throws: a broken cache must not break translation.
+     * @returns {Promise<{translatedText: string, match: 'exact'|'normalized'}|null>}
+     */
+    async lookup(text, sourceLanguage, targetLanguage, provider) {
+        if (!text || text.length > MAX_TEXT_LENGTH) return null;
+
+        try {
+            const { key, normalizedKey } = this.keys(text, sourceLanguage, targetLanguage, provider);
+
+            return await this.transaction('readwrite', async (store) => {
+                let entry = await promisify(store.get(key));
+                let match = 'exact';
+                if (!entry) {
+                    entry = await promisify(store.index('normalizedKey').get(normalizedKey));
+                    match = 'normalized';
+                }
+                if (!entry) return null;
+
+                entry.lastUsed = Date.now();
+                entry.hits = (entry.hits || 0) + 1;
+                store.put(entry);
+
+                // Keep the caller's surrounding whitespace (page text nodes rely on it)
+                const translatedText = match === 'exact'
+                    ? entry.translatedText
+                    : text.match(/^\s*/)[0] + entry.translatedText.trim() + text.match(/\s*$/)[0];
+                return { translatedText, match };
+            });
+        } catch (error) {
+            console.warn('[Translation Memory] Lookup failed:', error);
+            return null;
+        }
+    }
+
+    async store(text, translatedText, sourceLanguage, targetLanguage, provider) {
+        if (!text || !translatedText || text.length > MAX_TEXT_LENGTH) return;
+
+        try {
+            const { key, normalizedKey } = this.keys(text, sourceLanguage, targetLanguage, provider);
+            const now = Date.now();
+
+            await this.transaction('readwrite', store => store.put({
+                key,
+                normalizedKey,
+                text,
+                translatedText,
+                sourceLanguage: String(sourceLanguage || 'auto').toLowerCase(),
+                targetLanguage: String(targetLanguage).toLowerCase(),
+                provider,
+                hits: 0,
+                createdAt: now,
+                lastUsed: now
+            }));
+
+            // Checking the size on every write would double the cost of each translation
+            if (++this.writes % 50 === 1) await this.evict();
+        } catch (error) {
+            console.warn('[Translation Memory] Store failed:', error);
+        }
+    }
+
+    // Drop the least recently used segments beyond MAX_ENTRIES
+    async evict() {
+        await this.transaction('readwrite', async (store) => {
+            const count = await promisify(store.count());
+            let excess = count - MAX_ENTRIES;
+            if (excess <= 0) return;
+
+            await new Promise((resolve, reject) => {
+                const request = store.index('lastUsed').openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor || excess <= 0) {
+                        resolve();
+                        return;
+                    }
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Most recently used segments, optionally filtered by source or translated text
+     * @returns {Promise<{entries: Array<object>, total: number}>}
+     */
+    async list(query = '', limit = 100) {
+        const needle = normalizeWhitespace(query).toLowerCase();
+
+        return this.transaction('readonly', async (store) => {
+            const total = await promisify(store.count());
+            const entries = [];
+
+            await new Promise((resolve, reject) => {
+                const request = store.index('lastUsed').openCursor(null, 'prev');
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor || entries.length >= limit) {
+                        resolve();
+                        return;
+                    }
+                    const entry = cursor.value;
+                    if (!needle
+                        || entry.text.toLowerCase().includes(needle)
+                        || entry.translatedText.toLowerCase().includes(needle)) {
+                        entries.push(entry);
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            return { entries, total };
+        });
+    }
+
+    async delete(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
+
+// Export singleton instance
+export const translationMemory = new TranslationMemory();
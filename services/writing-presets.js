@@ -0,0 +1,67 @@
+// Writing Presets - Reusable context attached to composed drafts
+// Product facts, a signature, tone guidelines... are saved once and sent as the Writer's shared context.
+// Kept in chrome.storage.local: a few long presets would exceed storage.sync's per-item quota.
+
+const STORAGE_KEY = 'writingPresets';
+const MAX_PRESET_LENGTH = 4000;
+
+class WritingPresets {
+    async list() {
+        const result = await chrome.storage.local.get([STORAGE_KEY]);
+        return result[STORAGE_KEY] || [];
+    }
+
+    async saveAll(presets) {
+        await chrome.storage.local.set({ [STORAGE_KEY]: presets });
+        return presets;
+    }
+
+    /**
+     * Add a preset, or replace the one with the same name
+     * @param {{name: string, text: string}} preset
+     */
+    async save({ name, text }) {
+        name = String(name || '').trim();
+        text = String(text || '').trim();
+        if (!name) throw new Error('Preset name is required');
+        if (!text) throw new Error('Preset text is required');
+        if (text.length > MAX_PRESET_LENGTH) {
+            throw new Error(`Preset text is too long (max ${MAX_PRESET_LENGTH} characters)`);
+        }
+
+        const presets = await this.list();
+        const existing = presets.find(p => p.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            existing.name = name;
+            existing.text = text;
+        } else {
+            presets.push({ id: `preset-${Date.now()}`, name, text });
+        }
+        return this.saveAll(presets);
+    }
+
+    async remove(id) {
+        const presets = await this.list();
+        return this.saveAll(presets.filter(p => p.id !== id));
+    }
+
+    /**
+     * Shared context for a draft: the attached presets, then the pasted thread
+     * @param {string[]} presetIds
+     * @param {string} thread - Conversation the draft replies to
+     */
+    async buildSharedContext(presetIds = [], thread = '') {
+        const presets = await this.list();
+        const parts = presets
+            .filter(p => presetIds.includes(p.id))
+            .map(p => `${p.name}:\n${p.text}`);
+
+        if (thread && thread.trim()) {
+            parts.push(`Conversation to reply to:\n${thread.trim()}`);
+        }
+        return parts.join('\n\n');
+    }
+}
+
+// Export singleton instance
+export const writingPresets = new WritingPresets();
@@ -12,13 +12,18 @@
 
     // ===== STATE =====
     let liveActive = false;
+    let currentThreadId = null;
+    let chatWelcomeHTML = '';
+    let pageContextEnabled = false; // "Ask this page" mode in chat
+    const runningOperations = {}; // name -> cancel function of the in-flight request
     let ttsState = { isSpeaking: false, isPaused: false, utterance: null };
 
     // ===== UTILITIES =====
+    // Also safe inside double-quoted attributes (data-*, title)
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text ?? '';
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
     function renderMarkdownLite(text) {
@@ -27,6 +32,8 @@
             .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
             .replace(/\*(.+?)\*/g, '<em>$1</em>')
             .replace(/`(.+?)`/g, '<code>$1</code>')
+            .replace(/^&gt; ?(.*)$/gm, '<blockquote>$1</blockquote>')
+            .replace(/<\/blockquote>\n/g, '</blockquote>')
             .replace(/\n/g, '<br>');
     }
 
@@ -71,6 +78,38 @@
         }
     }
 
+    // ===== CANCELLATION =====
+    // Each operation shows its Stop button (#<name>-stop-btn) while a request is in flight
+    function beginOperation(name, cancel) {
+        runningOperations[name] = cancel;
+        const stopBtn = $(`#${name}-stop-btn`);
+        if (stopBtn) stopBtn.style.display = '';
+    }
+
+    function endOperation(name) {
+        delete runningOperations[name];
+        const stopBtn = $(`#${name}-stop-btn`);
+        if (stopBtn) stopBtn.style.display = 'none';
+    }
+
+    function cancelOperation(name) {
+        const cancel = runningOperations[name];
+        endOperation(name);
+        cancel?.();
+    }
+
+    function abortedError() {
+        const err = new Error('Request cancelled');
+        err.aborted = true;
+        return err;
+    }
+
+    function initStopButtons() {
+        ['summarize', 'translate', 'proofread', 'rewrite', 'compose', 'chat', 'document'].forEach((name) => {
+            $(`#${name}-stop-btn`)?.addEventListener('click', () => cancelOperation(name));
+        });
+    }
+
     async function getActiveTabId() {
         const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
         return tabs?.[0]?.id ?? null;
@@ -88,10 +127,18 @@
         initCategoryNavigation();
         initSubTabs();
         initAIModeToggle();
+        initSelfHosted();
         initSummarize();
         initTranslate();
+        initGlossary();
+        initTranslationMemory();
         initProofread();
+        initInlineProofreading();
+        initProofreadingRules();
+        initRewrite();
+        initCompose();
         initChat();
+        initStopButtons();
         initLiveTranslation();
         initWorkerFeatures();
         
@@ -155,34 +202,33 @@
 
     // ===== AI MODE TOGGLE =====
     function initAIModeToggle() {
-        const localBtn = $('#localModeBtn');
-        const cloudBtn = $('#cloudModeBtn');
         const authSection = $('#authSection');
         const signInBtn = $('#signInBtn');
 
-        localBtn?.addEventListener('click', async () => {
-            localBtn.classList.add('active');
-            cloudBtn.classList.remove('active');
-            authSection.style.display = 'none';
-            
-            try {
-                await chrome.runtime.sendMessage({ action: 'SET_AI_MODE', mode: 'local' });
-                showToast('Switched to Local AI (Gemini Nano)');
-            } catch (e) {
-                console.warn('Failed to set AI mode:', e);
-            }
-        });
+        const modeNames = {
+            local: 'Local AI (Gemini Nano)',
+            cloud: 'Cloud AI',
+            auto: 'Auto (Local first, Cloud fallback)',
+            selfHosted: 'your self-hosted server'
+        };
+
+        // The background router decides the provider from this mode
+        const setMode = async (mode, { silent = false } = {}) => {
+            $$('.mode-pill').forEach(pill => pill.classList.toggle('active', pill.dataset.mode === mode));
+            if (authSection) authSection.style.display = mode === 'cloud' || mode === 'auto' ? 'block' : 'none';
+            const selfHostedSection = $('#selfHostedSection');
+            if (selfHostedSection) selfHostedSection.style.display = mode === 'selfHosted' ? 'flex' : 'none';
 
-        cloudBtn?.addEventListener('click', async () => {
-            cloudBtn.classList.add('active');
-            localBtn.classList.remove('active');
-            authSection.style.display = 'block';
-            
             try {
-                await chrome.runtime.sendMessage({ action: 'SET_AI_MODE', mode: 'online' });
+                await chrome.runtime.sendMessage({ action: 'SET_AI_MODE', mode });
+                if (!silent) showToast(`Switched to ${modeNames[mode]}`);
             } catch (e) {
                 console.warn('Failed to set AI mode:', e);
             }
+        };
+
+        $$('.mode-pill').forEach(pill => {
+            pill.addEventListener('click', () => setMode(pill.dataset.mode));
         });
 
         // Sign In button - Coming soon
@@ -207,7 +253,7 @@
                 if (userInfo) userInfo.style.display = 'none';
                 
                 // Switch back to local mode
-                localBtn?.click();
+                setMode('local');
             } catch (e) {
                 showError('Failed to sign out');
             }
@@ -237,8 +283,10 @@
 
         // Check and restore saved mode and model
         chrome.storage.local.get(['aiMode', 'userAuth', 'selectedModel'], (result) => {
-            if (result.aiMode === 'online') {
-                cloudBtn?.click();
+            // Older versions stored 'online' for the cloud pill
+            const savedMode = result.aiMode === 'online' ? 'cloud' : result.aiMode;
+            if (savedMode === 'cloud' || savedMode === 'auto' || savedMode === 'selfHosted') {
+                setMode(savedMode, { silent: true });
             }
             
             // Restore selected model
@@ -253,6 +301,83 @@
         });
     }
 
+    // ===== SELF-HOSTED SERVER (OpenAI-compatible) =====
+    function initSelfHosted() {
+        const urlInput = $('#selfHostedUrl');
+        const keyInput = $('#selfHostedKey');
+        const modelSelect = $('#selfHostedModel');
+        const refreshBtn = $('#selfHostedRefresh');
+        const saveBtn = $('#selfHostedSave');
+
+        const setModels = (models, selected = '') => {
+            if (!modelSelect) return;
+            const names = selected && !models.includes(selected) ? [selected, ...models] : models;
+            modelSelect.innerHTML = '<option value="">Select a model</option>' + names
+                .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+                .join('');
+            modelSelect.value = selected;
+        };
+
+        // The server can be any host, so access is requested for its origin only
+        // (must run first in the click handler to keep the user gesture)
+        const requestHostAccess = (url) => {
+            let origin;
+            try {
+                origin = new URL(url).origin;
+            } catch (e) {
+                return Promise.reject(new Error('Enter a valid server URL'));
+            }
+            return chrome.permissions.request({ origins: [`${origin}/*`] }).then((granted) => {
+                if (!granted) throw new Error(`Access to ${origin} was not granted`);
+            });
+        };
+
+        refreshBtn?.addEventListener('click', async () => {
+            const url = urlInput?.value?.trim();
+            try {
+                await requestHostAccess(url);
+                const response = await chrome.runtime.sendMessage({
+                    action: 'SELF_HOSTED_LIST_MODELS',
+                    baseUrl: url,
+                    apiKey: keyInput?.value?.trim() || ''
+                });
+                if (!response?.success) throw new Error(response?.error || 'Could not load models');
+
+                setModels(response.data, modelSelect?.value || '');
+                showToast(`${response.data.length} model(s) found`);
+            } catch (e) {
+                showError(e.message);
+            }
+        });
+
+        saveBtn?.addEventListener('click', async () => {
+            const url = urlInput?.value?.trim();
+            try {
+                await requestHostAccess(url);
+                if (!modelSelect?.value) throw new Error('Load the models and pick one first');
+
+                const response = await chrome.runtime.sendMessage({
+                    action: 'SELF_HOSTED_SAVE_CONFIG',
+                    config: { baseUrl: url, apiKey: keyInput?.value?.trim() || '', model: modelSelect.value }
+                });
+                if (!response?.success) throw new Error(response?.error || 'Could not save settings');
+
+                if (urlInput) urlInput.value = response.data.baseUrl;
+                showToast(`Using ${response.data.model}`);
+            } catch (e) {
+                showError(e.message);
+            }
+        });
+
+        chrome.runtime.sendMessage({ action: 'SELF_HOSTED_GET_CONFIG' }).then((response) => {
+            const config = response?.data;
+            if (!config) return;
+            if (urlInput) urlInput.value = config.baseUrl || '';
+            if (keyInput) keyInput.value = config.apiKey || '';
+            setModels([], config.model || '');
+        }).catch(() => {});
+    }
+
     function showUserInfo(auth) {
         const authPrompt = $('#authPrompt');
         const userInfo = $('#userInfo');
@@ -287,30 +412,25 @@
             setButtonLoading(btn, true);
 
             try {
-                console.log('[Brief AI] Sending SUMMARIZE request...');
-                const response = await chrome.runtime.sendMessage({
-                    action: 'SUMMARIZE',
-                    text: text,
-                    options: { type, length }
-                });
-
-                console.log('[Brief AI] SUMMARIZE response:', response);
-
-                if (response?.success && response?.data) {
-                    displaySummaryResult(response.data);
-                    showToast('Summary generated!');
-                } else {
-                    const errorMsg = response?.error || 'Summarization failed. Make sure Gemini Nano is available.';
-                    showError(errorMsg);
-                }
+                console.log('[Brief AI] Sending SUMMARIZE_STREAM request...');
+                const data = await streamSummarize(text, { type, length });
+                displaySummaryResult(data);
+                showToast('Summary generated!');
             } catch (error) {
+                if (error.aborted) {
+                    showToast('Summarization stopped', 'info');
+                    return;
+                }
                 console.error('[Brief AI] Summarize error:', error);
-                showError(`Summarization failed: ${error.message}`);
+                showError(error.message || 'Summarization failed. Make sure Gemini Nano is available.');
             } finally {
+                setSummarizeProgress(null);
                 setButtonLoading(btn, false);
             }
         });
 
+        $('#summarize-page-btn')?.addEventListener('click', () => handleSummarizePage());
+
         // Initialize TTS buttons
         $('#play-summary')?.addEventListener('click', handlePlaySummary);
         $('#pause-summary')?.addEventListener('click', handlePauseSummary);
@@ -330,6 +450,119 @@
         });
     }
 
+    // Extract the main article of a tab through the content script and summarize it
+    async function handleSummarizePage(tabId = null) {
+        const btn = $('#summarize-page-btn');
+        const targetTabId = tabId || await getActiveTabId();
+        if (!targetTabId) {
+            showError('No active tab found');
+            return;
+        }
+
+        const type = $('#summary-type')?.value || 'tldr';
+        const length = $('#summary-length')?.value || 'medium';
+
+        setButtonLoading(btn, true);
+
+        try {
+            const page = await chrome.tabs.sendMessage(targetTabId, { action: 'EXTRACT_PAGE_CONTENT' })
+                .catch(() => null);
+
+            if (!page?.success || !page.data?.text) {
+                showError(page?.error || 'Could not read this page. Try reloading it.');
+                return;
+            }
+
+            const { title, url, text } = page.data;
+            const data = await streamSummarize(text, {
+                type,
+                length,
+                context: `Web page "${title}" (${url})`
+            });
+
+            displaySummaryResult({ ...data, source: { title, url } });
+            showToast('Page summarized!');
+        } catch (error) {
+            if (error.aborted) {
+                showToast('Summarization stopped', 'info');
+                return;
+            }
+            console.error('[Brief AI] Page summary error:', error);
+            showError(error.message || 'Page summarization failed');
+        } finally {
+            setSummarizeProgress(null);
+            setButtonLoading(btn, false);
+        }
+    }
+
+    // Summarize through a port so long documents can report map-reduce progress
+    function streamSummarize(text, options) {
+        return new Promise((resolve, reject) => {
+            const port = chrome.runtime.connect({ name: 'summarize-stream' });
+            const finish = () => {
+                endOperation('summarize');
+                port.disconnect();
+            };
+
+            port.onMessage.addListener((msg) => {
+                if (msg.type === 'progress') {
+                    setSummarizeProgress(msg.progress);
+                } else if (msg.type === 'done') {
+                    finish();
+                    resolve(msg.data);
+                } else if (msg.type === 'error') {
+                    finish();
+                    reject(new Error(msg.error || 'Summarization failed'));
+                } else if (msg.type === 'aborted') {
+                    finish();
+                    reject(abortedError());
+                }
+            });
+
+            // The service worker restarted or crashed mid-stream: no message will ever come
+            port.onDisconnect.addListener(() => {
+                endOperation('summarize');
+                reject(new Error('Lost connection to the extension. Please try again.'));
+            });
+
+            // Stop: tell the background to abort, and stop waiting for it right away
+            beginOperation('summarize', () => {
+                port.postMessage({ action: 'ABORT' });
+                port.disconnect();
+                reject(abortedError());
+            });
+
+            port.postMessage({ action: 'SUMMARIZE_STREAM', text, options });
+        });
+    }
+
+    function setSummarizeProgress(progress) {
+        const wrap = $('#summarize-progress');
+        const bar = $('#summarize-progress-bar');
+        const label = $('#summarize-progress-text');
+        if (!wrap) return;
+
+        if (!progress) {
+            wrap.style.display = 'none';
+            if (bar) bar.style.width = '0';
+            return;
+        }
+
+        const labels = {
+            map: `Summarizing section ${progress.current} of ${progress.total}...`,
+            combine: `Combining summaries (${progress.current}/${progress.total})...`,
+            reduce: 'Writing final summary...'
+        };
+        // Map covers most of the work; combine and reduce share the remainder
+        const pct = progress.stage === 'map'
+            ? Math.round((progress.current / progress.total) * 80)
+            : progress.stage === 'combine' ? 90 : 95;
+
+        wrap.style.display = 'flex';
+        if (bar) bar.style.width = pct + '%';
+        if (label) label.textContent = labels[progress.stage] || 'Summarizing...';
+    }
+
     function displaySummaryResult(data) {
         const section = $('#summarize-result');
         const output = $('#summary-output');
@@ -344,6 +577,8 @@
                 <span>📏 Original: ${data?.originalLength || 0} chars</span>
                 <span>📝 Summary: ${data?.summaryLength || 0} chars</span>
                 <span>📊 Reduced: ${data?.compressionRatio || '-'}</span>
+                ${data?.chunks > 1 ? `<span>🧩 Sections: ${data.chunks}</span>` : ''}
+                ${data?.source ? `<span title="${escapeHtml(data.source.url)}">🌐 ${escapeHtml(data.source.title || data.source.url)}</span>` : ''}
             `;
         }
 
@@ -455,13 +690,35 @@
             debounceTimer = setTimeout(handleRealtimeTranslate, 400);
         };
 
+        // Page translation, bilingual reading and their shortcuts reuse the last language pair
+        const saveLanguages = () => chrome.storage.local.set({ translationLanguages: getTranslationLanguages() });
+        chrome.storage.local.get(['translationLanguages']).then(({ translationLanguages }) => {
+            if (sourceLang && translationLanguages?.sourceLanguage) sourceLang.value = translationLanguages.sourceLanguage;
+            if (targetLang && translationLanguages?.targetLanguage) targetLang.value = translationLanguages.targetLanguage;
+            refreshTranslationLanguages();
+        });
+
         input?.addEventListener('input', handleTranslate);
         sourceLang?.addEventListener('change', () => {
+            saveLanguages();
+            refreshTranslationLanguages();
             if (input?.value?.trim()) handleTranslate();
         });
         targetLang?.addEventListener('change', () => {
+            saveLanguages();
+            refreshTranslationLanguages();
             if (input?.value?.trim()) handleTranslate();
         });
+        $('#translate-download-btn')?.addEventListener('click', downloadTranslationModel);
+
+        $('#translate-page-btn')?.addEventListener('click', handleTranslatePage);
+        $('#bilingual-page-btn')?.addEventListener('click', handleBilingualReader);
+        initDocumentTranslation();
+        chrome.tabs.onActivated.addListener(() => refreshPageTranslationState());
+        chrome.runtime.onMessage.addListener((msg, sender) => {
+            if (msg?.type === 'PAGE_TRANSLATION_STATUS') handlePageTranslationStatus(msg, sender);
+        });
+        refreshPageTranslationState();
 
         $('#copy-translation')?.addEventListener('click', async () => {
             const output = $('#translation-output');
@@ -479,7 +736,550 @@
         });
     }
 
+    // ===== TRANSLATION LANGUAGES =====
+    // The pickers list every language the Translator API knows, with the state of each pair
+    const languageNames = (() => {
+        try {
+            return new Intl.DisplayNames([navigator.language, 'en'], { type: 'language' });
+        } catch (e) {
+            return null;
+        }
+    })();
+
+    function languageName(code) {
+        return languageNames?.of(code) || code;
+    }
+
+    const AVAILABILITY_LABELS = {
+        available: '',
+        downloadable: ' · download',
+        downloading: ' · downloading',
+        unavailable: ' · unsupported'
+    };
+
+    function fillLanguageSelect(select, entries, withAuto = false) {
+        if (!select) return;
+        const selected = select.value;
+
+        const options = [...entries]
+            .sort((a, b) => languageName(a.code).localeCompare(languageName(b.code)))
+            .map(({ code, availability }) => {
+                const disabled = availability === 'unavailable' && code !== selected ? ' disabled' : '';
+                return `<option value="${escapeHtml(code)}" data-availability="${escapeHtml(availability)}"${disabled}>`
+                    + `${escapeHtml(languageName(code) + (AVAILABILITY_LABELS[availability] ?? ''))}</option>`;
+            });
+        if (withAuto) options.unshift('<option value="auto" data-availability="available">Auto-detect</option>');
+
+        select.innerHTML = options.join('');
+        select.value = selected;
+    }
+
+    async function refreshTranslationLanguages() {
+        const { sourceLanguage, targetLanguage } = getTranslationLanguages();
+        const response = await chrome.runtime.sendMessage({
+            action: 'GET_TRANSLATION_LANGUAGES',
+            sourceLanguage,
+            targetLanguage
+        }).catch(() => null);
+
+        // Without the Translator API (cloud-only browsers) the built-in lists stay as they are
+        if (!response?.success || !response.data.supported) return;
+
+        const { sources, targets } = response.data;
+        fillLanguageSelect($('#source-lang'), sources, true);
+        fillLanguageSelect($('#target-lang'), targets);
+        fillLanguageSelect($('#live-target-lang'), targets);
+        updateTranslationDownload(targets.find(t => t.code === targetLanguage)?.availability);
+    }
+
+    function updateTranslationDownload(availability) {
+        const wrap = $('#translate-download');
+        const text = $('#translate-download-text');
+        const { sourceLanguage, targetLanguage } = getTranslationLanguages();
+        if (!wrap) return;
+
+        // With auto-detect the real source is unknown until translation time
+        const needsDownload = sourceLanguage !== 'auto' && (availability === 'downloadable' || availability === 'downloading');
+        wrap.style.display = needsDownload ? 'flex' : 'none';
+        if (needsDownload && text) {
+            text.textContent = `${languageName(sourceLanguage)} → ${languageName(targetLanguage)} needs a one-time model download`;
+        }
+    }
+
+    function downloadTranslationModel() {
+        const { sourceLanguage, targetLanguage } = getTranslationLanguages();
+        const btn = $('#translate-download-btn');
+        const meter = $('#translate-download-meter');
+        const bar = $('#translate-download-bar');
+
+        setButtonLoading(btn, true);
+        if (meter) meter.style.display = '';
+        if (bar) bar.style.width = '0';
+
+        const port = chrome.runtime.connect({ name: 'translation-download' });
+        const finish = () => {
+            port.disconnect();
+            setButtonLoading(btn, false);
+            if (meter) meter.style.display = 'none';
+            refreshTranslationLanguages();
+        };
+
+        port.onMessage.addListener((msg) => {
+            if (msg.type === 'progress') {
+                if (bar) bar.style.width = Math.round(msg.loaded * 100) + '%';
+            } else if (msg.type === 'done') {
+                finish();
+                showToast(`${languageName(sourceLanguage)} → ${languageName(targetLanguage)} is ready`);
+            } else if (msg.type === 'error') {
+                finish();
+                showError(msg.error || 'Model download failed');
+            } else if (msg.type === 'aborted') {
+                finish();
+            }
+        });
+
+        port.postMessage({ action: 'DOWNLOAD_TRANSLATOR', sourceLanguage, targetLanguage });
+    }
+
+    function getTranslationLanguages() {
+        return {
+            sourceLanguage: $('#source-lang')?.value || 'auto',
+            targetLanguage: $('#target-lang')?.value || 'en'
+        };
+    }
+
+    // ===== DOCUMENT TRANSLATION =====
+    // Files are parsed and rebuilt in the background so their structure (Markdown, cue timings, HTML) survives
+    const MAX_DOCUMENT_SIZE = 2 * 1024 * 1024;
+
+    function initDocumentTranslation() {
+        const fileInput = $('#translate-document-file');
+
+        $('#translate-document-btn')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            if (file.size > MAX_DOCUMENT_SIZE) {
+                showError('This document is too large (2 MB max)');
+                return;
+            }
+            translateDocument(file.name, await file.text());
+        });
+    }
+
+    function translateDocument(fileName, content) {
+        const { sourceLanguage, targetLanguage } = getTranslationLanguages();
+        const btn = $('#translate-document-btn');
+        const wrap = $('#document-progress');
+        const text = $('#document-progress-text');
+        const meter = $('#document-meter');
+        const bar = $('#document-bar');
+        const saveBtn = $('#document-save-btn');
+
+        const setProgress = (label, ratio) => {
+            if (text) text.textContent = label;
+            if (bar) bar.style.width = Math.round(ratio * 100) + '%';
+        };
+
+        if (wrap) wrap.style.display = 'flex';
+        if (meter) meter.style.display = '';
+        if (saveBtn) saveBtn.style.display = 'none';
+        setProgress(`Translating ${fileName}...`, 0);
+        setButtonLoading(btn, true);
+
+        const port = chrome.runtime.connect({ name: 'document-translate' });
+        const finish = () => {
+            endOperation('document');
+            port.disconnect();
+            setButtonLoading(btn, false);
+            if (meter) meter.style.display = 'none';
+        };
+
+        beginOperation('document', () => {
+            port.postMessage({ action: 'ABORT' });
+            finish();
+            setProgress(`${fileName}: stopped`, 0);
+        });
+
+        port.onMessage.addListener((msg) => {
+            if (msg.type === 'progress') {
+                const { done, total } = msg.progress;
+                setProgress(`Translating ${fileName}: ${done} / ${total} segments`, total ? done / total : 1);
+            } else if (msg.type === 'done') {
+                finish();
+                const result = msg.data;
+                setProgress(`${result.fileName} is ready (${result.segments} segments)`, 1);
+                if (saveBtn) {
+                    saveBtn.style.display = '';
+                    saveBtn.onclick = () => saveDocument(result);
+                }
+                showGlossaryViolations(result.glossaryViolations);
+            } else if (msg.type === 'aborted') {
+                finish();
+                setProgress(`${fileName}: stopped`, 0);
+            } else if (msg.type === 'error') {
+                finish();
+                setProgress(`${fileName}: translation failed`, 0);
+                showError(msg.error || 'Document translation failed');
+            }
+        });
+
+        port.postMessage({ action: 'TRANSLATE_DOCUMENT', fileName, content, sourceLanguage, targetLanguage });
+    }
+
+    const DOCUMENT_MIME_TYPES = {
+        markdown: 'text/markdown',
+        srt: 'application/x-subrip',
+        vtt: 'text/vtt',
+        html: 'text/html',
+        txt: 'text/plain'
+    };
+
+    function saveDocument(result) {
+        const type = `${DOCUMENT_MIME_TYPES[result.format] || 'text/plain'};charset=utf-8`;
+        const url = URL.createObjectURL(new Blob([result.content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // ===== GLOSSARY =====
+    function initGlossary() {
+        const panel = $('#glossary-panel');
+        const sourceInput = $('#glossary-source');
+        const targetInput = $('#glossary-target');
+        const keepInput = $('#glossary-keep');
+        const fileInput = $('#glossary-file');
+
+        const update = async (message) => {
+            const response = await chrome.runtime.sendMessage(message).catch(() => null);
+            if (!response?.success) {
+                showError(response?.error || 'Glossary update failed');
+                return false;
+            }
+            renderGlossary(response.data);
+            return true;
+        };
+
+        $('#glossary-toggle')?.addEventListener('click', () => {
+            if (!panel) return;
+            panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        });
+
+        // Term pairs apply to the language pair selected above
+        const addTerm = async () => {
+            const { sourceLanguage, targetLanguage } = getTranslationLanguages();
+            const added = await update({
+                action: 'GLOSSARY_ADD_TERM',
+                term: { source: sourceInput?.value, target: targetInput?.value, sourceLanguage, targetLanguage }
+            });
+            if (added) {
+                if (sourceInput) sourceInput.value = '';
+                if (targetInput) targetInput.value = '';
+                sourceInput?.focus();
+            }
+        };
+
+        const addProtected = async () => {
+            const added = await update({ action: 'GLOSSARY_ADD_PROTECTED', term: keepInput?.value });
+            if (added && keepInput) keepInput.value = '';
+        };
+
+        $('#glossary-add')?.addEventListener('click', addTerm);
+        $('#glossary-keep-add')?.addEventListener('click', addProtected);
+        targetInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') addTerm(); });
+        keepInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') addProtected(); });
+
+        $('#glossary-list')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.glossary-item');
+            if (!item || !e.target.closest('[data-action="delete"]')) return;
+
+            if (item.dataset.type === 'keep') {
+                update({ action: 'GLOSSARY_REMOVE_PROTECTED', term: item.dataset.source });
+            } else {
+                update({
+                    action: 'GLOSSARY_REMOVE_TERM',
+                    term: {
+                        source: item.dataset.source,
+                        sourceLanguage: item.dataset.sourceLanguage,
+                        targetLanguage: item.dataset.targetLanguage
+                    }
+                });
+            }
+        });
+
+        $('#glossary-import')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            const response = await chrome.runtime.sendMessage({ action: 'GLOSSARY_IMPORT_CSV', csv: await file.text() })
+                .catch(() => null);
+            if (!response?.success) {
+                showError(response?.error || 'Could not import the glossary');
+                return;
+            }
+
+            const { terms, doNotTranslate, skipped } = response.data;
+            showToast(`Imported ${terms} term(s) and ${doNotTranslate} protected term(s)${skipped ? `, ${skipped} row(s) skipped` : ''}`);
+            refreshGlossary();
+        });
+
+        $('#glossary-export')?.addEventListener('click', async () => {
+            const response = await chrome.runtime.sendMessage({ action: 'GLOSSARY_EXPORT_CSV' }).catch(() => null);
+            if (!response?.success) {
+                showError(response?.error || 'Could not export the glossary');
+                return;
+            }
+
+            const url = URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'brief-ai-glossary.csv';
+            link.click();
+            URL.revokeObjectURL(url);
+        });
+
+        refreshGlossary();
+    }
+
+    async function refreshGlossary() {
+        const response = await chrome.runtime.sendMessage({ action: 'GLOSSARY_GET' }).catch(() => null);
+        if (response?.success) renderGlossary(response.data);
+    }
+
+    function renderGlossary(glossary) {
+        const list = $('#glossary-list');
+        const title = $('#glossary-title');
+        const terms = glossary?.terms || [];
+        const keep = glossary?.doNotTranslate || [];
+
+        if (title) title.textContent = terms.length + keep.length ? `Glossary (${terms.length + keep.length})` : 'Glossary';
+        if (!list) return;
+
+        if (!terms.length && !keep.length) {
+            list.innerHTML = '<div class="glossary-empty">No glossary terms yet</div>';
+            return;
+        }
+
+        const deleteButton = `
+            <button class="btn-icon" data-action="delete" title="Remove">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>`;
+
+        list.innerHTML = [
+            ...terms.map(t => `
+                <div class="glossary-item" data-type="term" data-source="${escapeHtml(t.source)}"
+                     data-source-language="${escapeHtml(t.sourceLanguage)}" data-target-language="${escapeHtml(t.targetLanguage)}">
+                    <span class="glossary-term">${escapeHtml(t.source)} → ${escapeHtml(t.target)}</span>
+                    <span class="glossary-pair">${escapeHtml(t.sourceLanguage)} → ${escapeHtml(t.targetLanguage)}</span>
+                    ${deleteButton}
+                </div>`),
+            ...keep.map(term => `
+                <div class="glossary-item" data-type="keep" data-source="${escapeHtml(term)}">
+                    <span class="glossary-term">${escapeHtml(term)}</span>
+                    <span class="glossary-pair">keep</span>
+                    ${deleteButton}
+                </div>`)
+        ].join('');
+    }
+
+    // ===== TRANSLATION MEMORY =====
+    function initTranslationMemory() {
+        const panel = $('#memory-panel');
+        const search = $('#memory-search');
+        let searchTimer;
+
+        $('#memory-toggle')?.addEventListener('click', () => {
+            if (!panel) return;
+            const open = panel.style.display === 'none';
+            panel.style.display = open ? 'flex' : 'none';
+            if (open) renderTranslationMemory(search?.value || '');
+        });
+
+        search?.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => renderTranslationMemory(search.value), 200);
+        });
+
+        $('#memory-list')?.addEventListener('click', async (e) => {
+            const item = e.target.closest('.glossary-item');
+            if (!item || !e.target.closest('[data-action="delete"]')) return;
+
+            await chrome.runtime.sendMessage({ action: 'TRANSLATION_MEMORY_DELETE', key: item.dataset.key }).catch(() => null);
+            renderTranslationMemory(search?.value || '');
+        });
+
+        $('#memory-clear')?.addEventListener('click', async () => {
+            if (!confirm('Delete all saved translations?')) return;
+
+            const response = await chrome.runtime.sendMessage({ action: 'TRANSLATION_MEMORY_CLEAR' }).catch(() => null);
+            if (!response?.success) {
+                showError(response?.error || 'Could not clear the translation memory');
+                return;
+            }
+            showToast('Translation memory cleared', 'info');
+            renderTranslationMemory(search?.value || '');
+        });
+
+        renderTranslationMemory();
+    }
+
+    async function renderTranslationMemory(query = '') {
+        const list = $('#memory-list');
+        const title = $('#memory-title');
+
+        const response = await chrome.runtime.sendMessage({ action: 'TRANSLATION_MEMORY_LIST', query, limit: 100 })
+            .catch(() => null);
+        const { entries = [], total = 0 } = response?.success ? response.data : {};
+
+        if (title) title.textContent = total ? `Translation memory (${total})` : 'Translation memory';
+        if (!list) return;
+
+        if (!entries.length) {
+            list.innerHTML = `<div class="glossary-empty">${query ? 'No matching translations' : 'No saved translations yet'}</div>`;
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => `
+            <div class="glossary-item" data-key="${escapeHtml(entry.key)}" title="${escapeHtml(entry.text)}\n→ ${escapeHtml(entry.translatedText)}">
+                <span class="glossary-term">${escapeHtml(entry.text)} → ${escapeHtml(entry.translatedText)}</span>
+                <span class="glossary-pair">${escapeHtml(entry.sourceLanguage)} → ${escapeHtml(entry.targetLanguage)} · ${escapeHtml(entry.provider)} · ${entry.hits}×</span>
+                <button class="btn-icon" data-action="delete" title="Remove">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    // Glossary terms the provider did not keep, reported by the background after a translation
+    function showGlossaryViolations(violations) {
+        if (!violations?.length) return;
+
+        const terms = [...new Set(violations.filter(v => v.term).map(v => v.expected || v.term))];
+        const status = $('#translation-status');
+        if (status) {
+            status.textContent = 'Check glossary';
+            status.className = 'status-badge';
+        }
+        showToast(terms.length
+            ? `Glossary not applied for: ${terms.join(', ')}`
+            : 'Some glossary terms may not have been applied', 'info');
+    }
+
+    // ===== IN-PLACE PAGE TRANSLATION & BILINGUAL READING =====
+    function setPageButton(selector, label, active = false) {
+        const btn = $(selector);
+        if (!btn) return;
+        btn.classList.toggle('active', active);
+        const labelEl = btn.querySelector('.btn-label');
+        if (labelEl) labelEl.textContent = label;
+    }
+
+    function setPageTranslationButton(label, active = false) {
+        setPageButton('#translate-page-btn', label, active);
+    }
+
+    function setBilingualButton(active) {
+        setPageButton('#bilingual-page-btn', active ? 'Hide bilingual reading' : 'Bilingual reading', active);
+    }
+
+    // Translating an already translated page restores the original text
+    async function handleTranslatePage() {
+        const tabId = await getActiveTabId();
+        if (!tabId) {
+            showError('No active tab found');
+            return;
+        }
+
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'TOGGLE_PAGE_TRANSLATION',
+            ...getTranslationLanguages()
+        }).catch(() => null);
+        if (!response?.success) {
+            showError('Cannot translate this page. Reload the tab and try again.');
+            return;
+        }
+
+        if (response.data.active) {
+            setPageTranslationButton('Translating page...', true);
+        } else {
+            setPageTranslationButton('Translate this page');
+            showToast('Original page restored', 'info');
+        }
+    }
+
+    // Each paragraph gets its translation below it; toggling again removes them
+    async function handleBilingualReader() {
+        const tabId = await getActiveTabId();
+        if (!tabId) {
+            showError('No active tab found');
+            return;
+        }
+
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'TOGGLE_BILINGUAL_READER',
+            ...getTranslationLanguages()
+        }).catch(() => null);
+        if (!response?.success) {
+            showError('Cannot read this page. Reload the tab and try again.');
+            return;
+        }
+
+        setBilingualButton(response.data.active);
+        if (response.data.active && !response.data.paragraphs) {
+            showToast('No paragraphs found on this page', 'info');
+        }
+    }
+
+    async function handlePageTranslationStatus(msg, sender) {
+        if (sender.tab?.id !== await getActiveTabId()) return;
+
+        if (msg.state === 'translating') {
+            setPageTranslationButton(`Translating page... ${msg.done}/${msg.total}`, true);
+        } else if (msg.state === 'done') {
+            setPageTranslationButton('Show original', true);
+        } else if (msg.state === 'restored') {
+            setPageTranslationButton('Translate this page');
+        } else if (msg.state === 'error') {
+            setPageTranslationButton('Translate this page');
+            showError(`Page translation failed: ${msg.error}`);
+        }
+    }
+
+    async function refreshPageTranslationState() {
+        const tabId = await getActiveTabId();
+        const ask = action => tabId
+            ? chrome.tabs.sendMessage(tabId, { action }).catch(() => null)
+            : Promise.resolve(null);
+        const [translation, bilingual] = await Promise.all([
+            ask('GET_PAGE_TRANSLATION_STATE'),
+            ask('GET_BILINGUAL_READER_STATE')
+        ]);
+
+        if (translation?.data?.active) {
+            setPageTranslationButton('Show original', true);
+        } else {
+            setPageTranslationButton('Translate this page');
+        }
+        setBilingualButton(!!bilingual?.data?.active);
+    }
+
     async function handleRealtimeTranslate() {
+        // A newer input replaces the translation still streaming
+        cancelOperation('translate');
+
         const input = $('#translate-input')?.value?.trim() || '';
         const output = $('#translation-output');
         const status = $('#translation-status');
@@ -510,16 +1310,41 @@
             const port = chrome.runtime.connect({ name: 'translate-stream' });
             let fullTranslation = '';
 
+            const showStopped = () => {
+                if (status) {
+                    status.textContent = 'Stopped';
+                    status.className = 'status-badge';
+                }
+                if (output && !fullTranslation) {
+                    output.innerHTML = '<span class="placeholder-text">Translation will appear here...</span>';
+                }
+            };
+
+            beginOperation('translate', () => {
+                port.postMessage({ action: 'ABORT' });
+                port.disconnect();
+                showStopped();
+            });
+
             port.onMessage.addListener((msg) => {
                 if (msg.type === 'chunk') {
                     fullTranslation = msg.chunk;
                     if (output) output.textContent = fullTranslation;
                 } else if (msg.type === 'done') {
+                    endOperation('translate');
+                    port.disconnect();
                     if (status) {
                         status.textContent = 'Done';
                         status.className = 'status-badge';
                     }
+                    showGlossaryViolations(msg.glossaryViolations);
+                } else if (msg.type === 'aborted') {
+                    endOperation('translate');
+                    port.disconnect();
+                    showStopped();
                 } else if (msg.type === 'error') {
+                    endOperation('translate');
+                    port.disconnect();
                     if (status) {
                         status.textContent = 'Error';
                         status.className = 'status-badge';
@@ -530,46 +1355,579 @@
                 }
             });
 
-            port.postMessage({
-                action: 'TRANSLATE_STREAM',
-                text: input,
-                targetLanguage: target,
-                sourceLanguage: source === 'auto' ? 'auto' : source
-            });
-        } catch (error) {
-            if (status) {
-                status.textContent = 'Error';
-                status.className = 'status-badge';
-            }
-            if (output) {
-                output.innerHTML = `<span class="placeholder-text" style="color: var(--danger);">${escapeHtml(error.message)}</span>`;
-            }
+            port.postMessage({
+                action: 'TRANSLATE_STREAM',
+                text: input,
+                targetLanguage: target,
+                sourceLanguage: source === 'auto' ? 'auto' : source
+            });
+        } catch (error) {
+            if (status) {
+                status.textContent = 'Error';
+                status.className = 'status-badge';
+            }
+            if (output) {
+                output.innerHTML = `<span class="placeholder-text" style="color: var(--danger);">${escapeHtml(error.message)}</span>`;
+            }
+        }
+    }
+
+    // ===== REWRITE =====
+    let rewriteResult = null; // { originalText, text } of the last finished rewrite
+    let rewriteSource = null; // { tabId, frameId } of the page field the text was selected in
+
+    function initRewrite() {
+        const input = $('#rewrite-input');
+
+        $('#rewrite-btn')?.addEventListener('click', handleRewrite);
+
+        // Edited text no longer matches the page field it came from
+        input?.addEventListener('input', () => setRewriteSource(null));
+
+        $('#copy-rewrite')?.addEventListener('click', async () => {
+            if (!rewriteResult) {
+                showToast('No rewritten text to copy', 'info');
+                return;
+            }
+            try {
+                await navigator.clipboard.writeText(rewriteResult.text);
+                showToast('Rewritten text copied!');
+            } catch (e) {
+                showError('Failed to copy');
+            }
+        });
+
+        $('#rewrite-insert')?.addEventListener('click', insertRewrite);
+    }
+
+    function setRewriteSource(source) {
+        rewriteSource = source;
+        const insertBtn = $('#rewrite-insert');
+        if (insertBtn) insertBtn.style.display = source && rewriteResult ? '' : 'none';
+    }
+
+    function handleRewrite() {
+        cancelOperation('rewrite');
+
+        const text = $('#rewrite-input')?.value?.trim() || '';
+        if (!text) {
+            showToast('Please enter some text to rewrite', 'info');
+            return;
+        }
+
+        const btn = $('#rewrite-btn');
+        const section = $('#rewrite-result');
+        const output = $('#rewrite-output');
+        const status = $('#rewrite-status');
+        const setStatus = (label, className = 'status-badge') => {
+            if (!status) return;
+            status.textContent = label;
+            status.className = className;
+        };
+
+        rewriteResult = null;
+        setRewriteSource(rewriteSource);
+        if (section) section.style.display = 'block';
+        if (output) output.innerHTML = '<span class="placeholder-text">Rewriting...</span>';
+        setStatus('Rewriting...', 'status-badge translating');
+        setButtonLoading(btn, true);
+
+        const port = chrome.runtime.connect({ name: 'rewrite-stream' });
+        let rewritten = '';
+
+        const finish = () => {
+            endOperation('rewrite');
+            setButtonLoading(btn, false);
+            port.disconnect();
+        };
+
+        beginOperation('rewrite', () => {
+            port.postMessage({ action: 'ABORT' });
+            setButtonLoading(btn, false);
+            port.disconnect();
+            setStatus('Stopped');
+            if (output && !rewritten) output.innerHTML = '<span class="placeholder-text">Rewrite stopped</span>';
+        });
+
+        port.onMessage.addListener((msg) => {
+            if (msg.type === 'chunk') {
+                rewritten = msg.chunk;
+                if (output) output.innerHTML = renderMarkdownLite(rewritten);
+            } else if (msg.type === 'done') {
+                finish();
+                rewriteResult = { originalText: text, text: msg.text || rewritten };
+                if (output) output.innerHTML = renderMarkdownLite(rewriteResult.text);
+                setStatus('Done');
+                // Offer the write-back once there is a finished result for the selected field
+                setRewriteSource(rewriteSource);
+            } else if (msg.type === 'aborted') {
+                finish();
+                setStatus('Stopped');
+            } else if (msg.type === 'error') {
+                finish();
+                setStatus('Error');
+                if (output) {
+                    output.innerHTML = `<span class="placeholder-text" style="color: var(--danger);">${escapeHtml(msg.error || 'Rewrite failed')}</span>`;
+                }
+            }
+        });
+
+        port.postMessage({
+            action: 'REWRITE_STREAM',
+            text,
+            style: $('#rewrite-style')?.value || 'formal',
+            context: $('#rewrite-context')?.value?.trim() || ''
+        });
+    }
+
+    // Replace the selected text in the page field with the rewrite
+    async function insertRewrite() {
+        if (!rewriteResult || !rewriteSource) return;
+
+        try {
+            const response = await chrome.tabs.sendMessage(rewriteSource.tabId, {
+                action: 'WRITE_BACK_TEXT',
+                original: rewriteResult.originalText,
+                replacement: rewriteResult.text
+            }, { frameId: rewriteSource.frameId });
+
+            if (!response?.success) throw new Error(response?.error || 'The page field is not available');
+            // The field now holds the new text: a second insert would not find the original
+            setRewriteSource(null);
+            showToast('Rewrite inserted into the page');
+        } catch (e) {
+            showError(`Could not update the page field: ${e.message}`);
+        }
+    }
+
+    // ===== COMPOSE =====
+    let writingPresetList = []; // Saved context presets ({ id, name, text })
+    const attachedPresetIds = new Set(); // Presets attached to the next draft
+
+    function initCompose() {
+        // The Write tab switches between rewriting text and composing a draft
+        $$('[data-writing-mode]').forEach((button) => {
+            button.addEventListener('click', () => {
+                const mode = button.dataset.writingMode;
+                $$('[data-writing-mode]').forEach(b => b.classList.toggle('active', b === button));
+                $$('.writing-view').forEach((view) => {
+                    view.style.display = view.id === `${mode}-view` ? '' : 'none';
+                });
+            });
+        });
+
+        $('#compose-btn')?.addEventListener('click', handleCompose);
+
+        $('#copy-compose')?.addEventListener('click', async () => {
+            const draft = $('#compose-output')?.textContent || '';
+            if (!draft.trim()) {
+                showToast('No draft to copy', 'info');
+                return;
+            }
+            try {
+                await navigator.clipboard.writeText(draft);
+                showToast('Draft copied!');
+            } catch (e) {
+                showError('Failed to copy');
+            }
+        });
+
+        initWritingPresets();
+    }
+
+    function handleCompose() {
+        cancelOperation('compose');
+
+        const brief = $('#compose-brief')?.value?.trim() || '';
+        if (!brief) {
+            showToast('Please describe what the draft should say', 'info');
+            return;
+        }
+
+        const btn = $('#compose-btn');
+        const section = $('#compose-result');
+        const output = $('#compose-output');
+        const status = $('#compose-status');
+        const setStatus = (label, className = 'status-badge') => {
+            if (!status) return;
+            status.textContent = label;
+            status.className = className;
+        };
+
+        if (section) section.style.display = 'block';
+        if (output) output.innerHTML = '<span class="placeholder-text">Writing...</span>';
+        setStatus('Writing...', 'status-badge translating');
+        setButtonLoading(btn, true);
+
+        const port = chrome.runtime.connect({ name: 'write-stream' });
+        let draft = '';
+
+        const finish = () => {
+            endOperation('compose');
+            setButtonLoading(btn, false);
+            port.disconnect();
+        };
+
+        beginOperation('compose', () => {
+            port.postMessage({ action: 'ABORT' });
+            setButtonLoading(btn, false);
+            port.disconnect();
+            setStatus('Stopped');
+            if (output && !draft) output.innerHTML = '<span class="placeholder-text">Draft stopped</span>';
+        });
+
+        port.onMessage.addListener((msg) => {
+            if (msg.type === 'chunk') {
+                draft = msg.chunk;
+                if (output) output.textContent = draft;
+            } else if (msg.type === 'done') {
+                finish();
+                if (output) output.textContent = msg.text || draft;
+                setStatus('Done');
+            } else if (msg.type === 'aborted') {
+                finish();
+                setStatus('Stopped');
+            } else if (msg.type === 'error') {
+                finish();
+                setStatus('Error');
+                if (output) {
+                    output.innerHTML = `<span class="placeholder-text" style="color: var(--danger);">${escapeHtml(msg.error || 'Compose failed')}</span>`;
+                }
+            }
+        });
+
+        port.postMessage({
+            action: 'WRITE_STREAM',
+            brief,
+            tone: $('#compose-tone')?.value || 'neutral',
+            length: $('#compose-length')?.value || 'medium',
+            thread: $('#compose-thread')?.value || '',
+            presetIds: [...attachedPresetIds]
+        });
+    }
+
+    // ===== WRITING PRESETS =====
+    function initWritingPresets() {
+        const panel = $('#compose-presets-panel');
+        const nameInput = $('#compose-preset-name');
+        const textInput = $('#compose-preset-text');
+
+        const update = async (message) => {
+            const response = await chrome.runtime.sendMessage(message).catch(() => null);
+            if (!response?.success) {
+                showError(response?.error || 'Could not update the context presets');
+                return false;
+            }
+            renderWritingPresets(response.data);
+            return true;
+        };
+
+        $('#compose-presets-toggle')?.addEventListener('click', () => {
+            if (!panel) return;
+            panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        });
+
+        $('#compose-preset-save')?.addEventListener('click', async () => {
+            const saved = await update({
+                action: 'WRITING_PRESETS_SAVE',
+                preset: { name: nameInput?.value, text: textInput?.value }
+            });
+            if (saved) {
+                if (nameInput) nameInput.value = '';
+                if (textInput) textInput.value = '';
+            }
+        });
+
+        // Editing a preset: load it back into the form; saving under the same name replaces it
+        $('#compose-presets-list')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.glossary-item');
+            if (!item) return;
+
+            if (e.target.closest('[data-action="delete"]')) {
+                attachedPresetIds.delete(item.dataset.id);
+                update({ action: 'WRITING_PRESETS_DELETE', id: item.dataset.id });
+                return;
+            }
+
+            const preset = writingPresetList.find(p => p.id === item.dataset.id);
+            if (!preset) return;
+            if (nameInput) nameInput.value = preset.name;
+            if (textInput) textInput.value = preset.text;
+        });
+
+        // Attach or detach a preset from the next draft
+        $('#compose-presets')?.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-preset-id]');
+            if (!chip) return;
+
+            const id = chip.dataset.presetId;
+            if (attachedPresetIds.has(id)) {
+                attachedPresetIds.delete(id);
+            } else {
+                attachedPresetIds.add(id);
+            }
+            chip.classList.toggle('active', attachedPresetIds.has(id));
+        });
+
+        refreshWritingPresets();
+    }
+
+    async function refreshWritingPresets() {
+        const response = await chrome.runtime.sendMessage({ action: 'WRITING_PRESETS_GET' }).catch(() => null);
+        if (response?.success) renderWritingPresets(response.data);
+    }
+
+    function renderWritingPresets(presets) {
+        writingPresetList = presets || [];
+        const chips = $('#compose-presets');
+        const list = $('#compose-presets-list');
+        const title = $('#compose-presets-title');
+
+        if (title) title.textContent = `Context presets (${writingPresetList.length})`;
+
+        if (chips) {
+            chips.innerHTML = writingPresetList.map(p => `
+                <button class="compose-preset${attachedPresetIds.has(p.id) ? ' active' : ''}" data-preset-id="${escapeHtml(p.id)}" title="${escapeHtml(p.text)}">
+                    ${escapeHtml(p.name)}
+                </button>`).join('');
+        }
+
+        if (!list) return;
+        if (!writingPresetList.length) {
+            list.innerHTML = '<div class="glossary-empty">No presets yet: save product facts, a signature...</div>';
+            return;
+        }
+
+        list.innerHTML = writingPresetList.map(p => `
+            <div class="glossary-item" data-id="${escapeHtml(p.id)}" title="Click to edit">
+                <span class="glossary-term">${escapeHtml(p.name)}</span>
+                <span class="glossary-pair">${p.text.length} chars</span>
+                <button class="btn-icon" data-action="delete" title="Remove">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>`).join('');
+    }
+
+    // ===== PROOFREAD =====
+    function initProofread() {
+        const btn = $('#proofread-btn');
+        const input = $('#proofread-input');
+        const copyBtn = $('#copy-corrected');
+
+        btn?.addEventListener('click', handleProofread);
+
+        // Edited text no longer matches the page field it came from
+        input?.addEventListener('input', () => setProofreadSource(null));
+
+        copyBtn?.addEventListener('click', async () => {
+            if (!proofreadReview) {
+                showToast('No corrected text to copy', 'info');
+                return;
+            }
+            try {
+                await navigator.clipboard.writeText(buildProofreadText());
+                showToast('Corrected text copied!');
+            } catch (e) {
+                showError('Failed to copy');
+            }
+        });
+
+        $('#proofread-undo')?.addEventListener('click', undoProofreadDecision);
+        $('#proofread-apply')?.addEventListener('click', writeBackProofreadText);
+
+        // Accept / reject / explain buttons inside the diff, and the grouped actions above it
+        $('#proofread-output')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            const item = event.target.closest('[data-id]');
+            if (!button || !item) return;
+
+            const id = Number(item.dataset.id);
+            if (button.dataset.action === 'explain') {
+                explainCorrection(id);
+            } else {
+                setCorrectionStatus([id], button.dataset.action === 'accept' ? 'accepted' : 'rejected');
+            }
+        });
+
+        $('#proofread-review')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button || !proofreadReview) return;
+
+            const status = button.dataset.action === 'accept' ? 'accepted' : 'rejected';
+            const ids = proofreadReview.corrections
+                .filter(c => c.status === 'pending' && (!button.dataset.type || c.type === button.dataset.type))
+                .map(c => c.id);
+            setCorrectionStatus(ids, status);
+        });
+    }
+
+    // ===== PROOFREADING DICTIONARY & IGNORE RULES =====
+    function initProofreadingRules() {
+        const panel = $('#proofread-rules-panel');
+        const wordInput = $('#proofread-word');
+        const patternInput = $('#proofread-pattern');
+
+        const update = async (message) => {
+            const response = await chrome.runtime.sendMessage(message).catch(() => null);
+            if (!response?.success) {
+                showError(response?.error || 'Could not update the proofreading rules');
+                return false;
+            }
+            renderProofreadingRules(response.data);
+            return true;
+        };
+
+        $('#proofread-rules-toggle')?.addEventListener('click', () => {
+            if (!panel) return;
+            panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        });
+
+        const addWord = async () => {
+            const added = await update({ action: 'PROOFREAD_RULES_ADD_WORD', word: wordInput?.value });
+            if (added && wordInput) wordInput.value = '';
+        };
+
+        const addPattern = async () => {
+            const added = await update({ action: 'PROOFREAD_RULES_ADD_PATTERN', entry: { pattern: patternInput?.value } });
+            if (added && patternInput) patternInput.value = '';
+        };
+
+        $('#proofread-word-add')?.addEventListener('click', addWord);
+        $('#proofread-pattern-add')?.addEventListener('click', addPattern);
+        wordInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') addWord(); });
+        patternInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') addPattern(); });
+
+        $('#proofread-rules-list')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.glossary-item');
+            if (!item || !e.target.closest('[data-action="delete"]')) return;
+
+            if (item.dataset.type === 'word') {
+                update({ action: 'PROOFREAD_RULES_REMOVE_WORD', word: item.dataset.value });
+            } else {
+                update({ action: 'PROOFREAD_RULES_REMOVE_PATTERN', pattern: item.dataset.value });
+            }
+        });
+
+        // Words added from an inline proofreading popover on another tab
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && Object.keys(changes).some(key => key.startsWith('proofreadingRules'))) refreshProofreadingRules();
+        });
+        refreshProofreadingRules();
+    }
+
+    async function refreshProofreadingRules() {
+        const response = await chrome.runtime.sendMessage({ action: 'PROOFREAD_RULES_GET' }).catch(() => null);
+        if (response?.success) renderProofreadingRules(response.data);
+    }
+
+    function renderProofreadingRules(rules) {
+        const list = $('#proofread-rules-list');
+        const title = $('#proofread-rules-title');
+        const words = rules?.dictionary || [];
+        const patterns = rules?.ignorePatterns || [];
+
+        if (title) title.textContent = `Dictionary & ignore rules (${words.length + patterns.length})`;
+        if (!list) return;
+
+        if (!words.length && !patterns.length) {
+            list.innerHTML = '<div class="glossary-empty">No dictionary words or ignore patterns yet</div>';
+            return;
+        }
+
+        const deleteButton = `
+            <button class="btn-icon" data-action="delete" title="Remove">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>`;
+
+        list.innerHTML = [
+            ...words.map(word => `
+                <div class="glossary-item" data-type="word" data-value="${escapeHtml(word)}">
+                    <span class="glossary-term">${escapeHtml(word)}</span>
+                    <span class="glossary-pair">word</span>
+                    ${deleteButton}
+                </div>`),
+            ...patterns.map(p => `
+                <div class="glossary-item" data-type="pattern" data-value="${escapeHtml(p.pattern)}" title="${escapeHtml(p.pattern)}">
+                    <span class="glossary-term">${escapeHtml(p.label)}</span>
+                    <span class="glossary-pair">ignore</span>
+                    ${deleteButton}
+                </div>`)
+        ].join('');
+    }
+
+    // ===== INLINE PROOFREADING =====
+    // Settings live in chrome.storage.sync; content/inline-proofreader.js follows them on every page.
+    // A per-site entry overrides the "every site" default.
+    const INLINE_PROOFREAD_SETTINGS_KEY = 'inlineProofreading';
+
+    async function getInlineProofreadSettings() {
+        const result = await chrome.storage.sync.get([INLINE_PROOFREAD_SETTINGS_KEY]);
+        return { enabled: false, sites: {}, ...(result[INLINE_PROOFREAD_SETTINGS_KEY] || {}) };
+    }
+
+    async function getActiveTabHostname() {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        try {
+            const url = new URL(tabs?.[0]?.url || '');
+            return /^https?:$/.test(url.protocol) ? url.hostname : null;
+        } catch (e) {
+            return null;
         }
     }
 
-    // ===== PROOFREAD =====
-    function initProofread() {
-        const btn = $('#proofread-btn');
-        const input = $('#proofread-input');
-        const copyBtn = $('#copy-corrected');
+    async function refreshInlineProofreading() {
+        const settings = await getInlineProofreadSettings();
+        const hostname = await getActiveTabHostname();
+        const siteBtn = $('#inline-proofread-site');
 
-        btn?.addEventListener('click', handleProofread);
+        setPageButton('#inline-proofread-all', settings.enabled ? 'On every site (on)' : 'On every site', settings.enabled);
+        if (siteBtn) siteBtn.disabled = !hostname;
+        if (!hostname) {
+            setPageButton('#inline-proofread-site', 'Not available on this page');
+            return;
+        }
+        const enabledHere = settings.sites[hostname] ?? settings.enabled;
+        setPageButton('#inline-proofread-site', `On ${hostname}${enabledHere ? ' (on)' : ''}`, enabledHere);
+    }
 
-        copyBtn?.addEventListener('click', async () => {
-            const output = $('#proofread-output');
-            // Get the corrected text (stored in data attribute)
-            const correctedText = output?.dataset?.correctedText || '';
-            if (!correctedText) {
-                showToast('No corrected text to copy', 'info');
-                return;
-            }
-            try {
-                await navigator.clipboard.writeText(correctedText);
-                showToast('Corrected text copied!');
-            } catch (e) {
-                showError('Failed to copy');
+    function initInlineProofreading() {
+        $('#inline-proofread-site')?.addEventListener('click', async () => {
+            const hostname = await getActiveTabHostname();
+            if (!hostname) return;
+
+            const settings = await getInlineProofreadSettings();
+            const enable = !(settings.sites[hostname] ?? settings.enabled);
+            // Matching the default needs no per-site entry
+            if (enable === settings.enabled) {
+                delete settings.sites[hostname];
+            } else {
+                settings.sites[hostname] = enable;
             }
+            await chrome.storage.sync.set({ [INLINE_PROOFREAD_SETTINGS_KEY]: settings });
+            showToast(enable ? `Proofreading as you type on ${hostname}` : `Inline proofreading off on ${hostname}`, 'info');
+        });
+
+        $('#inline-proofread-all')?.addEventListener('click', async () => {
+            const settings = await getInlineProofreadSettings();
+            settings.enabled = !settings.enabled;
+            await chrome.storage.sync.set({ [INLINE_PROOFREAD_SETTINGS_KEY]: settings });
+            showToast(settings.enabled ? 'Proofreading as you type on every site' : 'Inline proofreading off by default', 'info');
+        });
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes[INLINE_PROOFREAD_SETTINGS_KEY]) refreshInlineProofreading();
+        });
+        chrome.tabs.onActivated.addListener(() => refreshInlineProofreading());
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+            if (changeInfo.url) refreshInlineProofreading();
         });
+        refreshInlineProofreading();
     }
 
     async function handleProofread() {
@@ -584,15 +1942,29 @@
 
         const lang = $('#proofread-lang')?.value || 'en';
 
+        proofreadReview = null;
         setButtonLoading(btn, true);
 
+        const requestId = `proofread-${Date.now()}`;
+        let cancelled = false;
+        beginOperation('proofread', () => {
+            cancelled = true;
+            chrome.runtime.sendMessage({ action: 'CANCEL_REQUEST', requestId }).catch(() => {});
+            setButtonLoading(btn, false);
+            showToast('Proofreading stopped', 'info');
+        });
+
         try {
             const response = await chrome.runtime.sendMessage({
                 action: 'PROOFREAD',
                 text: text,
-                language: lang
+                language: lang,
+                requestId
             });
 
+            // Stopped by the user: the late response is ignored
+            if (cancelled || response?.aborted) return;
+
             if (response?.success && response?.data) {
                 displayProofreadResult(response.data);
                 if (response.data.hasErrors) {
@@ -605,11 +1977,194 @@
                 showError(errorMsg);
             }
         } catch (error) {
+            if (cancelled) return;
             console.error('[Brief AI] Proofread error:', error);
             showError(`Proofreading failed: ${error.message}`);
         } finally {
-            setButtonLoading(btn, false);
+            if (!cancelled) {
+                endOperation('proofread');
+                setButtonLoading(btn, false);
+            }
+        }
+    }
+
+    // ===== PROOFREAD REVIEW =====
+    // Every correction is accepted or rejected on its own; the final text applies the accepted ranges only
+    let proofreadReview = null; // { originalText, corrections: [{ ...correction, id, status }], history: [] }
+    let proofreadSource = null; // { tabId, frameId } of the page field the text was selected in
+
+    const CORRECTION_TYPE_LABELS = {
+        spelling: 'spelling',
+        punctuation: 'punctuation',
+        capitalization: 'capitalization',
+        spacing: 'spacing',
+        preposition: 'preposition',
+        'missing-words': 'missing words',
+        grammar: 'grammar'
+    };
+
+    function setProofreadSource(source) {
+        proofreadSource = source;
+        const applyBtn = $('#proofread-apply');
+        if (applyBtn) applyBtn.style.display = source && proofreadReview ? '' : 'none';
+    }
+
+    // Explanations come back in the side panel's UI language and are cached by the background
+    async function explainCorrection(id) {
+        const review = proofreadReview;
+        const correction = review?.corrections.find(c => c.id === id);
+        if (!correction || correction.explanation || correction.explaining) return;
+
+        correction.explaining = true;
+        renderProofreadExplanations();
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'EXPLAIN_CORRECTION',
+                requestId: `explain-${Date.now()}-${id}`,
+                language: chrome.i18n.getUILanguage(),
+                correction: {
+                    text: review.originalText,
+                    startIndex: correction.startIndex,
+                    endIndex: correction.endIndex,
+                    correction: correction.correction,
+                    type: correction.type
+                }
+            });
+            if (!response?.success) throw new Error(response?.error || 'No explanation available');
+            correction.explanation = response.data.explanation;
+        } catch (e) {
+            correction.explanationError = e.message;
+        } finally {
+            correction.explaining = false;
         }
+
+        // A new proofreading run replaced the result in the meantime
+        if (review === proofreadReview) renderProofreadExplanations();
+    }
+
+    function renderProofreadExplanations() {
+        const list = $('#proofread-explanations');
+        if (!list) return;
+
+        const items = (proofreadReview?.corrections || [])
+            .filter(c => c.explaining || c.explanation || c.explanationError);
+        list.style.display = items.length ? 'flex' : 'none';
+        list.innerHTML = items.map((c) => {
+            const original = proofreadReview.originalText.slice(c.startIndex, c.endIndex);
+            const body = c.explaining
+                ? '<span class="placeholder-text">Explaining...</span>'
+                : c.explanation
+                    ? escapeHtml(c.explanation)
+                    : `<span style="color: var(--danger);">${escapeHtml(c.explanationError)}</span>`;
+            return `
+                <div class="proofread-explanation">
+                    <div class="proofread-explanation-change">
+                        <del class="error-del">${escapeHtml(original)}</del> → <ins class="error-ins">${escapeHtml(c.correction)}</ins>
+                    </div>
+                    <div class="proofread-explanation-text">${body}</div>
+                </div>`;
+        }).join('');
+    }
+
+    function setCorrectionStatus(ids, status) {
+        if (!proofreadReview || !ids.length) return;
+        proofreadReview.history.push(proofreadReview.corrections.map(c => c.status));
+        proofreadReview.corrections.forEach((c) => {
+            if (ids.includes(c.id)) c.status = status;
+        });
+        renderProofreadReview();
+    }
+
+    function undoProofreadDecision() {
+        const previous = proofreadReview?.history.pop();
+        if (!previous) return;
+        proofreadReview.corrections.forEach((c, i) => { c.status = previous[i]; });
+        renderProofreadReview();
+    }
+
+    // Original text with the accepted corrections applied
+    function buildProofreadText() {
+        if (!proofreadReview) return '';
+        const { originalText, corrections } = proofreadReview;
+        let text = '';
+        let last = 0;
+
+        for (const c of corrections) {
+            if (c.status !== 'accepted') continue;
+            text += originalText.slice(last, c.startIndex) + c.correction;
+            last = c.endIndex;
+        }
+        return text + originalText.slice(last);
+    }
+
+    async function writeBackProofreadText() {
+        if (!proofreadReview || !proofreadSource) return;
+
+        try {
+            const response = await chrome.tabs.sendMessage(proofreadSource.tabId, {
+                action: 'WRITE_BACK_TEXT',
+                original: proofreadReview.originalText,
+                replacement: buildProofreadText()
+            }, { frameId: proofreadSource.frameId });
+
+            if (!response?.success) throw new Error(response?.error || 'The page field is not available');
+            // The field now holds the new text: a second write-back would not find the original
+            setProofreadSource(null);
+            showToast('Corrections applied to the page');
+        } catch (e) {
+            showError(`Could not update the page field: ${e.message}`);
+        }
+    }
+
+    function renderProofreadReview() {
+        const output = $('#proofread-output');
+        const review = $('#proofread-review');
+        const status = $('#proofread-status');
+        const stats = $('#proofread-stats');
+        if (!proofreadReview) return;
+
+        const { originalText, corrections, history } = proofreadReview;
+        const count = state => corrections.filter(c => c.status === state).length;
+        const pending = count('pending');
+        const accepted = count('accepted');
+
+        if (output) output.innerHTML = formatCorrectionsHTML(originalText, corrections);
+
+        if (review) {
+            const types = [...new Set(corrections.filter(c => c.status === 'pending').map(c => c.type))];
+            review.innerHTML = pending ? [
+                '<button class="proofread-group" data-action="accept">✓ Accept all</button>',
+                '<button class="proofread-group" data-action="reject">✕ Reject all</button>',
+                // Grouping only helps when there is more than one kind of correction
+                ...(types.length > 1 ? types.map((type) => {
+                    const typeCount = corrections.filter(c => c.status === 'pending' && c.type === type).length;
+                    return `<button class="proofread-group" data-action="accept" data-type="${escapeHtml(type)}">`
+                        + `✓ All ${escapeHtml(CORRECTION_TYPE_LABELS[type] || type)} (${typeCount})</button>`;
+                }) : [])
+            ].join('') : '';
+            review.style.display = pending ? 'flex' : 'none';
+        }
+
+        if (status) {
+            status.textContent = pending
+                ? `${corrections.length} issue(s)`
+                : `${accepted} of ${corrections.length} accepted`;
+            status.className = pending ? 'status-badge error' : 'status-badge success';
+        }
+
+        if (stats) {
+            stats.innerHTML = `
+                <span>📝 Characters: ${originalText.length}</span>
+                <span>🔧 Corrections: ${corrections.length}</span>
+                <span>✓ Accepted: ${accepted}</span>
+            `;
+        }
+
+        const undoBtn = $('#proofread-undo');
+        if (undoBtn) undoBtn.disabled = !history.length;
+        setProofreadSource(proofreadSource);
+        renderProofreadExplanations();
     }
 
     function displayProofreadResult(data) {
@@ -617,25 +2172,34 @@
         const output = $('#proofread-output');
         const stats = $('#proofread-stats');
         const status = $('#proofread-status');
+        const review = $('#proofread-review');
+
+        // Overlapping corrections can't both apply: the first one is offered, the others are dropped
+        let lastEnd = 0;
+        const corrections = [...(data.corrections || [])]
+            .sort((a, b) => a.startIndex - b.startIndex)
+            .filter((c) => {
+                if (c.startIndex < lastEnd) return false;
+                lastEnd = c.endIndex;
+                return true;
+            });
 
-        if (status) {
-            if (data.hasErrors) {
-                status.textContent = `${data.corrections.length} issue(s)`;
-                status.className = 'status-badge error';
-            } else {
+        proofreadReview = {
+            originalText: data.originalText,
+            corrections: corrections.map((c, id) => ({ ...c, id, status: 'pending' })),
+            history: []
+        };
+
+        if (data.hasErrors) {
+            renderProofreadReview();
+        } else {
+            if (status) {
                 status.textContent = '✓ Perfect';
                 status.className = 'status-badge success';
             }
-        }
-
-        if (output) {
-            // Store corrected text for copy button
-            output.dataset.correctedText = data.correctedText || data.originalText;
-
-            if (data.hasErrors) {
-                // Display with corrections highlighted
-                output.innerHTML = formatCorrectionsHTML(data.originalText, data.corrections);
-            } else {
+            if (review) review.style.display = 'none';
+            renderProofreadExplanations();
+            if (output) {
                 output.innerHTML = `
                     <div class="no-errors">
                         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="color: #10b981;">
@@ -645,13 +2209,15 @@
                     </div>
                 `;
             }
-        }
-
-        if (stats) {
-            stats.innerHTML = `
-                <span>📝 Characters: ${data.originalText?.length || 0}</span>
-                <span>🔧 Corrections: ${data.corrections?.length || 0}</span>
-            `;
+            if (stats) {
+                stats.innerHTML = `
+                    <span>📝 Characters: ${data.originalText?.length || 0}</span>
+                    <span>🔧 Corrections: 0</span>
+                `;
+            }
+            const undoBtn = $('#proofread-undo');
+            if (undoBtn) undoBtn.disabled = true;
+            setProofreadSource(null);
         }
 
         if (section) {
@@ -660,6 +2226,7 @@
         }
     }
 
+    // Pending corrections show both versions with accept/reject buttons; decided ones show the kept text
     function formatCorrectionsHTML(originalText, corrections) {
         if (!corrections || corrections.length === 0) {
             return `<span class="no-errors">✓ No errors found</span>`;
@@ -672,19 +2239,31 @@
         const sortedCorrections = [...corrections].sort((a, b) => a.startIndex - b.startIndex);
 
         for (const correction of sortedCorrections) {
+            // Overlaps another correction: only the first one can be applied
+            if (correction.startIndex < lastIndex) continue;
+
             // Add text before the error
             if (correction.startIndex > lastIndex) {
                 html += `<span class="correct-text">${escapeHtml(originalText.substring(lastIndex, correction.startIndex))}</span>`;
             }
 
-            // Add the error with strikethrough and correction
             const errorText = originalText.substring(correction.startIndex, correction.endIndex);
             const correctedText = correction.correction || '';
+            const typeLabel = CORRECTION_TYPE_LABELS[correction.type] || correction.type || '';
 
-            html += `<span class="error-highlight" title="Suggestion: ${escapeHtml(correctedText)}">`;
-            html += `<del class="error-del">${escapeHtml(errorText)}</del>`;
-            html += `<ins class="error-ins">${escapeHtml(correctedText)}</ins>`;
-            html += `</span>`;
+            if (correction.status === 'accepted') {
+                html += `<span class="correct-text correction-accepted" title="Accepted">${escapeHtml(correctedText)}</span>`;
+            } else if (correction.status === 'rejected') {
+                html += `<span class="correct-text correction-rejected" title="Rejected">${escapeHtml(errorText)}</span>`;
+            } else {
+                html += `<span class="error-highlight" data-id="${correction.id}" title="${escapeHtml(typeLabel)}">`;
+                html += `<del class="error-del">${escapeHtml(errorText)}</del>`;
+                html += `<ins class="error-ins">${escapeHtml(correctedText)}</ins>`;
+                html += `<button class="correction-btn" data-action="explain" title="Why?">?</button>`;
+                html += `<button class="correction-btn accept" data-action="accept" title="Accept">✓</button>`;
+                html += `<button class="correction-btn reject" data-action="reject" title="Reject">✕</button>`;
+                html += `</span>`;
+            }
 
             lastIndex = correction.endIndex;
         }
@@ -701,6 +2280,7 @@
     function initChat() {
         const btn = $('#chat-send-btn');
         const input = $('#chat-input');
+        chatWelcomeHTML = $('#chat-messages')?.innerHTML || '';
 
         btn?.addEventListener('click', handleChatSend);
         input?.addEventListener('keydown', (e) => {
@@ -709,49 +2289,282 @@
                 handleChatSend();
             }
         });
+
+        $('#chat-page-toggle')?.addEventListener('click', () => setPageContext(!pageContextEnabled));
+
+        initChatThreads();
+    }
+
+    // ===== CHAT THREADS =====
+    function initChatThreads() {
+        const panel = $('#chat-threads-panel');
+        const search = $('#chat-thread-search');
+        const list = $('#chat-thread-list');
+        let searchTimer;
+
+        $('#chat-threads-toggle')?.addEventListener('click', () => {
+            if (!panel) return;
+            const open = panel.style.display === 'none';
+            panel.style.display = open ? 'flex' : 'none';
+            if (open) renderThreadList(search?.value || '');
+        });
+
+        $('#chat-new-thread')?.addEventListener('click', startNewThread);
+
+        search?.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => renderThreadList(search.value), 200);
+        });
+
+        list?.addEventListener('click', async (e) => {
+            const item = e.target.closest('.chat-thread-item');
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (!item || !action) return;
+
+            const threadId = item.dataset.id;
+            if (action === 'open') {
+                await openThread(threadId);
+                if (panel) panel.style.display = 'none';
+            } else if (action === 'rename') {
+                await renameThread(threadId, item.querySelector('.chat-thread-name')?.textContent || '');
+            } else if (action === 'delete') {
+                await deleteThread(threadId);
+            }
+        });
+
+        // Reopen the thread that was active when the panel was closed
+        chrome.storage.local.get(['activeChatThreadId'], (result) => {
+            if (result.activeChatThreadId) openThread(result.activeChatThreadId);
+        });
+    }
+
+    async function renderThreadList(query = '') {
+        const list = $('#chat-thread-list');
+        if (!list) return;
+
+        const response = await chrome.runtime.sendMessage({ action: 'CHAT_THREADS_LIST', query }).catch(() => null);
+        const threads = response?.success ? response.data : [];
+
+        if (!threads.length) {
+            list.innerHTML = `<div class="chat-thread-empty">${query ? 'No matching conversations' : 'No saved conversations yet'}</div>`;
+            return;
+        }
+
+        list.innerHTML = threads.map(t => `
+            <div class="chat-thread-item ${t.id === currentThreadId ? 'active' : ''}" data-id="${escapeHtml(t.id)}">
+                <div class="chat-thread-info" data-action="open" title="${escapeHtml(t.preview)}">
+                    <span class="chat-thread-name">${escapeHtml(t.title)}</span>
+                    <span class="chat-thread-meta">${t.messageCount} messages · ${new Date(t.updatedAt).toLocaleDateString()}</span>
+                </div>
+                <button class="btn-icon" data-action="rename" title="Rename">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 20h9"></path>
+                        <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                    </svg>
+                </button>
+                <button class="btn-icon" data-action="delete" title="Delete">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3 6 5 6 21 6"></polyline>
+                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    function setCurrentThread(thread) {
+        currentThreadId = thread?.id || null;
+        const title = $('#chat-thread-title');
+        if (title) title.textContent = thread?.title || 'New chat';
+
+        if (currentThreadId) {
+            chrome.storage.local.set({ activeChatThreadId: currentThreadId });
+        } else {
+            chrome.storage.local.remove('activeChatThreadId');
+        }
+    }
+
+    // Load a stored thread: the background rebuilds the session from its messages
+    function openThread(threadId) {
+        return new Promise((resolve) => {
+            const port = chrome.runtime.connect({ name: 'ai-chat-stream' });
+
+            port.onMessage.addListener((msg) => {
+                if (msg.type === 'thread-loaded') {
+                    setCurrentThread(msg.thread);
+                    renderThreadMessages(msg.thread.messages);
+                } else if (msg.type === 'error') {
+                    showError(msg.error || 'Failed to open conversation');
+                }
+                port.disconnect();
+                resolve();
+            });
+
+            port.postMessage({ action: 'LOAD_THREAD', threadId });
+        });
+    }
+
+    function renderThreadMessages(messages = []) {
+        const container = $('#chat-messages');
+        if (!container) return;
+
+        if (!messages.length) {
+            container.innerHTML = chatWelcomeHTML;
+            return;
+        }
+
+        container.innerHTML = '';
+        messages.forEach(m => addChatMessage(m.content, m.role === 'user' ? 'user' : 'ai', m.timestamp));
+    }
+
+    function startNewThread() {
+        const port = chrome.runtime.connect({ name: 'ai-chat-stream' });
+        port.onMessage.addListener(() => port.disconnect());
+        port.postMessage({ action: 'RESET_CHAT' });
+
+        setCurrentThread(null);
+        renderThreadMessages([]);
+        const panel = $('#chat-threads-panel');
+        if (panel) panel.style.display = 'none';
+    }
+
+    async function renameThread(threadId, currentTitle) {
+        const title = prompt('Rename conversation', currentTitle);
+        if (title === null || !title.trim()) return;
+
+        const response = await chrome.runtime.sendMessage({ action: 'CHAT_THREAD_RENAME', threadId, title }).catch(() => null);
+        if (!response?.success) {
+            showError(response?.error || 'Failed to rename conversation');
+            return;
+        }
+
+        if (threadId === currentThreadId) setCurrentThread(response.data);
+        renderThreadList($('#chat-thread-search')?.value || '');
+    }
+
+    async function deleteThread(threadId) {
+        if (!confirm('Delete this conversation?')) return;
+
+        const response = await chrome.runtime.sendMessage({ action: 'CHAT_THREAD_DELETE', threadId }).catch(() => null);
+        if (!response?.success) {
+            showError(response?.error || 'Failed to delete conversation');
+            return;
+        }
+
+        if (threadId === currentThreadId) {
+            setCurrentThread(null);
+            renderThreadMessages([]);
+        }
+        renderThreadList($('#chat-thread-search')?.value || '');
+        showToast('Conversation deleted', 'info');
+    }
+
+    // "Ask this page": answers are grounded in the active tab's content
+    function setPageContext(enabled) {
+        pageContextEnabled = enabled;
+        const toggle = $('#chat-page-toggle');
+        toggle?.classList.toggle('active', enabled);
+        toggle?.setAttribute('aria-pressed', String(enabled));
+
+        const input = $('#chat-input');
+        if (input) input.placeholder = enabled ? 'Ask about this page...' : 'Type your message...';
+    }
+
+    function addMessageSource(id, page) {
+        const bubble = document.getElementById(id)?.querySelector('.message-ai');
+        if (!bubble || !page) return;
+
+        const note = document.createElement('div');
+        note.className = 'message-source';
+        note.textContent = `📄 ${page.mode === 'excerpts' ? 'From excerpts of' : 'From'}: ${page.title || page.url}`;
+        note.title = page.url || '';
+        bubble.insertBefore(note, bubble.querySelector('.message-time'));
     }
 
     async function handleChatSend() {
         const input = $('#chat-input');
         const message = input?.value?.trim();
         
-        if (!message) return;
+        if (!message || runningOperations.chat) return;
 
         input.value = '';
-        addChatMessage(message, 'user');
+        const userMessage = addChatMessage(message, 'user');
         
         const thinkingId = addChatThinking();
         const streamId = createStreamingMessage();
+        const sendBtn = $('#chat-send-btn');
+
+        const finish = () => {
+            endOperation('chat');
+            if (sendBtn) sendBtn.style.display = '';
+        };
+
+        // Stopped answers are not saved, so drop the whole exchange and give the text back
+        const discardExchange = () => {
+            removeChatThinking(thinkingId);
+            removeStreamingMessage(streamId);
+            userMessage?.remove();
+            if (input && !input.value) input.value = message;
+        };
 
         try {
             const port = chrome.runtime.connect({ name: 'ai-chat-stream' });
             let fullResponse = '';
 
+            if (sendBtn) sendBtn.style.display = 'none';
+            beginOperation('chat', () => {
+                port.postMessage({ action: 'ABORT' });
+                port.disconnect();
+                finish();
+                discardExchange();
+                showToast('Response stopped', 'info');
+            });
+
             port.onMessage.addListener((msg) => {
-                if (msg.type === 'chunk') {
+                if (msg.type === 'thread') {
+                    // First message of a new conversation: the background created a thread
+                    setCurrentThread(msg.thread);
+                } else if (msg.type === 'chunk') {
                     fullResponse = msg.chunk;
                     updateStreamingMessage(streamId, fullResponse);
+                } else if (msg.type === 'page') {
+                    addMessageSource(streamId, msg.page);
                 } else if (msg.type === 'done') {
+                    finish();
+                    port.disconnect();
                     removeChatThinking(thinkingId);
                     if (fullResponse) {
                         updateStreamingMessage(streamId, fullResponse);
                     }
+                    if (msg.thread) setCurrentThread(msg.thread);
+                } else if (msg.type === 'aborted') {
+                    finish();
+                    port.disconnect();
+                    discardExchange();
                 } else if (msg.type === 'error') {
+                    finish();
+                    port.disconnect();
                     removeChatThinking(thinkingId);
                     removeStreamingMessage(streamId);
                     showError(msg.error || 'AI chat failed');
                 }
             });
 
-            port.postMessage({ action: 'PROMPT_AI_STREAM', text: message });
+            port.postMessage({
+                action: 'PROMPT_AI_STREAM',
+                text: message,
+                threadId: currentThreadId,
+                pageContext: pageContextEnabled
+            });
         } catch (error) {
+            finish();
             removeChatThinking(thinkingId);
             removeStreamingMessage(streamId);
             showError(error.message);
         }
     }
 
-    function addChatMessage(content, type) {
+    function addChatMessage(content, type, timestamp = Date.now()) {
         const container = $('#chat-messages');
         const welcome = container?.querySelector('.chat-welcome');
         if (welcome) welcome.remove();
@@ -763,12 +2576,13 @@
         div.innerHTML = `
             <div class="${cls}">
                 <div class="message-content">${renderMarkdownLite(content)}</div>
-                <div class="message-time">${new Date().toLocaleTimeString()}</div>
+                <div class="message-time">${new Date(timestamp).toLocaleTimeString()}</div>
             </div>
         `;
 
         container?.appendChild(div);
         if (container) container.scrollTop = container.scrollHeight;
+        return div;
     }
 
     function addChatThinking() {
@@ -841,15 +2655,18 @@
             }
         });
 
-        // Clear live history button
+        // Clear live history button (the recorded transcript stays available for export)
         $('#clearLiveHistory')?.addEventListener('click', () => {
             const original = $('#originalText');
             const translated = $('#translatedText');
             if (original) original.textContent = '';
             if (translated) translated.textContent = '';
-            showToast('History cleared', 'info');
+            showToast('Display cleared, transcript kept', 'info');
         });
 
+        initSubtitleSettings();
+        initTranscripts();
+
         // Listen for live translation updates
         chrome.runtime.onMessage.addListener((msg) => {
             if (!msg) return;
@@ -896,6 +2713,150 @@
         });
     }
 
+    // ===== TRANSCRIPTS =====
+    // ===== SUBTITLE OVERLAY =====
+    // Style in chrome.storage.sync, dragged positions per site in chrome.storage.local;
+    // content/subtitle-overlay.js applies both live
+    const SUBTITLE_OVERLAY_SETTINGS_KEY = 'subtitleOverlay';
+    const SUBTITLE_OVERLAY_POSITIONS_KEY = 'subtitleOverlayPositions';
+    const SUBTITLE_OVERLAY_DEFAULTS = {
+        fontSize: 22,
+        originalColor: '#d1d5db',
+        translationColor: '#ffffff',
+        backgroundOpacity: 0.75,
+        position: 'bottom',
+        showOriginal: true,
+        hideNativeCaptions: false
+    };
+
+    async function getSubtitleSettings() {
+        const result = await chrome.storage.sync.get([SUBTITLE_OVERLAY_SETTINGS_KEY]);
+        return { ...SUBTITLE_OVERLAY_DEFAULTS, ...(result[SUBTITLE_OVERLAY_SETTINGS_KEY] || {}) };
+    }
+
+    function initSubtitleSettings() {
+        const panel = $('#subtitles-panel');
+        const fields = {
+            fontSize: ['#subtitle-font-size', el => Number(el.value)],
+            position: ['#subtitle-position', el => el.value],
+            originalColor: ['#subtitle-original-color', el => el.value],
+            translationColor: ['#subtitle-translation-color', el => el.value],
+            backgroundOpacity: ['#subtitle-background', el => Number(el.value)],
+            showOriginal: ['#subtitle-show-original', el => el.checked],
+            hideNativeCaptions: ['#subtitle-hide-native', el => el.checked]
+        };
+
+        $('#subtitles-toggle')?.addEventListener('click', () => {
+            if (!panel) return;
+            panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        });
+
+        getSubtitleSettings().then((settings) => {
+            Object.entries(fields).forEach(([key, [selector]]) => {
+                const el = $(selector);
+                if (!el) return;
+                if (el.type === 'checkbox') el.checked = settings[key];
+                else el.value = settings[key];
+            });
+        });
+
+        // "change", not "input": storage.sync limits how often it can be written
+        Object.entries(fields).forEach(([key, [selector, read]]) => {
+            $(selector)?.addEventListener('change', async (e) => {
+                const settings = await getSubtitleSettings();
+                settings[key] = read(e.target);
+                await chrome.storage.sync.set({ [SUBTITLE_OVERLAY_SETTINGS_KEY]: settings });
+            });
+        });
+
+        $('#subtitle-reset-position')?.addEventListener('click', async () => {
+            const hostname = await getActiveTabHostname();
+            if (!hostname) return;
+
+            const result = await chrome.storage.local.get([SUBTITLE_OVERLAY_POSITIONS_KEY]);
+            const positions = result[SUBTITLE_OVERLAY_POSITIONS_KEY] || {};
+            delete positions[hostname];
+            await chrome.storage.local.set({ [SUBTITLE_OVERLAY_POSITIONS_KEY]: positions });
+            showToast(`Subtitle position reset on ${hostname}`, 'info');
+        });
+    }
+
+    function initTranscripts() {
+        const panel = $('#transcripts-panel');
+
+        $('#transcripts-toggle')?.addEventListener('click', () => {
+            if (!panel) return;
+            const opening = panel.style.display === 'none';
+            panel.style.display = opening ? 'flex' : 'none';
+            if (opening) refreshTranscripts();
+        });
+
+        $('#transcript-export')?.addEventListener('click', exportTranscript);
+
+        $('#transcript-delete')?.addEventListener('click', async () => {
+            const sessionId = $('#transcript-session')?.value;
+            if (!sessionId || !confirm('Delete this transcript?')) return;
+
+            const response = await chrome.runtime.sendMessage({ action: 'TRANSCRIPT_DELETE', sessionId }).catch(() => null);
+            if (!response?.success) {
+                showError(response?.error || 'Could not delete the transcript');
+                return;
+            }
+            renderTranscripts(response.data);
+        });
+
+        refreshTranscripts();
+    }
+
+    async function refreshTranscripts() {
+        const response = await chrome.runtime.sendMessage({ action: 'TRANSCRIPTS_LIST' }).catch(() => null);
+        if (response?.success) renderTranscripts(response.data);
+    }
+
+    function renderTranscripts(sessions = []) {
+        const select = $('#transcript-session');
+        const title = $('#transcripts-title');
+        if (title) title.textContent = `Transcripts (${sessions.length})`;
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = sessions.length
+            ? sessions.map(s => `
+                <option value="${escapeHtml(s.id)}">
+                    ${escapeHtml(s.title || s.url || s.platform)} · ${escapeHtml(new Date(s.startedAt).toLocaleString())} · ${s.captionCount} captions
+                </option>`).join('')
+            : '<option value="">No transcripts yet</option>';
+        if (sessions.some(s => s.id === selected)) select.value = selected;
+    }
+
+    async function exportTranscript() {
+        const sessionId = $('#transcript-session')?.value;
+        if (!sessionId) {
+            showToast('No transcript to export', 'info');
+            return;
+        }
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'TRANSCRIPT_EXPORT',
+            sessionId,
+            format: $('#transcript-format')?.value || 'srt'
+        }).catch(() => null);
+
+        if (!response?.success) {
+            showError(response?.error || 'Could not export the transcript');
+            return;
+        }
+
+        const { content, fileName, mimeType } = response.data;
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+        showToast(`Saved ${fileName}`);
+    }
+
     async function startLiveTranslation() {
         const tabId = await getActiveTabId();
         if (!tabId) {
@@ -918,9 +2879,13 @@
                 showOverlay: true
             });
 
-            // Start audio capture if not captions-only
+            // Start audio capture (speech-to-text) if not captions-only
             if (mode !== 'captions-only') {
-                await chrome.runtime.sendMessage({ action: 'START_AUDIO_CAPTURE' }).catch(() => {});
+                const audio = await chrome.runtime.sendMessage({ action: 'START_AUDIO_CAPTURE' })
+                    .catch(e => ({ success: false, error: e.message }));
+                if (!audio?.success) {
+                    showToast(`Tab audio unavailable: ${audio?.error || 'capture failed'}`, mode === 'audio-only' ? 'error' : 'info');
+                }
             }
 
             liveActive = true;
@@ -972,6 +2937,8 @@
             `;
         }
 
+        // The session that just ended is now exportable
+        refreshTranscripts();
         showToast('Live translation stopped');
     }
 
@@ -1076,12 +3043,30 @@
                 return;
             }
 
+            // Handle whole-page summary from context menu
+            if (action.type === 'summarizePage') {
+                $$('.cat-pill').forEach(b => b.classList.remove('active'));
+                $('[data-category="standard"]')?.classList.add('active');
+                $$('.category-content').forEach(c => c.classList.remove('active'));
+                $('#standard-category')?.classList.add('active');
+
+                const container = $('#standard-category');
+                const summarizeTab = container?.querySelector('.sub-tab[data-tab="summarize"]');
+                if (summarizeTab) summarizeTab.click();
+
+                setTimeout(() => handleSummarizePage(action.tabId), 200);
+
+                chrome.storage.local.remove('currentAction');
+                return;
+            }
+
             if (!action.text) return;
 
             const tabMap = {
                 summarize: 'summarize',
                 translate: 'translate',
                 proofread: 'proofread',
+                rewrite: 'rewrite',
                 promptAI: 'chat'
             };
 
@@ -1089,6 +3074,7 @@
                 summarize: 'summarize-input',
                 translate: 'translate-input',
                 proofread: 'proofread-input',
+                rewrite: 'rewrite-input',
                 promptAI: 'chat-input'
             };
 
@@ -1121,6 +3107,14 @@
                         handleRealtimeTranslate();
                     } else if (action.type === 'proofread') {
                         $('#proofread-btn')?.click();
+                        // Set after the click so the result card can offer the write-back
+                        setProofreadSource(action.editable ? { tabId: action.tabId, frameId: action.frameId } : null);
+                    } else if (action.type === 'rewrite') {
+                        $('[data-writing-mode="rewrite"]')?.click();
+                        const styleSelect = $('#rewrite-style');
+                        if (styleSelect && action.style) styleSelect.value = action.style;
+                        setRewriteSource(action.editable ? { tabId: action.tabId, frameId: action.frameId } : null);
+                        handleRewrite();
                     } else if (action.type === 'promptAI') {
                         handleChatSend();
                     }
@@ -0,0 +1,145 @@
+// AI Router - every mode must pick a provider the action has a handler for
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+const MODES = ['local', 'cloud', 'auto', 'selfHosted'];
+
+// Each public entry point, called with enough arguments to reach route()
+const CALLS = {
+    summarize: router => router.summarize('Text'),
+    translate: router => router.translate('Text', 'fr'),
+    translateStream: router => router.translateStream('Text', 'fr', 'auto', null),
+    translateBatch: router => router.translateBatch(['Text'], 'fr'),
+    rewriteStream: router => router.rewriteStream('Text', 'formal', null),
+    writeStream: router => router.writeStream('Brief', null),
+    prompt: router => router.prompt('Hi'),
+    promptOnce: router => router.promptOnce('Hi'),
+    chat: router => router.chat('Hi'),
+    chatStream: router => router.chatStream('Hi', null),
+    pageChatStream: router => router.pageChatStream('Hi', { title: 'Page', url: 'https://example.com', text: 'Text' }, null),
+    describeImage: router => router.describeImage('https://example.com/cat.png')
+};
+
+// Signed in or not, Vertex AI set up or not, own server or not, Chrome Built-in AI or not
+const ENVIRONMENTS = [];
+for (const signedIn of [true, false]) {
+    for (const vertex of [true, false]) {
+        for (const selfHosted of [true, false]) {
+            for (const local of [true, false]) {
+                ENVIRONMENTS.push({ signedIn, vertex, selfHosted, local });
+            }
+        }
+    }
+}
+
+let router;
+
+before(async () => {
+    globalThis.chrome = {
+        storage: {
+            local: { get: async () => ({}), set: async () => {} },
+            sync: { get: async () => ({}), set: async () => {} },
+            onChanged: { addListener() {} }
+        },
+        runtime: {}
+    };
+    if (!globalThis.navigator) {
+        Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+    }
+
+    ({ aiRouter: router } = await import('../services/ai-router.js'));
+    router.initialize = async () => {};
+    router.glossary = {
+        getRules: async () => [],
+        protect: text => ({ text, placeholders: [] }),
+        restore: text => text,
+        checkViolations: () => []
+    };
+});
+
+function useEnvironment(mode, env) {
+    router.preferredMode = mode;
+    router.hasCloudAccess = async () => env.signedIn;
+    router.localAI.initVertexAI = async () => env.vertex;
+    router.selfHostedAI.isConfigured = async () => env.selfHosted;
+    router.isLocalAvailable = async () => env.local;
+}
+
+// The action and handlers an entry point hands to route()
+async function routeOf(call) {
+    const original = router.route;
+    const stop = new Error('stop');
+    let captured = null;
+    router.route = async (action, text, handlers) => {
+        captured = { action, providers: Object.keys(handlers) };
+        throw stop;
+    };
+    try {
+        await call(router);
+    } catch (error) {
+        if (error !== stop) throw error;
+    } finally {
+        router.route = original;
+    }
+    return captured;
+}
+
+test('every mode picks a provider the action has a handler for', async () => {
+    const routes = {};
+    for (const [name, call] of Object.entries(CALLS)) {
+        routes[name] = await routeOf(call);
+    }
+
+    for (const mode of MODES) {
+        for (const env of ENVIRONMENTS) {
+            useEnvironment(mode, env);
+            for (const [name, { action, providers }] of Object.entries(routes)) {
+                let provider;
+                try {
+                    provider = await router.selectProvider(action, 'Text');
+                } catch (error) {
+                    // Auto mode with nothing usable is the only case without a provider
+                    assert.equal(mode, 'auto', `${name} in ${mode} mode ${JSON.stringify(env)}: ${error.message}`);
+                    assert.match(error.message, /No AI provider available/);
+                    continue;
+                }
+                assert.ok(providers.includes(provider),
+                    `${name} in ${mode} mode ${JSON.stringify(env)} picked ${provider}, handlers: ${providers.join(', ')}`);
+            }
+        }
+    }
+});
+
+test('cloud mode keeps images on Vertex AI and other actions off it', async () => {
+    const cases = [
+        [{ signedIn: true, vertex: true }, 'image', 'vertex'],
+        [{ signedIn: true, vertex: false }, 'image', 'local'],
+        [{ signedIn: true, vertex: true }, 'summarize', 'cloud'],
+        [{ signedIn: false, vertex: true }, 'chat', 'vertex'],
+        [{ signedIn: false, vertex: true }, 'summarize', 'local'],
+        [{ signedIn: false, vertex: true }, 'translate', 'local'],
+        [{ signedIn: false, vertex: true }, 'rewrite', 'local'],
+        [{ signedIn: false, vertex: true }, 'write', 'local']
+    ];
+    for (const [env, action, expected] of cases) {
+        useEnvironment('cloud', { selfHosted: false, local: true, ...env });
+        assert.equal(await router.selectProvider(action), expected, `${action} with ${JSON.stringify(env)}`);
+    }
+});
+
+test('auto mode sends images to a provider that can see them when Chrome Built-in AI is missing', async () => {
+    useEnvironment('auto', { signedIn: true, vertex: true, selfHosted: false, local: false });
+    assert.equal(await router.selectProvider('image'), 'vertex');
+
+    useEnvironment('auto', { signedIn: true, vertex: false, selfHosted: true, local: false });
+    assert.equal(await router.selectProvider('image'), 'selfHosted');
+});
+
+test('an unsupported provider error only suggests modes the user is not in', () => {
+    router.preferredMode = 'auto';
+    assert.doesNotMatch(router.unsupportedError('image', 'cloud').message, /Auto mode/);
+
+    router.preferredMode = 'cloud';
+    assert.match(router.unsupportedError('image', 'cloud').message, /Switch to Local or Auto mode/);
+});
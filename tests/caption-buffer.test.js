@@ -0,0 +1,37 @@
+// Caption buffer - replays recorded caption snapshots and checks the segments sent for translation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { readFixture, loadScripts, createClock } from './helpers.js';
+
+function replay(fixture) {
+    const clock = createClock();
+    const evaluate = loadScripts(['content/caption-buffer.js'], {
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout
+    });
+    const CaptionBuffer = evaluate('CaptionBuffer');
+
+    const segments = [];
+    const buffer = new CaptionBuffer({
+        onSegment: (text, { startedAt }) => segments.push({ text, startedAt })
+    });
+
+    for (const snapshot of fixture.snapshots) {
+        clock.advanceTo(snapshot.at);
+        buffer.push(snapshot.text, clock.now());
+    }
+    clock.advanceTo(fixture.end);
+    return segments;
+}
+
+const fixtures = fs.readdirSync(new URL('./fixtures/captions/', import.meta.url)).filter(file => file.endsWith('.json'));
+
+for (const file of fixtures) {
+    const fixture = JSON.parse(readFixture('captions', file));
+
+    test(`${file}: ${fixture.description}`, () => {
+        assert.deepEqual(replay(fixture), fixture.segments);
+    });
+}
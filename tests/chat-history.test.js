@@ -0,0 +1,43 @@
+// Chat history replay - a reopened thread must fit the LanguageModel session it is replayed into
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIService } from '../services/ai-services.js';
+
+const thread = [
+    { role: 'user', content: 'Summarize this document: ' + 'lorem ipsum '.repeat(2000) },
+    { role: 'assistant', content: 'It is about placeholder text.' },
+    { role: 'user', content: 'Who uses it?' },
+    { role: 'assistant', content: 'Designers and typesetters.' }
+];
+
+// ~4 characters per token, like Gemini Nano on Latin text
+const session = (inputQuota, inputUsage = 0) => ({
+    inputQuota,
+    inputUsage,
+    measureInputUsage: async text => Math.ceil(text.length / 4)
+});
+
+test('keeps the newest messages that fit half the remaining quota', async () => {
+    const service = new AIService();
+    const kept = await service.fitHistoryToSession(session(6144, 100), thread);
+    assert.deepEqual(kept, thread.slice(1));
+});
+
+test('keeps the whole thread when it fits', async () => {
+    const service = new AIService();
+    const kept = await service.fitHistoryToSession(session(100000), thread);
+    assert.deepEqual(kept, thread);
+});
+
+test('drops everything when even the last message is too long', async () => {
+    const service = new AIService();
+    const kept = await service.fitHistoryToSession(session(6144), [...thread, { role: 'user', content: 'x'.repeat(20000) }]);
+    assert.deepEqual(kept, []);
+});
+
+test('falls back to a character budget when the session has no quota', async () => {
+    const service = new AIService();
+    const kept = await service.fitHistoryToSession({}, thread);
+    assert.deepEqual(kept, thread.slice(1));
+});
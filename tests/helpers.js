@@ -0,0 +1,74 @@
+// Test helpers - content scripts are classic scripts sharing one global scope, so they are
+// evaluated in a vm context (or a jsdom window) the way the browser would load them.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const TESTS = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(TESTS, '..');
+
+export function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+export function readFixture(...parts) {
+    return fs.readFileSync(path.join(TESTS, 'fixtures', ...parts), 'utf8');
+}
+
+/**
+ * Evaluate content scripts in order in a fresh context
+ * @param {string[]} files - Paths from the repository root
+ * @param {Object} globals - What the scripts see as globals
+ * @returns {(expression: string) => any} Evaluates an expression in that context
+ */
+export function loadScripts(files, globals = {}) {
+    return runScripts(files, vm.createContext({ console, ...globals }));
+}
+
+/**
+ * Evaluate content scripts in order in an existing context (e.g. a jsdom window's)
+ * @param {string[]} files - Paths from the repository root
+ * @param {Object} context - A vm context
+ * @returns {(expression: string) => any} Evaluates an expression in that context
+ */
+export function runScripts(files, context) {
+    for (const file of files) {
+        vm.runInContext(readSource(file), context, { filename: file });
+    }
+    return expression => vm.runInContext(expression, context);
+}
+
+// A clock driving setTimeout by hand, so recorded timings replay instantly
+export function createClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();
+
+    return {
+        now: () => now,
+        setTimeout(callback, delay = 0) {
+            const id = nextId++;
+            timers.set(id, { callback, at: now + delay });
+            return id;
+        },
+        clearTimeout(id) {
+            timers.delete(id);
+        },
+        // Run the timers due up to `time`, in order
+        advanceTo(time) {
+            for (;;) {
+                const due = [...timers.entries()]
+                    .filter(([, timer]) => timer.at <= time)
+                    .sort((a, b) => a[1].at - b[1].at)[0];
+                if (!due) break;
+                const [id, timer] = due;
+                timers.delete(id);
+                now = timer.at;
+                timer.callback();
+            }
+            now = time;
+        }
+    };
+}
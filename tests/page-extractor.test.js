@@ -0,0 +1,37 @@
+// Page extractor - keeps the article (its own header and footer included) and drops the site around it
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { readFixture, runScripts } from './helpers.js';
+
+function extract(html) {
+    const dom = new JSDOM(`<!DOCTYPE html><title>News</title><body>${html}</body>`, {
+        url: 'https://news.example.com/rivers',
+        runScripts: 'outside-only'
+    });
+    const evaluate = runScripts(['content/page-extractor.js'], dom.getInternalVMContext());
+    return evaluate('new PageContentExtractor().extract()').text;
+}
+
+test('keeps the article header and footer, drops the site header, footer and related links', () => {
+    const text = extract(readFixture('pages', 'article-footer.html'));
+
+    assert.match(text, /Rivers are running dry/);
+    assert.match(text, /A summer without rain/);
+    assert.match(text, /Reporting by Sam Rivera/);
+    assert.doesNotMatch(text, /Heatwave hits the coast/);
+});
+
+test('drops layout classes outside the article when the whole page is the root', () => {
+    // Paragraphs too short for any container to be chosen: the body is the root
+    const text = extract(`
+        <div class="site-header">Daily News, Tuesday edition</div>
+        <article><h1>Briefs</h1><p>Rain is back.</p><div class="post-footer"><p>By Sam Rivera</p></div></article>
+        <div id="footer"><p>All rights reserved.</p></div>`);
+
+    assert.match(text, /Rain is back/);
+    assert.match(text, /By Sam Rivera/);
+    assert.doesNotMatch(text, /Tuesday edition/);
+    assert.doesNotMatch(text, /All rights reserved/);
+});
@@ -0,0 +1,131 @@
+// Caption platform adapters - host matching, and the caption text read from recorded player markup
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { readFixture, runScripts } from './helpers.js';
+
+// Same order as the manifest's content scripts
+const SCRIPTS = [
+    'content/platforms/registry.js',
+    ...['youtube', 'netflix', 'twitch', 'vimeo', 'coursera', 'udemy', 'disneyplus', 'primevideo', 'meet', 'teams']
+        .map(id => `content/platforms/${id}.js`)
+];
+
+const CASES = {
+    youtube: {
+        hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com'],
+        otherHosts: ['notyoutube.com', 'youtube.com.example.net'],
+        text: "so today we're going to talk about how neural networks learn"
+    },
+    netflix: {
+        hosts: ['www.netflix.com'],
+        otherHosts: ['netflix.co'],
+        text: 'Where were you last night?'
+    },
+    twitch: {
+        hosts: ['www.twitch.tv', 'm.twitch.tv'],
+        otherHosts: ['twitch.com'],
+        text: 'welcome back everyone to the stream'
+    },
+    vimeo: {
+        hosts: ['vimeo.com'],
+        otherHosts: ['player.vimeo.co'],
+        text: 'The light changes just before sunset.'
+    },
+    coursera: {
+        hosts: ['www.coursera.org'],
+        otherHosts: ['coursera.com'],
+        text: 'Gradient descent updates each weight'
+    },
+    udemy: {
+        hosts: ['www.udemy.com', 'acme.udemy.com'],
+        otherHosts: ['udemy.org'],
+        text: 'A closure remembers its scope.'
+    },
+    disneyplus: {
+        hosts: ['www.disneyplus.com'],
+        otherHosts: ['disney.com'],
+        text: "I'm going to the ocean."
+    },
+    primevideo: {
+        hosts: ['www.primevideo.com'],
+        otherHosts: ['amazon.com'],
+        text: 'Nobody leaves this room.'
+    },
+    meet: {
+        hosts: ['meet.google.com'],
+        otherHosts: ['google.com', 'calendar.google.com'],
+        // Latest speaker turn only, without the name
+        text: 'Yes, loud and clear.'
+    },
+    teams: {
+        hosts: ['teams.microsoft.com', 'teams.live.com'],
+        otherHosts: ['microsoft.com', 'outlook.live.com'],
+        text: 'The beta ships next week.'
+    }
+};
+
+// The platform scripts loaded into a page holding the fixture's markup
+function loadPage(html, hostname) {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, {
+        url: `https://${hostname}/`,
+        runScripts: 'outside-only'
+    });
+    const evaluate = runScripts(SCRIPTS, dom.getInternalVMContext());
+    return { document: dom.window.document, registry: evaluate('CaptionPlatforms') };
+}
+
+test('every adapter has a fixture', () => {
+    const { registry } = loadPage('', 'example.com');
+    assert.deepEqual([...registry.adapters].map(adapter => adapter.id).sort(), Object.keys(CASES).sort());
+});
+
+test('no adapter matches an unsupported site', () => {
+    const { registry } = loadPage('', 'example.com');
+    assert.equal(registry.detect(), null);
+    assert.equal(registry.detect('news.example.org'), null);
+});
+
+for (const [id, expected] of Object.entries(CASES)) {
+    test(`${id}: matches its hosts only`, () => {
+        const { registry } = loadPage('', expected.hosts[0]);
+        const adapter = registry.get(id);
+
+        for (const hostname of expected.hosts) {
+            assert.ok(adapter.match(hostname), `${id} should match ${hostname}`);
+            assert.equal(registry.detect(hostname)?.id, id);
+        }
+        for (const hostname of expected.otherHosts) {
+            assert.equal(adapter.match(hostname), false, `${id} should not match ${hostname}`);
+        }
+        assert.equal(registry.detect()?.id, id, 'detected from the page location');
+    });
+
+    test(`${id}: reads the captions from the player markup`, () => {
+        const { document, registry } = loadPage(readFixture('platforms', `${id}.html`), expected.hosts[0]);
+        const adapter = registry.get(id);
+
+        assert.ok(registry.firstMatch(document, adapter.selectors).length, 'a caption selector matches');
+        assert.equal(registry.extract(adapter, document), expected.text);
+        assert.ok(expected.text.length >= adapter.minLength);
+        for (const selector of adapter.nativeCaptions) {
+            document.querySelectorAll(selector); // A malformed selector would throw in the overlay's stylesheet too
+        }
+    });
+}
+
+test('teams: the meeting chat is neither read nor hidden as captions', () => {
+    for (const fixture of ['teams.html', 'teams-chat-only.html']) {
+        const { document, registry } = loadPage(readFixture('platforms', fixture), 'teams.microsoft.com');
+        const adapter = registry.get('teams');
+        const chat = document.querySelectorAll('.ui-chat__message__content [dir="auto"]');
+
+        for (const message of chat) {
+            for (const selector of [...adapter.selectors, ...adapter.nativeCaptions]) {
+                assert.equal(message.closest(selector), null, `${selector} matches the chat message "${message.textContent}"`);
+            }
+        }
+        assert.doesNotMatch(registry.extract(adapter, document), /Slides|Thanks|recording/);
+    }
+});
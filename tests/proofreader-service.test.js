@@ -0,0 +1,64 @@
+// Proofreader service - one Proofreader per language, shared by tabs and the side panel
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProofreaderService } from '../services/proofreader-service.js';
+
+const created = [];
+
+// Chrome's Proofreader API: English and French only
+globalThis.Proofreader = {
+    availability: async ({ expectedInputLanguages } = {}) =>
+        !expectedInputLanguages || ['en', 'fr'].includes(expectedInputLanguages[0]) ? 'available' : 'unavailable',
+    create: async ({ expectedInputLanguages }) => {
+        const proofreader = {
+            language: expectedInputLanguages[0],
+            destroyed: false,
+            destroy() { this.destroyed = true; },
+            async proofread(text) {
+                assert.equal(this.destroyed, false, `the ${this.language} proofreader was destroyed while in use`);
+                await new Promise(resolve => setTimeout(resolve, 10));
+                assert.equal(this.destroyed, false, `the ${this.language} proofreader was destroyed while in use`);
+                return { correctedInput: text, corrections: [] };
+            }
+        };
+        created.push(proofreader);
+        return proofreader;
+    }
+};
+
+beforeEach(() => {
+    created.length = 0;
+});
+
+test('proofreads two languages at once without destroying either proofreader', async () => {
+    const service = new ProofreaderService();
+    const options = { applyRules: false };
+
+    await Promise.all([
+        service.proofread('Hello world', 'en', options),
+        service.proofread('Bonjour le monde', 'fr', options),
+        service.proofread('Good morning', 'en', options),
+        service.proofread('Bonne nuit', 'fr', options)
+    ]);
+
+    assert.deepEqual(created.map(p => p.language).sort(), ['en', 'fr']);
+    assert.ok(created.every(p => !p.destroyed));
+});
+
+test('rejects a language the API does not support', async () => {
+    const service = new ProofreaderService();
+
+    await assert.rejects(service.proofread('Hallo Welt', 'de', { applyRules: false }), { code: 'unsupported-language' });
+    assert.equal(created.length, 0);
+});
+
+test('destroy releases every language', async () => {
+    const service = new ProofreaderService();
+    await service.initialize('en');
+    await service.initialize('fr');
+
+    service.destroy();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.ok(created.every(p => p.destroyed));
+});
@@ -0,0 +1,70 @@
+// Proofreading rules - the dictionary must outgrow one chrome.storage.sync item
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const QUOTA_BYTES_PER_ITEM = 8192;
+const sync = new Map();
+
+// chrome.storage.sync with its per-item quota
+globalThis.chrome = {
+    storage: {
+        sync: {
+            async get(keys) {
+                return Object.fromEntries(keys.filter(key => sync.has(key)).map(key => [key, structuredClone(sync.get(key))]));
+            },
+            async set(items) {
+                for (const [key, value] of Object.entries(items)) {
+                    if (new TextEncoder().encode(key + JSON.stringify(value)).length > QUOTA_BYTES_PER_ITEM) {
+                        throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+                    }
+                }
+                for (const [key, value] of Object.entries(items)) sync.set(key, structuredClone(value));
+            },
+            async remove(keys) {
+                for (const key of [].concat(keys)) sync.delete(key);
+            }
+        }
+    }
+};
+
+const { proofreadingRules } = await import('../services/proofreading-rules.js');
+
+beforeEach(() => sync.clear());
+
+test('keeps adding words past the 8 KB item quota', async () => {
+    for (let i = 0; i < 1500; i++) {
+        await proofreadingRules.addWord(`Brand${i}`);
+    }
+
+    const { dictionary } = await proofreadingRules.load();
+    assert.equal(dictionary.length, 1500);
+    assert.equal(dictionary[1499], 'Brand1499');
+    assert.ok(sync.size > 2, 'the dictionary is spread over several items');
+});
+
+test('removes the items a shrinking dictionary no longer needs', async () => {
+    await proofreadingRules.save({ dictionary: Array.from({ length: 2000 }, (_, i) => `Word${i}`), ignorePatterns: [] });
+    const items = sync.size;
+
+    await proofreadingRules.save({ dictionary: ['Acme'], ignorePatterns: [] });
+    assert.ok(sync.size < items);
+    assert.deepEqual((await proofreadingRules.load()).dictionary, ['Acme']);
+});
+
+test('reads a dictionary saved in the single item', async () => {
+    sync.set('proofreadingRules', { dictionary: ['Acme', 'Kubernetes'], ignorePatterns: [] });
+    assert.deepEqual((await proofreadingRules.load()).dictionary, ['Acme', 'Kubernetes']);
+
+    await proofreadingRules.addWord('Vite');
+    assert.deepEqual((await proofreadingRules.load()).dictionary, ['Acme', 'Kubernetes', 'Vite']);
+});
+
+test('says the dictionary is full instead of failing on the sync quota', async () => {
+    await proofreadingRules.save({ dictionary: Array.from({ length: 5000 }, (_, i) => `Word${i}`), ignorePatterns: [] });
+    await assert.rejects(
+        proofreadingRules.save({ dictionary: Array.from({ length: 10000 }, (_, i) => `Word${i}`), ignorePatterns: [] }),
+        /dictionary is full/
+    );
+    assert.equal((await proofreadingRules.load()).dictionary.length, 5000);
+});